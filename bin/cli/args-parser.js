@@ -2,21 +2,42 @@
  * Argument parsing utilities
  */
 
+const {
+  applyConfiguredOptions,
+  findNegatedSetting,
+} = require("../utils/config");
+
 /**
- * Parse command-line arguments
+ * Parse command-line arguments. Options start from the configured settings
+ * (see config.js), which flags override.
  */
 function parseArgs(args) {
-  const options = {
+  const options = applyConfiguredOptions({
     branch: null,
     dryRun: false,
     help: false,
     version: false,
     host: null,
+    provider: null,
+    remote: null,
     skipConfirmation: false,
-  };
+    local: false,
+    continue: false,
+    abort: false,
+    undo: false,
+    atomic: false,
+    inMemory: false,
+    strategy: null,
+    merges: null,
+    exec: null,
+    jobs: 1,
+    json: false,
+    stackTable: false,
+  });
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
+    const negated = findNegatedSetting(arg);
 
     if (arg === "--help" || arg === "-h") {
       options.help = true;
@@ -26,8 +47,38 @@ function parseArgs(args) {
       options.dryRun = true;
     } else if (arg === "--host" && args[i + 1]) {
       options.host = args[++i];
+    } else if (arg === "--provider" && args[i + 1]) {
+      options.provider = args[++i];
+    } else if (arg === "--remote" && args[i + 1]) {
+      options.remote = args[++i];
     } else if (arg === "--yes" || arg === "-y") {
       options.skipConfirmation = true;
+    } else if (arg === "--local") {
+      options.local = true;
+    } else if (arg === "--continue") {
+      options.continue = true;
+    } else if (arg === "--abort") {
+      options.abort = true;
+    } else if (arg === "--undo") {
+      options.undo = true;
+    } else if (arg === "--atomic") {
+      options.atomic = true;
+    } else if (arg === "--in-memory") {
+      options.inMemory = true;
+    } else if (arg === "--strategy" && args[i + 1]) {
+      options.strategy = args[++i];
+    } else if (arg === "--merges" && args[i + 1]) {
+      options.merges = args[++i];
+    } else if (arg === "--exec" && args[i + 1]) {
+      options.exec = args[++i];
+    } else if (arg === "--jobs" && args[i + 1]) {
+      options.jobs = Number(args[++i]);
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--stack-table") {
+      options.stackTable = true;
+    } else if (negated && negated.option in options) {
+      options[negated.option] = false;
     } else if (!arg.startsWith("-")) {
       options.branch = arg;
     }
@@ -0,0 +1,327 @@
+/**
+ * `rebase-stack backups` subcommand: list, inspect, restore and prune the
+ * backup refs both tools create before rebasing.
+ *
+ *   rebase-stack backups [list] [<branch>]              # List backups by run
+ *   rebase-stack backups show <branch> [--run <id>]     # Diff backup vs branch
+ *   rebase-stack backups restore <branch> [--run <id>]  # Restore one branch
+ *   rebase-stack backups restore --run <id>             # Restore a whole run
+ *   rebase-stack backups prune --older-than <days> | --keep <runs>
+ */
+
+const { log, COLORS } = require("../utils/colors");
+const { quoteArg } = require("../utils/ui");
+const {
+  isGitRepository,
+  getCurrentBranch,
+  hasCleanWorkingTree,
+  compareRefs,
+  getRemote,
+} = require("../utils/git");
+const { sanitizeBranchName } = require("../utils/validation");
+const {
+  listBackups,
+  groupBackupsByRun,
+  restoreBackup,
+  deleteBackup,
+} = require("../utils/backup");
+const { hasRunInProgress } = require("../core/executor");
+
+const ACTIONS = ["list", "show", "restore", "prune"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function showBackupsHelp() {
+  log("\n📋 Rebase Stack - backups", COLORS.bright);
+  log("─".repeat(50));
+  log(
+    "\nManage the backup refs (refs/backup/<branch>-<run id>) created before",
+    COLORS.dim
+  );
+  log("each rebase. Every backup of one run shares its run id.", COLORS.dim);
+  log("\nUsage:", COLORS.cyan);
+  log(
+    "  rebase-stack backups [list] [<branch>]               # List backups by run"
+  );
+  log(
+    "  rebase-stack backups show <branch> [--run <id>]      # Diff backup vs branch"
+  );
+  log(
+    "  rebase-stack backups restore <branch> [--run <id>]   # Restore one branch"
+  );
+  log(
+    "  rebase-stack backups restore --run <id>              # Restore a whole run"
+  );
+  log(
+    "  rebase-stack backups prune --older-than <days>       # Delete old backups"
+  );
+  log(
+    "  rebase-stack backups prune --keep <runs>             # Keep the newest runs"
+  );
+  log("\nOptions:", COLORS.cyan);
+  log(
+    "  --run <id>       A run id, or a unique start of one (e.g. 2026-10-18)"
+  );
+  log("  --dry-run        With prune, list what would be deleted");
+  log("\n  Without --run, show and restore use the branch's newest backup.");
+  log("");
+}
+
+function fail(message) {
+  log(`\n❌ ${message}`, COLORS.red);
+  process.exit(1);
+}
+
+function parseBackupsArgs(args) {
+  const options = {
+    positional: [],
+    run: null,
+    olderThan: null,
+    keep: null,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--run" && args[i + 1]) {
+      options.run = args[++i];
+    } else if (arg === "--older-than" && args[i + 1]) {
+      options.olderThan = parseCount(args[++i].replace(/d$/, ""), arg);
+    } else if (arg === "--keep" && args[i + 1]) {
+      options.keep = parseCount(args[++i], arg);
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg.startsWith("-")) {
+      fail(`Unknown option: ${arg}`);
+    } else {
+      options.positional.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function parseCount(value, flag) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    fail(`${flag} needs a whole number, got "${value}"`);
+  }
+  return count;
+}
+
+function sanitizeOrFail(branch) {
+  try {
+    return sanitizeBranchName(branch);
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+function formatRunDate(date) {
+  return date
+    .toISOString()
+    .replace("T", " ")
+    .replace(/\.\d{3}Z$/, " UTC");
+}
+
+/**
+ * Find the run a (possibly shortened) run id names.
+ */
+function findRun(runs, id) {
+  const exact = runs.find((run) => run.runId === id);
+  if (exact) return exact;
+
+  const matches = runs.filter((run) => run.runId.startsWith(id));
+  if (matches.length === 0) {
+    fail(`No backups from run ${id}. List runs with: rebase-stack backups`);
+  }
+  if (matches.length > 1) {
+    fail(
+      `Run id ${id} matches ${matches.length} runs: ` +
+        matches.map((run) => run.runId).join(", ")
+    );
+  }
+  return matches[0];
+}
+
+/**
+ * Find a branch's backup: the one from `runId`, or its newest.
+ */
+function findBackup(branch, runId) {
+  const backups = listBackups().filter((backup) => backup.branch === branch);
+  if (backups.length === 0) {
+    fail(`No backups of ${branch}.`);
+  }
+  if (!runId) {
+    return backups[0];
+  }
+
+  const run = findRun(groupBackupsByRun(backups), runId);
+  return run.backups[0];
+}
+
+function listRuns(args) {
+  const [branch] = args.positional.map(sanitizeOrFail);
+  const backups = listBackups().filter(
+    (backup) => !branch || backup.branch === branch
+  );
+
+  if (backups.length === 0) {
+    log(`\nNo backups${branch ? ` of ${branch}` : ""}.`, COLORS.dim);
+    return;
+  }
+
+  const runs = groupBackupsByRun(backups);
+  log(
+    `\n💾 ${backups.length} backup${backups.length === 1 ? "" : "s"} from ${runs.length} run${runs.length === 1 ? "" : "s"}:`,
+    COLORS.bright
+  );
+  log("─".repeat(60));
+
+  for (const run of runs) {
+    log(`\n  ${formatRunDate(run.date)}  run ${run.runId}`, COLORS.cyan);
+    const width = Math.max(
+      ...run.backups.map((backup) => backup.branch.length)
+    );
+    run.backups.forEach((backup) => {
+      log(
+        `    ${backup.branch.padEnd(width)}  ${backup.commit}  ${backup.subject}`
+      );
+    });
+  }
+}
+
+function showBackup(args) {
+  if (args.positional.length !== 1) {
+    fail("Usage: rebase-stack backups show <branch> [--run <id>]");
+  }
+  const branch = sanitizeOrFail(args.positional[0]);
+  const backup = findBackup(branch, args.run);
+
+  log(`\n🔍 ${backup.ref} → ${branch}`, COLORS.bright);
+  log("─".repeat(60));
+
+  const { commits, diff } = compareRefs(backup.ref, branch);
+  if (!commits && !diff) {
+    log("\nNo changes: the branch matches its backup.", COLORS.dim);
+    return;
+  }
+
+  log("\nCommits (< only in the backup, > only on the branch):", COLORS.cyan);
+  log(commits, COLORS.dim);
+  if (diff) {
+    log("\nDiff from the backup to the branch:", COLORS.cyan);
+    log(diff);
+  }
+}
+
+function restoreBackups(args) {
+  if (args.positional.length > 1 || (!args.run && !args.positional.length)) {
+    fail(
+      "Usage: rebase-stack backups restore <branch> [--run <id>]\n" +
+        "       rebase-stack backups restore --run <id>"
+    );
+  }
+  if (hasRunInProgress()) {
+    fail(
+      "A rebase run is in progress. Roll it back with --abort, or finish it first."
+    );
+  }
+
+  let backups;
+  if (args.positional.length === 1) {
+    backups = [findBackup(sanitizeOrFail(args.positional[0]), args.run)];
+  } else {
+    backups = findRun(groupBackupsByRun(listBackups()), args.run).backups;
+  }
+
+  const currentBranch = getCurrentBranch();
+  if (
+    backups.some((backup) => backup.branch === currentBranch) &&
+    !hasCleanWorkingTree()
+  ) {
+    fail(
+      `${currentBranch} has uncommitted changes. Commit or stash them before restoring it.`
+    );
+  }
+
+  log("\n⏪ Restoring from backups...", COLORS.bright);
+  log("─".repeat(50));
+  for (const backup of backups) {
+    restoreBackup(backup.branch, backup.ref);
+    log(`   ✅ Restored ${backup.branch} to ${backup.ref}`, COLORS.green);
+  }
+
+  log(
+    "\n   Branches are only restored locally. To put them back on the remote:",
+    COLORS.dim
+  );
+  backups.forEach((backup) => {
+    log(
+      `   git push ${quoteArg(getRemote())} ${quoteArg(backup.branch)} --force-with-lease`,
+      COLORS.dim
+    );
+  });
+}
+
+function pruneBackups(args) {
+  if (args.olderThan === null && args.keep === null) {
+    fail(
+      "Usage: rebase-stack backups prune --older-than <days> | --keep <runs> [--dry-run]"
+    );
+  }
+
+  const runs = groupBackupsByRun(listBackups());
+  const cutoff =
+    args.olderThan === null ? null : Date.now() - args.olderThan * DAY_MS;
+  const doomed = runs.filter(
+    (run, i) =>
+      (args.keep !== null && i >= args.keep) ||
+      (cutoff !== null && run.date.getTime() < cutoff)
+  );
+  const refs = doomed.flatMap((run) => run.backups);
+
+  if (refs.length === 0) {
+    log("\nNothing to prune.", COLORS.dim);
+    return;
+  }
+
+  const verb = args.dryRun ? "Would delete" : "Deleting";
+  log(
+    `\n🧹 ${verb} ${refs.length} backup${refs.length === 1 ? "" : "s"} from ${doomed.length} run${doomed.length === 1 ? "" : "s"}:`,
+    COLORS.bright
+  );
+  for (const backup of refs) {
+    if (!args.dryRun) {
+      deleteBackup(backup.ref);
+    }
+    log(`   ${backup.ref}`, COLORS.dim);
+  }
+}
+
+function runBackupsCommand(args) {
+  // A bare branch name (or nothing) lists backups
+  const action = ACTIONS.includes(args[0]) ? args[0] : "list";
+  const rest = action === args[0] ? args.slice(1) : args;
+
+  if (rest.includes("--help") || rest.includes("-h")) {
+    showBackupsHelp();
+    return;
+  }
+
+  if (!isGitRepository()) {
+    fail("Not a git repository.");
+  }
+
+  const options = parseBackupsArgs(rest);
+  if (action === "list") {
+    listRuns(options);
+  } else if (action === "show") {
+    showBackup(options);
+  } else if (action === "restore") {
+    restoreBackups(options);
+  } else {
+    pruneBackups(options);
+  }
+}
+
+module.exports = { runBackupsCommand };
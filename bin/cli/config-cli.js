@@ -0,0 +1,116 @@
+/**
+ * `rebase-stack config` subcommand: print the effective settings and the
+ * layer each one came from (see utils/config.js).
+ *
+ *   rebase-stack config            # Settings from config files and environment
+ *   rebase-stack config --yes ...  # The same, with these flags applied
+ */
+
+const path = require("path");
+const { log, COLORS } = require("../utils/colors");
+const { getRepoRoot, isGitRepository } = require("../utils/git");
+const {
+  SETTINGS,
+  RC_FILE,
+  getEnvName,
+  getUserConfigFile,
+  resolveSettings,
+  findNegatedSetting,
+} = require("../utils/config");
+
+function showConfigHelp() {
+  log("\n📋 Rebase Stack - config", COLORS.bright);
+  log("─".repeat(50));
+  log(
+    "\nShow the effective settings and where each one came from.",
+    COLORS.dim
+  );
+  log("Later sources win: default, user config, package.json", COLORS.dim);
+  log(`("rebaseStack" key), ${RC_FILE}, git config, environment,`, COLORS.dim);
+  log("command line.", COLORS.dim);
+  log("\nUsage:", COLORS.cyan);
+  log("  rebase-stack config               # Settings without flags");
+  log(
+    "  rebase-stack config [flags...]    # Settings with these flags applied"
+  );
+  log("\nSettings:", COLORS.cyan);
+  SETTINGS.forEach((setting) => {
+    log(
+      `  ${setting.key.padEnd(18)} ${(setting.flag || "").padEnd(12)} ${getEnvName(setting)}`
+    );
+  });
+  log("");
+}
+
+function fail(message) {
+  log(`\n❌ ${message}`, COLORS.red);
+  process.exit(1);
+}
+
+/**
+ * Read the setting flags in `args` into { key: value }.
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i] === "-y" ? "--yes" : args[i];
+    const negated = findNegatedSetting(arg);
+    if (negated) {
+      flags[negated.key] = false;
+      continue;
+    }
+    const setting = SETTINGS.find((candidate) => candidate.flag === arg);
+    if (!setting) {
+      fail(`Not a setting flag: ${arg}`);
+    }
+    if (setting.type === "boolean") {
+      flags[setting.key] = true;
+    } else if (args[i + 1] === undefined) {
+      fail(`${arg} needs a value`);
+    } else {
+      const value = args[++i];
+      flags[setting.key] = setting.type === "number" ? Number(value) : value;
+    }
+  }
+  return flags;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length ? value.join(", ") : "(none)";
+  }
+  return value === null ? "(not set)" : String(value);
+}
+
+function runConfigCommand(args) {
+  if (args.includes("--help") || args.includes("-h")) {
+    showConfigHelp();
+    return;
+  }
+  if (!isGitRepository()) {
+    fail("Not a git repository.");
+  }
+
+  const settings = resolveSettings(parseFlags(args));
+  const width = Math.max(
+    ...settings.map((setting) => formatValue(setting.value).length)
+  );
+
+  log("\n⚙️  Effective settings:", COLORS.bright);
+  log("─".repeat(60));
+  settings.forEach(({ key, value, source }) => {
+    log(
+      `  ${key.padEnd(18)} ${formatValue(value).padEnd(width)}  ${COLORS.dim}${source}`
+    );
+  });
+
+  log("\nConfig files:", COLORS.cyan);
+  log(`  user:  ${getUserConfigFile()}`, COLORS.dim);
+  log(`  repo:  ${path.join(getRepoRoot(), RC_FILE)}`, COLORS.dim);
+  log(
+    `         ${path.join(getRepoRoot(), "package.json")} ("rebaseStack" key)`,
+    COLORS.dim
+  );
+}
+
+module.exports = { runConfigCommand };
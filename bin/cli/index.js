@@ -3,38 +3,76 @@
  */
 
 const { log, COLORS } = require("../utils/colors");
-const { getCurrentBranch, getRemoteUrl } = require("../utils/git");
 const {
-  detectGitHubHost,
-  isGitHubCLIInstalled,
-  isGitHubCLIAuthenticated,
-} = require("../utils/github");
+  getCurrentBranch,
+  setRemote,
+  isGitRepository,
+  getBranchOwnCommits,
+} = require("../utils/git");
+const { resolveProvider, resolveHost } = require("../utils/providers");
 const {
   sanitizeBranchName,
+  getProtectedPatterns,
   isProtectedBranch,
+  loadHostProtectedBranches,
 } = require("../utils/validation");
-const { getBranchesInChain, buildPRChain } = require("../core/chain-builder");
+const {
+  getBranchesInChain,
+  buildPRChain,
+  discoverStack,
+} = require("../core/chain-builder");
+const { createLocalSource } = require("../core/local-discovery");
+const { createMetadataSource } = require("../core/metadata-discovery");
+const { createPRSource } = require("../core/pr-graph");
 const {
   promptConfirmation,
   showHelp,
   displayPRChain,
-  displayBackups,
-  displayRestoreInstructions,
+  displayDroppedCommits,
+  displayMergeCommits,
+  displayPredictions,
+  displayRepoFileCommands,
+  formatBranchLabel,
 } = require("../utils/ui");
+const { findRepoFileCommands } = require("../utils/config");
+const { dropUpstreamCommits } = require("../core/upstream-commits");
+const { predictSteps } = require("../core/predict");
+const { resolveStackTable } = require("../core/stack-table");
+const { resolveStrategy } = require("../core/rebase-onto");
+const { applyMergeMode, resolveMergeMode } = require("../core/merge-commits");
 const { parseArgs } = require("./args-parser");
-const { createBackup } = require("../utils/backup");
-const { rebaseBranch, pushRebasedBranch } = require("../core/rebase");
 const {
-  fetchFromOrigin,
-  checkoutBranch,
-  pullBranch,
-  isGitRepository,
-} = require("../utils/git");
+  EXIT_CODES,
+  startReport,
+  updateReport,
+  reportRun,
+  exitCodeFor,
+} = require("../utils/report");
+const {
+  DOWNSTREAM_TOOL,
+  startRun,
+  continueRun,
+  abortRun,
+  undoRun,
+  hasRunInProgress,
+} = require("../core/executor");
+
+/**
+ * Pick the hosting provider (--provider, or detected from the remote)
+ */
+function determineProvider(options) {
+  try {
+    return resolveProvider(options);
+  } catch (error) {
+    log(`❌ ${error.message}`, COLORS.red);
+    process.exit(1);
+  }
+}
 
 /**
  * Validate environment requirements
  */
-function validateEnvironment() {
+function validateEnvironment(options, provider) {
   // Verify we're in a git repository
   if (!isGitRepository()) {
     log("❌ Not a git repository.", COLORS.red);
@@ -42,28 +80,61 @@ function validateEnvironment() {
     process.exit(1);
   }
 
-  // Check for gh CLI
-  if (!isGitHubCLIInstalled()) {
-    log("❌ GitHub CLI (gh) is required but not found.", COLORS.red);
-    log("   Install: https://cli.github.com/", COLORS.dim);
+  // Local discovery works from git history alone
+  if (options.local) {
+    return;
+  }
+
+  // Check for the provider's CLI (gh or glab)
+  if (!provider.isCLIInstalled()) {
+    log(
+      `❌ ${provider.label} CLI (${provider.cli}) is required but not found.`,
+      COLORS.red
+    );
+    log(`   Install: ${provider.installUrl}`, COLORS.dim);
     process.exit(1);
   }
 
-  // Check for gh authentication
-  if (!isGitHubCLIAuthenticated()) {
-    log("❌ GitHub CLI is not authenticated.", COLORS.red);
-    log("   Run: gh auth login", COLORS.dim);
+  // Check for CLI authentication
+  if (!provider.isCLIAuthenticated()) {
+    log(`❌ ${provider.label} CLI is not authenticated.`, COLORS.red);
+    log(`   Run: ${provider.cli} auth login`, COLORS.dim);
     process.exit(1);
   }
 }
 
 /**
- * Determine GitHub host
+ * Pick the rebase strategy (--strategy, or git config rebaseStack.strategy)
  */
-function determineHost(options) {
-  return (
-    options.host || process.env.GH_HOST || detectGitHubHost(getRemoteUrl())
-  );
+function determineStrategy(options) {
+  let strategy;
+  try {
+    strategy = resolveStrategy(options.strategy);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    process.exit(1);
+  }
+
+  if (options.inMemory && strategy === "rebase") {
+    log(
+      "\n❌ --in-memory only works with the cherry-pick strategy.",
+      COLORS.red
+    );
+    process.exit(1);
+  }
+  return strategy;
+}
+
+/**
+ * Pick the merge mode (--merges, or git config rebaseStack.merges)
+ */
+function determineMergeMode(options) {
+  try {
+    return resolveMergeMode(options.merges);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    process.exit(1);
+  }
 }
 
 /**
@@ -110,7 +181,7 @@ function validateChain(chain) {
       log(`   • ${branch}`, COLORS.red);
     });
     log(
-      "\n   Protected branches: main, master, develop, development, staging, production, prod",
+      `\n   Protected branches: ${getProtectedPatterns().join(", ")}`,
       COLORS.dim
     );
     process.exit(1);
@@ -118,73 +189,224 @@ function validateChain(chain) {
 }
 
 /**
- * Execute the rebase workflow
+ * Preview what happens to each branch's own commits: merge commits, and
+ * commits already upstream that will be dropped. The final lists are worked
+ * out again at rebase time, once each target has been rebased.
+ * Returns [{ branch, merges, commits, dropped }] in chain order.
  */
-async function executeRebase(chain, options) {
-  // Prompt for confirmation unless --yes flag is provided
-  if (!options.skipConfirmation) {
-    const confirmed = await promptConfirmation("\n❓ Do you want to continue?");
-    if (!confirmed) {
-      log("\n❌ Aborted by user.", COLORS.yellow);
-      process.exit(0);
-    }
+function displayOwnCommitChanges(chain, mergeMode) {
+  const changes = chain.map((item) => {
+    const exclude = item.exclude || item.target;
+    const { commits, merges } = applyMergeMode(
+      item.branch,
+      exclude,
+      getBranchOwnCommits(item.branch, exclude).reverse(),
+      mergeMode
+    );
+    return {
+      branch: item.branch,
+      merges,
+      ...dropUpstreamCommits(
+        item.target,
+        item.branch,
+        commits,
+        item.landedNumber
+      ),
+    };
+  });
+
+  const withMerges = changes.filter((item) => item.merges.length > 0);
+  if (withMerges.length > 0) {
+    log("\n🔀 Merge commits:", COLORS.cyan);
+    withMerges.forEach(({ branch, merges }) => {
+      log(`   ${branch}:`, COLORS.dim);
+      displayMergeCommits(merges, mergeMode, "     ");
+    });
   }
 
-  // Save current branch
-  const originalBranch = getCurrentBranch();
-
-  log("\n🚀 Starting rebase...", COLORS.bright);
-  log("─".repeat(50));
-
-  // Fetch latest
-  log("\n📥 Fetching latest from origin...", COLORS.cyan);
-  if (!fetchFromOrigin()) {
-    log("⚠️  Could not fetch from origin", COLORS.yellow);
+  const drops = changes.filter((item) => item.dropped.length > 0);
+  if (drops.length > 0) {
+    log("\n🧹 Commits already upstream (will be dropped):", COLORS.yellow);
+    drops.forEach(({ branch, dropped }) => {
+      log(`   ${branch}:`, COLORS.dim);
+      displayDroppedCommits(dropped, "     ");
+    });
   }
 
-  const backups = [];
-  let successCount = 0;
+  return changes;
+}
 
-  for (const item of chain) {
-    try {
-      // Create backup before rebasing
-      log(`\n💾 Creating backup for ${item.branch}...`, COLORS.cyan);
-      const backupRef = createBackup(item.branch);
-      if (backupRef) {
-        backups.push({ branch: item.branch, ref: backupRef });
-        log(`   ✅ Backup created: ${backupRef}`, COLORS.green);
-      }
+/**
+ * Describe the chain for --json output, before anything is rebased
+ */
+function describeChain(chain, changes) {
+  return chain.map((item, i) => ({
+    branch: item.branch,
+    number: item.number || null,
+    target: item.target,
+    commits: changes[i].commits,
+    dropped: changes[i].dropped,
+    outcome: "planned",
+    pushed: false,
+  }));
+}
 
-      // Make sure we have the latest target
-      checkoutBranch(item.target, { ignoreError: true });
-      pullBranch(item.target);
+/**
+ * Show the PRs that move off a merged or closed start branch
+ */
+function displayRetargets(chain) {
+  const retargeted = chain.filter((item) => item.retarget);
+  if (retargeted.length === 0) return;
+
+  log(
+    "\n↪️  Retargeting (base updated with gh pr edit --base):",
+    COLORS.yellow
+  );
+  retargeted.forEach((item) => {
+    log(
+      `   ${formatBranchLabel(item.number, item.branch)} → ${item.target}`,
+      COLORS.dim
+    );
+  });
+}
 
-      rebaseBranch(item.branch, item.target);
-      pushRebasedBranch(item.branch);
-      successCount++;
+/**
+ * The whole stack for --stack-table, as [{ branch, parent }]: the start
+ * branch and the branches below it, then the chain above it.
+ */
+function findStackEntries(startBranch, chain, host, source) {
+  let below = [];
+  if (!isProtectedBranch(startBranch)) {
+    try {
+      const { base, branches } = discoverStack(startBranch, host, source);
+      below = branches.map((branch, i) => ({
+        branch,
+        parent: i === 0 ? base : branches[i - 1],
+      }));
     } catch (error) {
-      log(`\n❌ Failed at ${item.branch}: ${error.message}`, COLORS.red);
-      displayRestoreInstructions(backups);
-      break;
+      // A start branch without an open PR has no row of its own
+      if (!error.isMissingPR) {
+        log(
+          `⚠️  Stack table leaves out ${startBranch}: ${error.message}`,
+          COLORS.yellow
+        );
+      }
     }
   }
+  return [
+    ...below,
+    ...chain.map((item) => ({ branch: item.branch, parent: item.target })),
+  ];
+}
 
-  // Return to original branch
-  try {
-    checkoutBranch(originalBranch, { ignoreError: true });
-  } catch (error) {
+/**
+ * Execute the rebase workflow
+ * @param {Object[]} [stackEntries] - the whole stack, for --stack-table
+ */
+async function executeRebase(chain, options, provider, host, stackEntries) {
+  if (hasRunInProgress()) {
+    log("\n❌ A rebase run is already in progress.", COLORS.red);
     log(
-      `⚠️  Could not return to original branch ${originalBranch}`,
-      COLORS.yellow
+      "   Resume it with --continue or roll it back with --abort.",
+      COLORS.dim
     );
+    process.exit(1);
+  }
+  const resolved = options.stackTable ? resolveStackTable(options) : null;
+  const stackTable = resolved && { ...resolved, entries: stackEntries };
+
+  // Prompt for confirmation unless --yes flag is provided; a command set by
+  // the repo's own config is always confirmed
+  const repoCommands = findRepoFileCommands(options);
+  displayRepoFileCommands(repoCommands);
+  if (!options.skipConfirmation || repoCommands.length > 0) {
+    const confirmed = await promptConfirmation("\n❓ Do you want to continue?");
+    if (!confirmed) {
+      log("\n❌ Aborted by user.", COLORS.yellow);
+      updateReport({ status: "cancelled" });
+      process.exit(EXIT_CODES.ok);
+    }
   }
 
-  log("\n" + "─".repeat(50));
-  log(`✅ Rebased ${successCount}/${chain.length} branches`, COLORS.green);
+  // Each branch is rebased onto its freshly pulled target, with its own
+  // commits captured at rebase time
+  const steps = chain.map((item) => ({
+    branch: item.branch,
+    onto: item.target,
+    commits: null,
+    refreshOnto: true,
+    number: item.number,
+    exclude: item.exclude || null,
+    landedNumber: item.landedNumber || null,
+    retarget:
+      item.retarget && item.number
+        ? { number: item.number, host, provider: provider.name }
+        : null,
+  }));
+
+  const result = await startRun(DOWNSTREAM_TOOL, steps, {
+    atomic: options.atomic,
+    inMemory: options.inMemory,
+    strategy: options.strategy,
+    merges: options.merges,
+    exec: options.exec,
+    jobs: options.jobs,
+    remote: options.remote,
+    stackTable,
+  });
+  reportRun(result);
+  if (result.status !== "done") {
+    process.exit(exitCodeFor(result.status));
+  }
+}
 
-  displayBackups(backups);
+/**
+ * Resume (--continue) or roll back (--abort) an interrupted run, or undo
+ * (--undo) the last finished one
+ */
+async function controlRun(options) {
+  if (!isGitRepository()) {
+    log("❌ Not a git repository.", COLORS.red);
+    process.exit(1);
+  }
+
+  try {
+    if (options.abort) {
+      const state = abortRun();
+      updateReport({
+        status: "aborted",
+        runId: state.runId,
+        backups: state.backups,
+      });
+      log("\n✅ Rebase aborted, branches restored from backups", COLORS.green);
+      return;
+    }
+
+    if (options.undo) {
+      const { entry, failedPushes } = undoRun();
+      updateReport({
+        status: failedPushes.length > 0 ? "failed" : "undone",
+        runId: entry.runId,
+        branches: entry.branches,
+      });
+      if (failedPushes.length > 0) {
+        log(
+          `\n❌ Restored locally, but could not push: ${failedPushes.join(", ")}`,
+          COLORS.red
+        );
+        process.exit(1);
+      }
+      log("\n✅ Last run undone", COLORS.green);
+      return;
+    }
 
-  if (successCount < chain.length) {
+    const result = await continueRun();
+    reportRun(result);
+    if (result.status !== "done") {
+      process.exit(exitCodeFor(result.status));
+    }
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
     process.exit(1);
   }
 }
@@ -204,15 +426,43 @@ async function main(args, version) {
     log(`rebase-downstream-branches v${version}`);
     process.exit(0);
   }
+  if (options.json) {
+    startReport(DOWNSTREAM_TOOL);
+  }
+  setRemote(options.remote);
 
-  const startBranch = determineStartBranch(options);
-
-  validateEnvironment();
+  if (options.continue || options.abort || options.undo) {
+    await controlRun(options);
+    return;
+  }
 
-  const host = determineHost(options);
+  const startBranch = determineStartBranch(options);
+  updateReport({ base: startBranch });
+
+  const provider = options.local ? null : determineProvider(options);
+  validateEnvironment(options, provider);
+  options.strategy = determineStrategy(options);
+  options.merges = determineMergeMode(options);
+  if (!Number.isInteger(options.jobs) || options.jobs < 1) {
+    log("\n❌ --jobs needs a whole number of 1 or more.", COLORS.red);
+    process.exit(1);
+  }
+  const host = provider ? resolveHost(provider, options) : null;
+  if (provider) {
+    loadHostProtectedBranches(provider, host);
+  }
 
-  // Build the chain
-  const chain = buildPRChain(startBranch, host);
+  // Build the chain: recorded stack parents first, then PRs (or local ancestry)
+  let chain;
+  let source;
+  if (options.local) {
+    log("\n📴 Using local discovery (git ancestry, no PR host)", COLORS.dim);
+    source = createMetadataSource(() => createLocalSource());
+    chain = buildPRChain(startBranch, null, source);
+  } else {
+    source = createMetadataSource(() => createPRSource(host, provider));
+    chain = buildPRChain(startBranch, host, source);
+  }
 
   if (chain.length === 0) {
     log("\n✅ No downstream PRs found. Nothing to rebase.", COLORS.green);
@@ -221,10 +471,27 @@ async function main(args, version) {
 
   validateChain(chain);
   displayPRChain(chain);
+  displayRetargets(chain);
+  const changes = displayOwnCommitChanges(chain, options.merges);
+  updateReport({ branches: describeChain(chain, changes) });
 
   if (options.dryRun) {
     log("\n📝 Dry run - no changes made", COLORS.yellow);
-    process.exit(0);
+    const steps = chain.map((item, i) => ({
+      branch: item.branch,
+      onto: item.target,
+      commits: changes[i].commits,
+    }));
+    const predictions = predictSteps(steps);
+    displayPredictions(steps, predictions);
+    updateReport({
+      status: "dry-run",
+      branches: describeChain(chain, changes).map((entry, i) => ({
+        ...entry,
+        prediction: predictions[i],
+      })),
+    });
+    process.exit(EXIT_CODES.ok);
   }
 
   log("\n⚠️  This will force-push the above branches.", COLORS.yellow);
@@ -233,7 +500,10 @@ async function main(args, version) {
     COLORS.dim
   );
 
-  await executeRebase(chain, options);
+  const stackEntries = options.stackTable
+    ? findStackEntries(startBranch, chain, host, source)
+    : null;
+  await executeRebase(chain, options, provider, host, stackEntries);
 }
 
 module.exports = {
@@ -0,0 +1,206 @@
+/**
+ * `rebase-stack parents` subcommand: view and edit recorded stack parents.
+ *
+ *   rebase-stack parents                              # List recorded parents
+ *   rebase-stack parents set <branch> <parent>        # Record one parent
+ *   rebase-stack parents unset <branch> [...]         # Forget recorded parents
+ *   rebase-stack parents declare <base> <b1> <b2> ... # Record a whole stack
+ */
+
+const { log, COLORS } = require("../utils/colors");
+const { branchExists, isGitRepository } = require("../utils/git");
+const { sanitizeBranchName } = require("../utils/validation");
+const {
+  getStackParent,
+  setStackParent,
+  unsetStackParent,
+  listStackParents,
+  recordStack,
+} = require("../utils/stack-metadata");
+const { formatTree } = require("../utils/ui");
+
+function showParentsHelp() {
+  log("\n📋 Rebase Stack - parents", COLORS.bright);
+  log("─".repeat(50));
+  log(
+    "\nView and edit the recorded parent of each stacked branch.",
+    COLORS.dim
+  );
+  log("Stored in git config as branch.<name>.stackParent.", COLORS.dim);
+  log("\nUsage:", COLORS.cyan);
+  log(
+    "  rebase-stack parents                               # List recorded parents"
+  );
+  log(
+    "  rebase-stack parents set <branch> <parent>         # Record one parent"
+  );
+  log(
+    "  rebase-stack parents unset <branch> [...]          # Forget recorded parents"
+  );
+  log(
+    "  rebase-stack parents declare <base> <b1> <b2> ...  # Record a whole stack"
+  );
+  log("");
+}
+
+function fail(message) {
+  log(`\n❌ ${message}`, COLORS.red);
+  process.exit(1);
+}
+
+function sanitizeOrFail(branch) {
+  try {
+    return sanitizeBranchName(branch);
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+/**
+ * Group recorded parents into trees, one per root branch (a parent with no
+ * recorded parent of its own). Each tree lists every branch after its parent,
+ * as formatTree expects.
+ */
+function groupIntoTrees(entries) {
+  const byParent = new Map();
+  for (const entry of entries) {
+    if (!byParent.has(entry.target)) {
+      byParent.set(entry.target, []);
+    }
+    byParent.get(entry.target).push(entry);
+  }
+
+  const branches = new Set(entries.map((entry) => entry.branch));
+  const roots = [...byParent.keys()].filter((parent) => !branches.has(parent));
+
+  return roots.sort().map((root) => {
+    const ordered = [];
+    const visit = (parent) => {
+      for (const entry of byParent.get(parent) || []) {
+        ordered.push(entry);
+        visit(entry.branch);
+      }
+    };
+    visit(root);
+    return { root, entries: ordered };
+  });
+}
+
+function listParents() {
+  const entries = listStackParents().map(({ branch, parent }) => ({
+    branch,
+    target: parent,
+  }));
+
+  if (entries.length === 0) {
+    log("\nNo stack parents recorded.", COLORS.dim);
+    return;
+  }
+
+  log("\n🌳 Recorded stack parents:", COLORS.bright);
+  log("─".repeat(60));
+
+  for (const tree of groupIntoTrees(entries)) {
+    log(`  ${tree.root}`, COLORS.dim);
+    formatTree(tree.entries, (entry) => entry.branch).forEach((line) =>
+      log(`  ${line}`, COLORS.reset)
+    );
+  }
+}
+
+/**
+ * Check that recording `parent` for `branch` would not create a cycle.
+ */
+function wouldCreateCycle(branch, parent) {
+  const seen = new Set();
+  let current = parent;
+  while (current && !seen.has(current)) {
+    if (current === branch) return true;
+    seen.add(current);
+    current = getStackParent(current);
+  }
+  return false;
+}
+
+function setParent(args) {
+  if (args.length !== 2) {
+    fail("Usage: rebase-stack parents set <branch> <parent>");
+  }
+  const [branch, parent] = args.map(sanitizeOrFail);
+
+  if (!branchExists(branch)) {
+    fail(`Branch not found locally: ${branch}`);
+  }
+  if (branch === parent || wouldCreateCycle(branch, parent)) {
+    fail(
+      `Recording ${parent} as the parent of ${branch} would create a cycle.`
+    );
+  }
+
+  setStackParent(branch, parent);
+  log(`✅ ${branch} → ${parent}`, COLORS.green);
+}
+
+function unsetParents(args) {
+  if (args.length === 0) {
+    fail("Usage: rebase-stack parents unset <branch> [...]");
+  }
+
+  for (const branch of args.map(sanitizeOrFail)) {
+    if (unsetStackParent(branch)) {
+      log(`✅ Forgot parent of ${branch}`, COLORS.green);
+    } else {
+      log(`⚠️  No parent recorded for ${branch}`, COLORS.yellow);
+    }
+  }
+}
+
+function declareStack(args) {
+  if (args.length < 2) {
+    fail(
+      "Usage: rebase-stack parents declare <base> <branch-1> [<branch-2> ...]"
+    );
+  }
+  const [base, ...branches] = args.map(sanitizeOrFail);
+
+  const missing = branches.filter((b) => !branchExists(b));
+  if (missing.length > 0) {
+    fail(`Branches not found locally: ${missing.join(", ")}`);
+  }
+  if (new Set([base, ...branches]).size !== branches.length + 1) {
+    fail("A branch cannot appear twice in a stack.");
+  }
+
+  recordStack(base, branches);
+  branches.forEach((branch, i) => {
+    log(`✅ ${branch} → ${i === 0 ? base : branches[i - 1]}`, COLORS.green);
+  });
+}
+
+function runParentsCommand(args) {
+  const [action = "list", ...rest] = args;
+
+  if (action === "--help" || action === "-h") {
+    showParentsHelp();
+    return;
+  }
+
+  if (!isGitRepository()) {
+    fail("Not a git repository.");
+  }
+
+  if (action === "list") {
+    listParents();
+  } else if (action === "set") {
+    setParent(rest);
+  } else if (action === "unset") {
+    unsetParents(rest);
+  } else if (action === "declare") {
+    declareStack(rest);
+  } else {
+    showParentsHelp();
+    fail(`Unknown parents command: ${action}`);
+  }
+}
+
+module.exports = { runParentsCommand };
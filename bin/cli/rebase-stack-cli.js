@@ -12,37 +12,68 @@
 const { log, COLORS } = require("../utils/colors");
 const {
   getCurrentBranch,
-  getRemoteUrl,
-  fetchFromOrigin,
-  checkoutBranch,
   isGitRepository,
   getBranchOwnCommits,
   branchExists,
   hasCleanWorkingTree,
+  resolveRef,
+  setRemote,
 } = require("../utils/git");
+const { applyConfiguredOptions, findNegatedSetting, findRepoFileCommands } = require("../utils/config");
+const { resolveProvider, resolveHost } = require("../utils/providers");
 const {
-  detectGitHubHost,
-  findPRForBranch,
-  isGitHubCLIInstalled,
-  isGitHubCLIAuthenticated,
-} = require("../utils/github");
-const { sanitizeBranchName, isProtectedBranch } = require("../utils/validation");
-const { promptConfirmation, displayBackups, displayRestoreInstructions } = require("../utils/ui");
-const { createBackup } = require("../utils/backup");
-const { rebaseFromCommits, pushRebasedBranch } = require("../core/rebase-stack");
+  sanitizeBranchName,
+  getProtectedPatterns,
+  isProtectedBranch,
+  loadHostProtectedBranches,
+} = require("../utils/validation");
+const { promptConfirmation, displayDroppedCommits, displayMergeCommits, displayPredictions, displayRepoFileCommands, quoteArg } = require("../utils/ui");
+const { startRun, continueRun, abortRun, undoRun, hasRunInProgress } = require("../core/executor");
+const { discoverStack } = require("../core/chain-builder");
+const { dropUpstreamCommits } = require("../core/upstream-commits");
+const { resolveStrategy, getReplayUpstream } = require("../core/rebase-onto");
+const { resolveMergeMode, applyMergeMode } = require("../core/merge-commits");
+const { createLocalSource } = require("../core/local-discovery");
+const { createMetadataSource } = require("../core/metadata-discovery");
+const { createPRSource } = require("../core/pr-graph");
+const { createPlan, writePlan, readPlan, checkPlan, getPlanSteps } = require("../core/plan");
+const { predictSteps } = require("../core/predict");
+const { resolveStackTable } = require("../core/stack-table");
+const { runParentsCommand } = require("./parents-cli");
+const { runBackupsCommand } = require("./backups-cli");
+const { runConfigCommand } = require("./config-cli");
+const { runStatusCommand } = require("./status-cli");
+const { runSubmitCommand } = require("./submit-cli");
+const { EXIT_CODES, startReport, updateReport, reportRun, exitCodeFor } = require("../utils/report");
 
 function parseArgs(args) {
-  const options = {
+  const options = applyConfiguredOptions({
     branches: [],
     dryRun: false,
     help: false,
     version: false,
     skipConfirmation: false,
     host: null,
-  };
+    provider: null,
+    remote: null,
+    local: false,
+    continue: false,
+    abort: false,
+    undo: false,
+    atomic: false,
+    inMemory: false,
+    strategy: null,
+    merges: null,
+    exec: null,
+    json: false,
+    planOut: null,
+    apply: null,
+    stackTable: false,
+  });
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
+    const negated = findNegatedSetting(arg);
 
     if (arg === "--help" || arg === "-h") {
       options.help = true;
@@ -54,6 +85,38 @@ function parseArgs(args) {
       options.skipConfirmation = true;
     } else if (arg === "--host" && args[i + 1]) {
       options.host = args[++i];
+    } else if (arg === "--provider" && args[i + 1]) {
+      options.provider = args[++i];
+    } else if (arg === "--remote" && args[i + 1]) {
+      options.remote = args[++i];
+    } else if (arg === "--local") {
+      options.local = true;
+    } else if (arg === "--continue") {
+      options.continue = true;
+    } else if (arg === "--abort") {
+      options.abort = true;
+    } else if (arg === "--undo") {
+      options.undo = true;
+    } else if (arg === "--atomic") {
+      options.atomic = true;
+    } else if (arg === "--in-memory") {
+      options.inMemory = true;
+    } else if (arg === "--strategy" && args[i + 1]) {
+      options.strategy = args[++i];
+    } else if (arg === "--merges" && args[i + 1]) {
+      options.merges = args[++i];
+    } else if (arg === "--exec" && args[i + 1]) {
+      options.exec = args[++i];
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--stack-table") {
+      options.stackTable = true;
+    } else if (arg === "--plan-out" && args[i + 1]) {
+      options.planOut = args[++i];
+    } else if (arg === "--apply" && args[i + 1]) {
+      options.apply = args[++i];
+    } else if (negated && negated.option in options) {
+      options[negated.option] = false;
     } else if (!arg.startsWith("-")) {
       options.branches.push(arg);
     }
@@ -74,16 +137,65 @@ function showHelp() {
   log("\nAuto-discovery (default):", COLORS.cyan);
   log("  Traces PRs upward from the target branch to a protected base");
   log("  (main, master, develop, etc.), then rebases the entire stack.");
-  log("  Requires GitHub CLI (gh) installed and authenticated.");
+  log("  Requires GitHub CLI (gh), or GitLab CLI (glab) for GitLab remotes, for");
+  log("  branches without a recorded parent.");
+  log("  With --local, parents are worked out from local git ancestry instead.");
+  log("  Parents recorded as stack metadata are used first (see below).");
   log("\nExplicit mode:", COLORS.cyan);
   log("  When 2+ positional arguments are given, treats them as an ordered");
   log("  list: <base> <branch-1> <branch-2> ... No GitHub CLI needed.");
+  log("\nStack metadata:", COLORS.cyan);
+  log("  Every rebased branch's parent is recorded in git config as");
+  log("  branch.<name>.stackParent, so later runs can auto-discover it");
+  log("  without an open PR. View and edit it with:");
+  log("  rebase-stack parents [list|set|unset|declare]");
+  log("\nBackups:", COLORS.cyan);
+  log("  Each run backs up every branch to refs/backup/<branch>-<run id>.");
+  log("  List, diff, restore (one branch or a whole run) and prune them with:");
+  log("  rebase-stack backups [list|show|restore|prune]");
+  log("\nStatus:", COLORS.cyan);
+  log("  Show each branch's PR state, CI checks, commits behind its parent and");
+  log("  whether it differs from the remote, as a tree (or with --json):");
+  log("  rebase-stack status [<branch>]");
+  log("\nSubmit:", COLORS.cyan);
+  log("  Push a stack, parent first, and open each branch's PR against its");
+  log("  parent (or move an existing PR onto it); --dry-run previews it:");
+  log("  rebase-stack submit [<branch> | <base> <branch-1> ...]");
+  log("\nConfiguration:", COLORS.cyan);
+  log("  Option defaults come from ~/.config/rebase-stack/config.json, then");
+  log("  .rebasestackrc.json (or the rebaseStack key in package.json), then");
+  log("  REBASE_STACK_* variables; flags override them all.");
+  log("  Turn off a setting for one run with --no-<flag> (e.g. --no-in-memory).");
+  log("  See the effective settings with: rebase-stack config");
   log("\nOptions:", COLORS.cyan);
   log("  -h, --help       Show this help message");
   log("  -v, --version    Show version number");
-  log("  --dry-run        Preview changes without applying them");
+  log("  --dry-run        Preview changes and predict conflicts without applying them");
   log("  -y, --yes        Skip confirmation prompt");
-  log("  --host <host>    GitHub Enterprise hostname (auto-detected from remote)");
+  log("  --host <host>    GitHub Enterprise / GitLab hostname (auto-detected from remote)");
+  log("  --provider <name> github or gitlab (auto-detected from remote)");
+  log("  --remote <name>  Remote to fetch from and push to (default: origin)");
+  log("  --local          Auto-discover from local git ancestry (no gh/glab needed)");
+  log("  --continue       Resume a run stopped by a conflict or error");
+  log("  --abort          Roll back a stopped run to the backup refs");
+  log("  --undo           Restore and force-push back every branch of the last run");
+  log("  --atomic         Push all branches at once only if every rebase succeeds");
+  log("  --in-memory      Rebase without checking anything out (git merge-tree)");
+  log("  --strategy <name> cherry-pick (default) or rebase (git rebase --onto)");
+  log("  --merges <mode>  linearize (default) or preserve merge commits in branches");
+  log("  --exec <command> Run a command on each rebased branch before pushing it");
+  log("  --json           Print the stack and each branch's outcome as JSON on stdout");
+  log("                   (logs go to stderr)");
+  log("  --plan-out <file> Write the stack, targets and pinned commits to a plan file");
+  log("                   instead of rebasing");
+  log("  --apply <file>   Run a plan file exactly, refusing if any branch (local or");
+  log("                   remote) has moved since it was written");
+  log("  --stack-table    After the run, keep a table of the whole stack in each PR");
+  log("                   description (in a marked section)");
+  log("\nExit codes:", COLORS.cyan);
+  log("  0  Done (also a dry run, nothing to rebase, or declined at the prompt)");
+  log("  1  Invalid input, a failed check, or a failed run");
+  log("  2  Paused on a conflict: resolve it, then run --continue");
   log("\nExamples:", COLORS.cyan);
   log("  # Auto-discover and rebase stack ending at current branch");
   log("  rebase-stack");
@@ -95,152 +207,302 @@ function showHelp() {
   log("  rebase-stack --dry-run");
   log("\n  # GitHub Enterprise");
   log("  rebase-stack --host github.mycompany.com");
+  log("\n  # GitLab merge requests (usually detected from the remote)");
+  log("  rebase-stack --provider gitlab");
+  log("\n  # Offline: discover the stack from local history");
+  log("  rebase-stack --local");
+  log("\n  # After resolving a conflict (git add <files>)");
+  log("  rebase-stack --continue");
+  log("\n  # All or nothing: never leave the remote stack half-rewritten");
+  log("  rebase-stack --atomic");
+  log("\n  # Use git rebase --onto instead of cherry-picking");
+  log("  rebase-stack --strategy rebase");
+  log("\n  # Recreate merge commits instead of flattening them");
+  log("  rebase-stack --merges preserve");
+  log("\n  # Only push branches that still pass the tests");
+  log("  rebase-stack --exec 'npm test'");
+  log("\n  # Review a restack first, then run exactly that");
+  log("  rebase-stack --plan-out plan.json");
+  log("  rebase-stack --apply plan.json");
   log("");
 }
 
-/**
- * Discover the stack by tracing PRs upward from the given branch.
- * Returns { base, branches } where branches is ordered parent-to-child.
- */
-function discoverStack(startBranch, host) {
-  log(`\n🔍 Discovering stack from ${startBranch}...`, COLORS.cyan);
-  if (host) {
-    log(`   Using GitHub host: ${host}`, COLORS.dim);
-  }
-
-  const stack = [];
-  let current = startBranch;
-  const visited = new Set();
-
-  while (true) {
-    if (visited.has(current)) {
-      log(`\n❌ Circular reference detected at ${current}`, COLORS.red);
-      process.exit(1);
-    }
-    visited.add(current);
-
-    const pr = findPRForBranch(current, host);
-    if (!pr) {
-      log(`\n❌ No open PR found for branch "${current}".`, COLORS.red);
-      log("   All branches in the stack must have open PRs.", COLORS.dim);
-      log("   Or use explicit mode: rebase-stack <base> <branch-1> ...", COLORS.dim);
-      process.exit(1);
-    }
-
-    log(`   #${pr.number} ${current} → ${pr.base}`, COLORS.dim);
-    stack.unshift(current);
-
-    if (isProtectedBranch(pr.base)) {
-      // Reached the root base
-      return { base: pr.base, branches: stack };
-    }
-
-    current = pr.base;
-  }
-}
-
-function displayStack(base, stack) {
+function displayStack(base, stack, mergeMode) {
   log("\n🔄 Stack to rebase:", COLORS.bright);
   log("─".repeat(60));
   log(`  base: ${base}`, COLORS.dim);
   stack.forEach((item, i) => {
     log(`  ${i + 1}. ${item.branch}  (${item.commits.length} own commit${item.commits.length === 1 ? "" : "s"})`, COLORS.reset);
     log(`     └── onto: ${item.onto}`, COLORS.dim);
+    if (item.retarget) {
+      const pr = item.retarget.number ? `PR #${item.retarget.number}` : "it";
+      log(`         ↪️  ${item.retarget.from} has landed; ${pr} moves onto ${item.onto}`, COLORS.yellow);
+    }
+    displayMergeCommits(item.merges, mergeMode, "         ");
+    displayDroppedCommits(item.dropped, "         ");
   });
 }
 
 /**
- * Capture each branch's own commits before any rebasing.
+ * Capture each branch's own commits before any rebasing, leaving out commits
+ * whose changes are already on the base (e.g. a squash-merged parent PR).
+ * `upstream` is where `git rebase --onto` starts from for the same commits.
  */
-function captureOwnCommits(base, branches) {
+function captureOwnCommits(base, branches, retargets = [], mergeMode = "linearize") {
   const stack = [];
 
   for (let i = 0; i < branches.length; i++) {
     const branch = branches[i];
     const parent = i === 0 ? base : branches[i - 1];
+    const retarget = retargets.find((r) => r.branch === branch) || null;
+
+    // A branch moved off a landed parent leaves that parent's commits out
+    const exclude = (retarget && retarget.exclude) || parent;
+    const { commits: own, merges } = applyMergeMode(
+      branch,
+      exclude,
+      getBranchOwnCommits(branch, exclude).reverse(),
+      mergeMode
+    );
+    const { commits, dropped } = dropUpstreamCommits(base, branch, own, retarget?.landedNumber);
+    const upstream = getReplayUpstream(own, commits, resolveRef(exclude));
+
+    stack.push({ branch, onto: parent, commits, dropped, merges, upstream, retarget });
+  }
 
-    const commits = getBranchOwnCommits(branch, parent);
-    commits.reverse();
+  return stack;
+}
 
-    stack.push({ branch, onto: parent, commits });
+/**
+ * Find each branch's open PR number (null without one), for --json output.
+ */
+function lookupPRNumbers(branches, source) {
+  const numbers = {};
+  for (const branch of branches) {
+    numbers[branch] = source.findPRForBranch(branch)?.number || null;
   }
+  return numbers;
+}
 
-  return stack;
+/**
+ * Describe the captured stack for --json output, before anything is rebased.
+ */
+function describeStack(stack) {
+  return stack.map((item) => ({
+    branch: item.branch,
+    number: item.number,
+    target: item.onto,
+    commits: item.commits,
+    dropped: item.dropped,
+    outcome: "planned",
+    pushed: false,
+  }));
+}
+
+/**
+ * Turn the captured stack into run steps (see startRun).
+ */
+function buildSteps(stack, provider, host) {
+  return stack.map((item) => ({
+    branch: item.branch,
+    onto: item.onto,
+    commits: item.commits,
+    upstream: item.upstream,
+    refreshOnto: false,
+    number: item.number,
+    dropped: item.dropped,
+    retarget: item.retarget?.number ? { number: item.retarget.number, host, provider: provider.name } : null,
+  }));
 }
 
-async function executeRebase(stack, options) {
-  if (!options.skipConfirmation) {
+async function executeRebase(steps, options) {
+  if (hasRunInProgress()) {
+    log("\n❌ A rebase run is already in progress.", COLORS.red);
+    log("   Resume it with --continue or roll it back with --abort.", COLORS.dim);
+    process.exit(1);
+  }
+  const stackTable = options.stackTable ? resolveStackTable(options) : null;
+
+  // A command set by the repo's own config is always confirmed
+  const repoCommands = findRepoFileCommands(options);
+  displayRepoFileCommands(repoCommands);
+  if (!options.skipConfirmation || repoCommands.length > 0) {
     const confirmed = await promptConfirmation("\n❓ Do you want to continue?");
     if (!confirmed) {
       log("\n❌ Aborted by user.", COLORS.yellow);
-      process.exit(0);
+      updateReport({ status: "cancelled" });
+      process.exit(EXIT_CODES.ok);
     }
   }
 
-  const originalBranch = getCurrentBranch();
-
-  log("\n🚀 Starting rebase...", COLORS.bright);
-  log("─".repeat(50));
-
-  log("\n📥 Fetching latest from origin...", COLORS.cyan);
-  if (!fetchFromOrigin()) {
-    log("⚠️  Could not fetch from origin", COLORS.yellow);
+  const result = await startRun("rebase-stack", steps, {
+    atomic: options.atomic,
+    inMemory: options.inMemory,
+    strategy: options.strategy,
+    merges: options.merges,
+    exec: options.exec,
+    remote: options.remote,
+    stackTable,
+  });
+  reportRun(result);
+  if (result.status !== "done") {
+    process.exit(exitCodeFor(result.status));
   }
+}
 
-  const backups = [];
-  let successCount = 0;
+/**
+ * Resume (--continue) or roll back (--abort) an interrupted run, or undo
+ * (--undo) the last finished one.
+ */
+async function controlRun(options) {
+  try {
+    if (options.abort) {
+      const state = abortRun();
+      updateReport({ status: "aborted", runId: state.runId, backups: state.backups });
+      log("\n✅ Rebase aborted, branches restored from backups", COLORS.green);
+      return;
+    }
 
-  for (const item of stack) {
-    try {
-      log(`\n💾 Creating backup for ${item.branch}...`, COLORS.cyan);
-      const backupRef = createBackup(item.branch);
-      if (backupRef) {
-        backups.push({ branch: item.branch, ref: backupRef });
-        log(`   ✅ Backup created: ${backupRef}`, COLORS.green);
+    if (options.undo) {
+      const { entry, failedPushes } = undoRun();
+      updateReport({
+        status: failedPushes.length > 0 ? "failed" : "undone",
+        runId: entry.runId,
+        branches: entry.branches,
+      });
+      if (failedPushes.length > 0) {
+        log(`\n❌ Restored locally, but could not push: ${failedPushes.join(", ")}`, COLORS.red);
+        process.exit(1);
       }
+      log("\n✅ Last run undone", COLORS.green);
+      return;
+    }
 
-      rebaseFromCommits(item.branch, item.onto, item.commits);
-      pushRebasedBranch(item.branch);
-      successCount++;
-    } catch (error) {
-      log(`\n❌ Failed at ${item.branch}: ${error.message}`, COLORS.red);
-      displayRestoreInstructions(backups);
-      break;
+    const result = await continueRun();
+    reportRun(result);
+    if (result.status !== "done") {
+      process.exit(exitCodeFor(result.status));
     }
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    process.exit(1);
   }
+}
 
+/**
+ * Run a plan file written with --plan-out (--apply), after checking that
+ * nothing it pinned has moved since.
+ */
+async function applyPlan(options) {
+  let plan;
   try {
-    checkoutBranch(originalBranch, { ignoreError: true });
-  } catch {
-    log(`⚠️  Could not return to original branch ${originalBranch}`, COLORS.yellow);
+    plan = readPlan(options.apply);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    process.exit(1);
+  }
+  if (options.inMemory && plan.strategy === "rebase") {
+    log("\n❌ --in-memory only works with the cherry-pick strategy.", COLORS.red);
+    process.exit(1);
   }
+  setRemote(plan.remote);
+  updateReport({ base: plan.base.branch, branches: describeStack(plan.steps) });
 
-  log("\n" + "─".repeat(50));
-  log(`✅ Rebased ${successCount}/${stack.length} branches`, COLORS.green);
+  log(`\n📄 Plan written ${plan.createdAt}:`, COLORS.bright);
+  log("─".repeat(60));
+  log(`  base: ${plan.base.branch}`, COLORS.dim);
+  plan.steps.forEach((step, i) => {
+    log(`  ${i + 1}. ${step.branch}  (${step.commits.length} own commit${step.commits.length === 1 ? "" : "s"})`, COLORS.reset);
+    log(`     └── onto: ${step.onto}`, COLORS.dim);
+  });
 
-  displayBackups(backups);
+  refuseProtectedBranches(plan.steps.map((step) => step.branch));
+  requireCleanWorkingTree();
 
-  if (successCount < stack.length) {
+  log(`\n🔍 Checking the stack against the plan (${plan.remote})...`, COLORS.cyan);
+  const problems = checkPlan(plan);
+  if (problems.length > 0) {
+    log("\n❌ The stack has moved since the plan was written:", COLORS.red);
+    problems.forEach((problem) => log(`   • ${problem}`, COLORS.red));
+    log("   Write a new plan with --plan-out.", COLORS.dim);
     process.exit(1);
   }
+  log("   ✅ Every branch is where the plan expects it", COLORS.green);
+
+  log("\n⚠️  This will force-push the above branches.", COLORS.yellow);
+  log("   Backup refs will be created at refs/backup/<branch>-<timestamp>", COLORS.dim);
+
+  await executeRebase(getPlanSteps(plan), {
+    ...options,
+    strategy: plan.strategy,
+    merges: plan.merges,
+    remote: plan.remote,
+  });
 }
 
-function validateGitHubCLI() {
-  if (!isGitHubCLIInstalled()) {
-    log("❌ GitHub CLI (gh) is required for auto-discovery.", COLORS.red);
-    log("   Install: https://cli.github.com/", COLORS.dim);
+function refuseProtectedBranches(branches) {
+  const protectedInStack = branches.filter(isProtectedBranch);
+  if (protectedInStack.length > 0) {
+    log("\n❌ Cannot rebase protected branches:", COLORS.red);
+    protectedInStack.forEach((b) => log(`   • ${b}`, COLORS.red));
+    log(`\n   Protected branches: ${getProtectedPatterns().join(", ")}`, COLORS.dim);
+    process.exit(1);
+  }
+}
+
+function requireCleanWorkingTree() {
+  if (!hasCleanWorkingTree()) {
+    log("\n❌ Working tree has uncommitted changes.", COLORS.red);
+    log("   Commit or stash them before rebasing.", COLORS.dim);
+    process.exit(1);
+  }
+}
+
+function isProviderCLIReady(provider) {
+  return provider.isCLIInstalled() && provider.isCLIAuthenticated();
+}
+
+function validateProviderCLI(provider) {
+  if (!provider.isCLIInstalled()) {
+    log(`❌ ${provider.label} CLI (${provider.cli}) is required for auto-discovery.`, COLORS.red);
+    log(`   Install: ${provider.installUrl}`, COLORS.dim);
     log("   Or use explicit mode: rebase-stack <base> <branch-1> ...", COLORS.dim);
     process.exit(1);
   }
 
-  if (!isGitHubCLIAuthenticated()) {
-    log("❌ GitHub CLI is not authenticated.", COLORS.red);
-    log("   Run: gh auth login", COLORS.dim);
+  if (!provider.isCLIAuthenticated()) {
+    log(`❌ ${provider.label} CLI is not authenticated.`, COLORS.red);
+    log(`   Run: ${provider.cli} auth login`, COLORS.dim);
     process.exit(1);
   }
 }
 
 async function main(args, version) {
+  if (args[0] === "parents") {
+    runParentsCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "backups") {
+    runBackupsCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "config") {
+    runConfigCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "status") {
+    runStatusCommand(args.slice(1));
+    return;
+  }
+
+  if (args[0] === "submit") {
+    await runSubmitCommand(args.slice(1));
+    return;
+  }
+
   const options = parseArgs(args);
 
   if (options.help) {
@@ -252,14 +514,44 @@ async function main(args, version) {
     log(`rebase-stack v${version}`);
     process.exit(0);
   }
+  if (options.json) {
+    startReport("rebase-stack");
+  }
 
   if (!isGitRepository()) {
     log("❌ Not a git repository.", COLORS.red);
     process.exit(1);
   }
+  setRemote(options.remote);
+
+  if (options.continue || options.abort || options.undo) {
+    await controlRun(options);
+    return;
+  }
+
+  if (options.apply) {
+    await applyPlan(options);
+    return;
+  }
+
+  try {
+    options.strategy = resolveStrategy(options.strategy);
+    options.merges = resolveMergeMode(options.merges);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    process.exit(1);
+  }
+  if (options.inMemory && options.strategy === "rebase") {
+    log("\n❌ --in-memory only works with the cherry-pick strategy.", COLORS.red);
+    process.exit(1);
+  }
 
   let base;
   let branches;
+  let retargets = [];
+  let numbers = {};
+  let host = null;
+  let provider = null;
 
   if (options.branches.length >= 2) {
     // Explicit mode: <base> <branch-1> <branch-2> ...
@@ -267,9 +559,6 @@ async function main(args, version) {
     branches = options.branches.slice(1).map(sanitizeBranchName);
   } else {
     // Auto-discovery mode
-    validateGitHubCLI();
-
-    const host = options.host || process.env.GH_HOST || detectGitHubHost(getRemoteUrl());
     const startBranch = options.branches.length === 1
       ? sanitizeBranchName(options.branches[0])
       : getCurrentBranch();
@@ -285,18 +574,58 @@ async function main(args, version) {
       process.exit(1);
     }
 
-    const discovered = discoverStack(startBranch, host);
+    // Recorded stack parents come first; PRs (or local ancestry) fill the gaps
+    if (!options.local) {
+      try {
+        provider = resolveProvider(options);
+      } catch (error) {
+        log(`\n❌ ${error.message}`, COLORS.red);
+        process.exit(1);
+      }
+      host = resolveHost(provider, options);
+      if (isProviderCLIReady(provider)) {
+        loadHostProtectedBranches(provider, host);
+      }
+    }
+    const source = options.local
+      ? createMetadataSource(() => createLocalSource())
+      : createMetadataSource(() => (isProviderCLIReady(provider) ? createPRSource(host, provider) : null));
+
+    if (options.local) {
+      log("\n📴 Using local discovery (git ancestry, no PR host)", COLORS.dim);
+    }
+
+    let discovered;
+    try {
+      discovered = discoverStack(startBranch, options.local ? null : host, source);
+    } catch (error) {
+      if (error.isMissingPR && options.local) {
+        log(`\n❌ Could not work out the parent of "${error.branch}" from local history.`, COLORS.red);
+        log(`   Record it: rebase-stack parents set ${quoteArg(error.branch)} <parent>`, COLORS.dim);
+        log("   Or use explicit mode: rebase-stack <base> <branch-1> ...", COLORS.dim);
+      } else if (error.isMissingPR) {
+        // Without gh (or glab), only recorded parents could be used
+        validateProviderCLI(provider);
+        log(`\n❌ ${error.message}`, COLORS.red);
+        log("   All branches in the stack must have open PRs or a recorded parent.", COLORS.dim);
+        log(`   Record it: rebase-stack parents set ${quoteArg(error.branch)} <parent>`, COLORS.dim);
+        log("   Or use explicit mode: rebase-stack <base> <branch-1> ...", COLORS.dim);
+      } else {
+        log(`\n❌ ${error.message}`, COLORS.red);
+      }
+      process.exit(1);
+    }
     base = discovered.base;
     branches = discovered.branches;
+    retargets = discovered.retargets;
+    if (options.json) {
+      numbers = lookupPRNumbers(branches, source);
+    }
   }
+  updateReport({ base });
 
   // Validate no protected branches in the rebase targets
-  const protectedInStack = branches.filter(isProtectedBranch);
-  if (protectedInStack.length > 0) {
-    log("\n❌ Cannot rebase protected branches:", COLORS.red);
-    protectedInStack.forEach((b) => log(`   • ${b}`, COLORS.red));
-    process.exit(1);
-  }
+  refuseProtectedBranches(branches);
 
   // Verify all branches exist locally
   const allBranches = [base, ...branches];
@@ -304,20 +633,20 @@ async function main(args, version) {
   if (missing.length > 0) {
     log("\n❌ Branches not found locally:", COLORS.red);
     missing.forEach((b) => log(`   • ${b}`, COLORS.red));
-    log("   Fetch from origin first: git fetch origin", COLORS.dim);
+    log(`   Fetch them first: git fetch ${quoteArg(options.remote)}`, COLORS.dim);
     process.exit(1);
   }
 
   // Check for dirty working tree
-  if (!hasCleanWorkingTree()) {
-    log("\n❌ Working tree has uncommitted changes.", COLORS.red);
-    log("   Commit or stash them before rebasing.", COLORS.dim);
-    process.exit(1);
-  }
+  requireCleanWorkingTree();
 
   log(`\n🔍 Capturing own commits for ${branches.length} branch${branches.length === 1 ? "" : "es"}...`, COLORS.cyan);
 
-  const stack = captureOwnCommits(base, branches);
+  const stack = captureOwnCommits(base, branches, retargets, options.merges);
+  stack.forEach((item) => {
+    item.number = numbers[item.branch] || null;
+  });
+  updateReport({ branches: describeStack(stack) });
 
   const emptyBranches = stack.filter((s) => s.commits.length === 0);
   if (emptyBranches.length > 0) {
@@ -325,7 +654,21 @@ async function main(args, version) {
     emptyBranches.forEach((s) => log(`   • ${s.branch}`, COLORS.yellow));
   }
 
-  displayStack(base, stack);
+  displayStack(base, stack, options.merges);
+  const steps = buildSteps(stack, provider, host);
+
+  if (options.planOut) {
+    try {
+      writePlan(options.planOut, createPlan(base, steps, options));
+    } catch (error) {
+      log(`\n❌ Could not write the plan: ${error.message}`, COLORS.red);
+      process.exit(1);
+    }
+    log(`\n📄 Plan written to ${options.planOut}`, COLORS.green);
+    log(`   Run it with: rebase-stack --apply ${quoteArg(options.planOut)}`, COLORS.dim);
+    updateReport({ status: "planned" });
+    process.exit(EXIT_CODES.ok);
+  }
 
   if (options.dryRun) {
     log("\n📝 Dry run - no changes made", COLORS.yellow);
@@ -333,13 +676,19 @@ async function main(args, version) {
       log(`\n  ${item.branch}:`, COLORS.dim);
       item.commits.forEach((h) => log(`    ${h}`, COLORS.dim));
     });
-    process.exit(0);
+    const predictions = predictSteps(stack);
+    displayPredictions(stack, predictions);
+    updateReport({
+      status: "dry-run",
+      branches: describeStack(stack).map((entry, i) => ({ ...entry, prediction: predictions[i] })),
+    });
+    process.exit(EXIT_CODES.ok);
   }
 
   log("\n⚠️  This will force-push the above branches.", COLORS.yellow);
   log("   Backup refs will be created at refs/backup/<branch>-<timestamp>", COLORS.dim);
 
-  await executeRebase(stack, options);
+  await executeRebase(steps, options);
 }
 
 module.exports = { main };
@@ -0,0 +1,295 @@
+/**
+ * `rebase-stack status` subcommand: show the health of every branch in the
+ * stack around a branch, as a tree (see core/stack-status.js).
+ *
+ *   rebase-stack status [<branch>]         # Stack of the current (or given) branch
+ *   rebase-stack status --json             # The same as JSON on stdout
+ */
+
+const { log, COLORS } = require("../utils/colors");
+const {
+  getCurrentBranch,
+  isGitRepository,
+  fetchFromRemote,
+  getRemote,
+  setRemote,
+} = require("../utils/git");
+const {
+  applyConfiguredOptions,
+  findNegatedSetting,
+} = require("../utils/config");
+const { resolveProvider, resolveHost } = require("../utils/providers");
+const {
+  sanitizeBranchName,
+  isProtectedBranch,
+  loadHostProtectedBranches,
+} = require("../utils/validation");
+const { formatBranchLabel, formatTree, quoteArg } = require("../utils/ui");
+const { startReport, updateReport } = require("../utils/report");
+const { discoverStack, buildPRChain } = require("../core/chain-builder");
+const { createLocalSource } = require("../core/local-discovery");
+const { createMetadataSource } = require("../core/metadata-discovery");
+const { createPRSource } = require("../core/pr-graph");
+const { collectStackStatus } = require("../core/stack-status");
+
+function showStatusHelp() {
+  log("\n📋 Rebase Stack - status", COLORS.bright);
+  log("─".repeat(50));
+  log(
+    "\nShow every branch of the stack around a branch: its PR (state, draft,",
+    COLORS.dim
+  );
+  log(
+    "CI checks), commits ahead of and behind its parent, whether it needs a",
+    COLORS.dim
+  );
+  log("rebase, and whether the local and remote copies differ.", COLORS.dim);
+  log("\nUsage:", COLORS.cyan);
+  log(
+    "  rebase-stack status [<branch>]     # Stack of the current (or given) branch"
+  );
+  log("\nOptions:", COLORS.cyan);
+  log("  --local          Discover from local git ancestry (no PR details)");
+  log("  --no-local       Ask the PR host even if local is configured");
+  log("  --no-fetch       Compare with the remote-tracking refs as they are");
+  log("  --host <host>    GitHub Enterprise / GitLab hostname");
+  log("  --provider <name> github or gitlab (auto-detected from remote)");
+  log("  --remote <name>  Remote to compare with (default: origin)");
+  log("  --json           Print the status as JSON on stdout");
+  log("");
+}
+
+function fail(message) {
+  log(`\n❌ ${message}`, COLORS.red);
+  process.exit(1);
+}
+
+function parseStatusArgs(args) {
+  const options = applyConfiguredOptions({
+    branch: null,
+    host: null,
+    provider: null,
+    remote: null,
+    local: false,
+    fetch: true,
+    json: false,
+  });
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const negated = findNegatedSetting(arg);
+    if (arg === "--local") {
+      options.local = true;
+    } else if (arg === "--no-fetch") {
+      options.fetch = false;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (
+      ["--host", "--provider", "--remote"].includes(arg) &&
+      args[i + 1]
+    ) {
+      options[arg.slice(2)] = args[++i];
+    } else if (negated && negated.option in options) {
+      options[negated.option] = false;
+    } else if (!arg.startsWith("-") && !options.branch) {
+      options.branch = arg;
+    } else {
+      fail(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Find the stack around `start`: its ancestors down to the protected base
+ * (discoverStack) and every branch stacked on it (buildPRChain). Returns
+ * { base, entries } with entries as [{ branch, target, number }], every
+ * branch after its parent.
+ */
+function findStack(start, host, source) {
+  const ancestors = isProtectedBranch(start)
+    ? { base: start, branches: [] }
+    : discoverStack(start, host, source);
+  const entries = ancestors.branches.map((branch, i) => ({
+    branch,
+    target: i === 0 ? ancestors.base : ancestors.branches[i - 1],
+    number: source.findPRForBranch(branch)?.number || null,
+  }));
+
+  const descendants = buildPRChain(start, host, source).map((item) => ({
+    branch: item.branch,
+    target: item.target,
+    number: item.number || null,
+  }));
+
+  return { base: ancestors.base, entries: entries.concat(descendants) };
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+function describePR(status) {
+  if (!status.number) return "no PR";
+  if (!status.state) return "PR status unknown";
+  return status.draft ? `${status.state}, draft` : status.state;
+}
+
+function describeRemote({ state, ahead, behind }) {
+  const remote = getRemote();
+  if (state === "same") return `in sync with ${remote}`;
+  if (state === "ahead") return `${ahead} unpushed`;
+  if (state === "behind") return `${behind} behind ${remote}`;
+  if (state === "diverged") return `diverged from ${remote}`;
+  if (state === "remote-only") return `only on ${remote}`;
+  return `not on ${remote}`;
+}
+
+function describeChecks(checks) {
+  if (checks.status === "passing") return "✅ checks passing";
+  if (checks.status === "failing") {
+    return `❌ ${pluralize(checks.failed, "check")} failing`;
+  }
+  if (checks.status === "pending") {
+    return `⏳ ${pluralize(checks.pending, "check")} pending`;
+  }
+  return "no checks";
+}
+
+function formatStatus(status) {
+  const parts = [describePR(status)];
+  if (status.ahead === null) {
+    parts.push("branch missing");
+  } else {
+    parts.push(
+      `↑${status.ahead} ↓${status.behind}${status.needsRebase ? " needs rebase" : ""}`
+    );
+  }
+  parts.push(describeRemote(status.remote));
+  if (status.checks) {
+    parts.push(describeChecks(status.checks));
+  }
+  return `${formatBranchLabel(status.number, status.branch)}  ${parts.join(" · ")}`;
+}
+
+function getStatusColor(status) {
+  if (status.checks?.status === "failing" || status.remote.state === "diverged")
+    return COLORS.red;
+  if (status.needsRebase) return COLORS.yellow;
+  return COLORS.reset;
+}
+
+function displayStatus(base, statuses) {
+  log("\n📊 Stack status:", COLORS.bright);
+  log("─".repeat(60));
+  log(`  ${base}`, COLORS.dim);
+  const items = statuses.map((status) => ({
+    ...status,
+    target: status.parent,
+  }));
+  formatTree(items, formatStatus).forEach((line, i) =>
+    log(`  ${line}`, getStatusColor(statuses[i]))
+  );
+  log("\n  ↑ commits ahead of the parent, ↓ commits behind it", COLORS.dim);
+
+  const stale = statuses.filter((status) => status.needsRebase);
+  if (stale.length > 0) {
+    const names = stale.map((status) => status.branch).join(", ");
+    log(
+      stale.length === 1
+        ? `\n⚠️  1 branch is behind its parent: ${names}`
+        : `\n⚠️  ${stale.length} branches are behind their parents: ${names}`,
+      COLORS.yellow
+    );
+    log("   Restack with: rebase-stack", COLORS.dim);
+  }
+}
+
+function runStatusCommand(args) {
+  if (args.includes("--help") || args.includes("-h")) {
+    showStatusHelp();
+    return;
+  }
+
+  const options = parseStatusArgs(args);
+  if (options.json) {
+    startReport("rebase-stack status");
+  }
+  if (!isGitRepository()) {
+    fail("Not a git repository.");
+  }
+  setRemote(options.remote);
+
+  let start;
+  try {
+    start = options.branch
+      ? sanitizeBranchName(options.branch)
+      : getCurrentBranch();
+  } catch (error) {
+    fail(error.message);
+  }
+  if (!start) {
+    fail("Could not determine current branch.");
+  }
+
+  let provider = null;
+  let host = null;
+  let ready = false;
+  if (!options.local) {
+    try {
+      provider = resolveProvider(options);
+    } catch (error) {
+      fail(error.message);
+    }
+    host = resolveHost(provider, options);
+    ready = provider.isCLIInstalled() && provider.isCLIAuthenticated();
+    if (ready) {
+      loadHostProtectedBranches(provider, host);
+    } else {
+      log(
+        `⚠️  ${provider.label} CLI (${provider.cli}) is not available; showing recorded parents and git only`,
+        COLORS.yellow
+      );
+    }
+  }
+  // Recorded stack parents come first; PRs (or local ancestry) fill the gaps
+  const source = createMetadataSource(() => {
+    if (options.local) return createLocalSource();
+    return ready ? createPRSource(host, provider) : null;
+  });
+
+  if (options.fetch) {
+    log(`\n📥 Fetching latest from ${getRemote()}...`, COLORS.cyan);
+    if (!fetchFromRemote()) {
+      log(`⚠️  Could not fetch from ${getRemote()}`, COLORS.yellow);
+    }
+  }
+
+  let stack;
+  try {
+    stack = findStack(start, options.local ? null : host, source);
+  } catch (error) {
+    log(`\n❌ ${error.message}`, COLORS.red);
+    if (error.isMissingPR) {
+      log(
+        `   Record its parent: rebase-stack parents set ${quoteArg(error.branch)} <parent>`,
+        COLORS.dim
+      );
+    }
+    process.exit(1);
+  }
+
+  const statuses = collectStackStatus(
+    stack.entries,
+    ready ? (number) => provider.fetchPRStatus(number, host) : null
+  );
+  updateReport({ status: "done", base: stack.base, branches: statuses });
+
+  if (statuses.length === 0) {
+    log(`\nNo stacked branches found on ${start}.`, COLORS.dim);
+    return;
+  }
+  displayStatus(stack.base, statuses);
+}
+
+module.exports = { runStatusCommand };
@@ -0,0 +1,313 @@
+/**
+ * `rebase-stack submit` subcommand: push a local stack and open or fix its
+ * PRs so each one targets its parent branch (see core/submit.js).
+ *
+ *   rebase-stack submit                          # Stack ending at the current branch
+ *   rebase-stack submit <branch>                 # Stack ending at <branch>
+ *   rebase-stack submit <base> <b1> <b2> ...     # Explicit stack
+ */
+
+const { log, COLORS } = require("../utils/colors");
+const {
+  getCurrentBranch,
+  isGitRepository,
+  branchExists,
+  fetchFromRemote,
+  getRemote,
+  setRemote,
+} = require("../utils/git");
+const {
+  applyConfiguredOptions,
+  findNegatedSetting,
+} = require("../utils/config");
+const { resolveProvider, resolveHost } = require("../utils/providers");
+const {
+  sanitizeBranchName,
+  isProtectedBranch,
+  getProtectedPatterns,
+} = require("../utils/validation");
+const {
+  promptConfirmation,
+  formatBranchLabel,
+  quoteArg,
+} = require("../utils/ui");
+const { EXIT_CODES, startReport, updateReport } = require("../utils/report");
+const { discoverStack } = require("../core/chain-builder");
+const { createLocalSource } = require("../core/local-discovery");
+const { createMetadataSource } = require("../core/metadata-discovery");
+const { planSubmit, runSubmit } = require("../core/submit");
+const { updateStackTables } = require("../core/stack-table");
+
+function showSubmitHelp() {
+  log("\n📋 Rebase Stack - submit", COLORS.bright);
+  log("─".repeat(50));
+  log(
+    "\nPush every branch of a stack, parent first, then open its PR against",
+    COLORS.dim
+  );
+  log("its parent or move an existing PR onto the right base.", COLORS.dim);
+  log(
+    "Without explicit branches, the stack comes from recorded parents, then",
+    COLORS.dim
+  );
+  log("local git ancestry.", COLORS.dim);
+  log("\nUsage:", COLORS.cyan);
+  log(
+    "  rebase-stack submit                       # Stack ending at the current branch"
+  );
+  log("  rebase-stack submit <branch>              # Stack ending at <branch>");
+  log("  rebase-stack submit <base> <b1> <b2> ...  # Explicit stack");
+  log("\nOptions:", COLORS.cyan);
+  log("  --dry-run        Show what would be pushed and opened, and stop");
+  log("  -y, --yes        Skip confirmation prompt");
+  log("  --draft          Open new PRs as drafts");
+  log(
+    "  --stack-table    Keep a table of the whole stack in each PR description"
+  );
+  log("  --no-<flag>      Turn off --yes or --stack-table when set in config");
+  log("  --host <host>    GitHub Enterprise / GitLab hostname");
+  log("  --provider <name> github or gitlab (auto-detected from remote)");
+  log("  --remote <name>  Remote to push to (default: origin)");
+  log("  --json           Print what was done as JSON on stdout");
+  log("");
+}
+
+function fail(message, hint) {
+  log(`\n❌ ${message}`, COLORS.red);
+  if (hint) {
+    log(`   ${hint}`, COLORS.dim);
+  }
+  process.exit(1);
+}
+
+function parseSubmitArgs(args) {
+  const options = applyConfiguredOptions({
+    branches: [],
+    dryRun: false,
+    skipConfirmation: false,
+    draft: false,
+    stackTable: false,
+    host: null,
+    provider: null,
+    remote: null,
+    json: false,
+  });
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const negated = findNegatedSetting(arg);
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--yes" || arg === "-y") {
+      options.skipConfirmation = true;
+    } else if (arg === "--draft") {
+      options.draft = true;
+    } else if (arg === "--stack-table") {
+      options.stackTable = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (
+      ["--host", "--provider", "--remote"].includes(arg) &&
+      args[i + 1]
+    ) {
+      options[arg.slice(2)] = args[++i];
+    } else if (negated && negated.option in options) {
+      options[negated.option] = false;
+    } else if (!arg.startsWith("-")) {
+      options.branches.push(arg);
+    } else {
+      fail(`Unknown argument: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Work out the stack to submit as { base, branches }: explicit arguments,
+ * or the stack ending at a branch, from recorded parents and local history.
+ */
+function findStack(names) {
+  if (names.length >= 2) {
+    return { base: names[0], branches: names.slice(1) };
+  }
+
+  const start = names[0] || getCurrentBranch();
+  if (!start) {
+    fail("Could not determine current branch.");
+  }
+  if (isProtectedBranch(start)) {
+    fail(
+      `Cannot submit from protected branch "${start}".`,
+      "Specify a feature branch or an explicit stack: rebase-stack submit <base> <b1> ..."
+    );
+  }
+
+  try {
+    const source = createMetadataSource(() => createLocalSource());
+    return discoverStack(start, null, source);
+  } catch (error) {
+    if (error.isMissingPR) {
+      fail(
+        `Could not work out the parent of "${error.branch}".`,
+        `Record it: rebase-stack parents set ${quoteArg(error.branch)} <parent>`
+      );
+    }
+    return fail(error.message);
+  }
+}
+
+function describePush(item) {
+  if (item.push === "new") return "push new branch";
+  if (item.push === "update") return "push";
+  if (item.push === "behind") return `behind ${getRemote()}: pull it first`;
+  return "up to date";
+}
+
+function describePR(item) {
+  const { action, number, from } = item.pr;
+  if (action === "create") return `open a PR into ${item.parent}`;
+  if (action === "retarget") {
+    return `move #${number} from ${from} to ${item.parent}`;
+  }
+  return `#${number} targets ${item.parent}`;
+}
+
+function displayPlan(base, plan) {
+  log("\n📤 Stack to submit:", COLORS.bright);
+  log("─".repeat(60));
+  log(`  base: ${base}`, COLORS.dim);
+  plan.forEach((item, i) => {
+    const color = item.push === "behind" ? COLORS.red : COLORS.reset;
+    log(`  ${i + 1}. ${formatBranchLabel(item.pr.number, item.branch)}`, color);
+    log(`     ├── ${describePush(item)}`, COLORS.dim);
+    log(`     └── ${describePR(item)}`, COLORS.dim);
+  });
+}
+
+/**
+ * Describe the plan (or what was done) for --json output.
+ */
+function describeSubmit(plan, results = []) {
+  return plan.map((item, i) => ({
+    branch: item.branch,
+    parent: item.parent,
+    number: results[i]?.number ?? item.pr.number,
+    push: item.push,
+    pr: item.pr.action,
+    pushed: results[i]?.pushed || false,
+    outcome: results[i]?.action || "planned",
+  }));
+}
+
+async function runSubmitCommand(args) {
+  if (args.includes("--help") || args.includes("-h")) {
+    showSubmitHelp();
+    return;
+  }
+
+  const options = parseSubmitArgs(args);
+  if (options.json) {
+    startReport("rebase-stack submit");
+  }
+  if (!isGitRepository()) {
+    fail("Not a git repository.");
+  }
+  setRemote(options.remote);
+
+  let names;
+  try {
+    names = options.branches.map(sanitizeBranchName);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  let provider;
+  try {
+    provider = resolveProvider(options);
+  } catch (error) {
+    fail(error.message);
+  }
+  if (!provider.isCLIInstalled() || !provider.isCLIAuthenticated()) {
+    fail(
+      `${provider.label} CLI (${provider.cli}) is required to open PRs.`,
+      `Install it (${provider.installUrl}) and run: ${provider.cli} auth login`
+    );
+  }
+  const host = resolveHost(provider, options);
+
+  const { base, branches } = findStack(names);
+  updateReport({ base });
+  if (branches.length === 0) {
+    log("\n✅ Nothing to submit.", COLORS.green);
+    process.exit(EXIT_CODES.ok);
+  }
+
+  const protectedInStack = branches.filter(isProtectedBranch);
+  if (protectedInStack.length > 0) {
+    fail(
+      `Cannot submit protected branches: ${protectedInStack.join(", ")}`,
+      `Protected branches: ${getProtectedPatterns().join(", ")}`
+    );
+  }
+  const missing = [base, ...branches].filter((b) => !branchExists(b));
+  if (missing.length > 0) {
+    fail(`Branches not found locally: ${missing.join(", ")}`);
+  }
+
+  log(`\n📥 Fetching latest from ${getRemote()}...`, COLORS.cyan);
+  if (!fetchFromRemote()) {
+    log(`⚠️  Could not fetch from ${getRemote()}`, COLORS.yellow);
+  }
+
+  const plan = planSubmit(
+    branches.map((branch, i) => ({
+      branch,
+      parent: i === 0 ? base : branches[i - 1],
+    })),
+    provider,
+    host
+  );
+  displayPlan(base, plan);
+  updateReport({ branches: describeSubmit(plan) });
+
+  const behind = plan.filter((item) => item.push === "behind");
+  if (behind.length > 0) {
+    fail(
+      `The remote has commits these branches lack: ${behind.map((item) => item.branch).join(", ")}`,
+      `Pull them first (git pull ${quoteArg(getRemote())} <branch>), or rebase onto them.`
+    );
+  }
+
+  if (options.dryRun) {
+    log("\n📝 Dry run - nothing pushed or opened", COLORS.yellow);
+    updateReport({ status: "dry-run" });
+    process.exit(EXIT_CODES.ok);
+  }
+
+  if (!options.skipConfirmation) {
+    const confirmed = await promptConfirmation("\n❓ Do you want to continue?");
+    if (!confirmed) {
+      log("\n❌ Aborted by user.", COLORS.yellow);
+      updateReport({ status: "cancelled" });
+      process.exit(EXIT_CODES.ok);
+    }
+  }
+
+  const { results, error } = runSubmit(plan, provider, host, {
+    draft: options.draft,
+  });
+  updateReport({ branches: describeSubmit(plan, results) });
+  if (error) {
+    const branch = results[results.length - 1].branch;
+    updateReport({ status: "failed" });
+    fail(`Could not submit ${branch}: ${error.message}`);
+  }
+
+  if (options.stackTable) {
+    updateStackTables(plan, provider, host);
+  }
+  log("\n✅ Stack submitted", COLORS.green);
+  updateReport({ status: "done" });
+}
+
+module.exports = { runSubmitCommand };
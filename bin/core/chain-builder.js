@@ -2,8 +2,11 @@
  * PR chain building logic
  */
 
-const { findPRsTargeting } = require("../utils/github");
+const { createPRSource } = require("./pr-graph");
+const { isProtectedBranch } = require("../utils/validation");
 const { log, COLORS } = require("../utils/colors");
+const { formatBranchLabel } = require("../utils/ui");
+const { resolveRef } = require("../utils/git");
 
 /**
  * Get list of branches that would be modified
@@ -13,53 +16,205 @@ function getBranchesInChain(chain) {
 }
 
 /**
- * Build the complete PR chain starting from a branch
+ * Pick the ref whose commits a retargeted child should leave out: the landed
+ * parent branch if it still exists locally, else the PR's last head commit if
+ * it was fetched. Returns null when neither is available; commits already
+ * upstream are still dropped by patch-id (see upstream-commits.js).
+ *
+ * Only a merged parent's commits are left out. A PR closed without merging
+ * never reached its base, so its commits stay on the child (null).
  */
-function buildPRChain(startBranch, host) {
+function getLandedParentRef(branch, landed) {
+  if (!landed.merged) return null;
+  if (resolveRef(branch)) return branch;
+  if (landed.headOid && resolveRef(landed.headOid)) return landed.headOid;
+  return null;
+}
+
+/**
+ * Look up the landed PR of a start branch that has no open PR.
+ * Returns { number, base, headOid, merged } or null.
+ */
+function findLandedStart(branch, source) {
+  if (isProtectedBranch(branch) || !source.findLandedPR) return null;
+  if (source.findPRForBranch(branch)) return null;
+  return source.findLandedPR(branch);
+}
+
+function logLanded(branch, landed, child) {
+  const label = formatBranchLabel(landed.number, branch);
+  if (landed.merged) {
+    log(
+      `   ${label} was merged → retargeting ${child} onto ${landed.base}`,
+      COLORS.yellow
+    );
+    return;
+  }
+  log(
+    `   ${label} was closed without merging → retargeting ${child} onto ${landed.base}, keeping its commits`,
+    COLORS.yellow
+  );
+}
+
+/**
+ * Build the complete PR tree starting from a branch.
+ *
+ * Every open PR targeting the start branch is followed, and so are the PRs
+ * targeting those, so sibling stacks fanning out from one branch are all
+ * collected. The result is a flat list in depth-first pre-order: each PR comes
+ * after the PR it targets, which is the order the branches must be rebased in.
+ * PRs are looked up through `source` (see pr-graph.js), which by default
+ * fetches all open PRs once; local-discovery.js provides an offline source.
+ *
+ * If the start branch's PR was merged or closed, its children are retargeted
+ * onto that PR's base: those entries get `target` set to the new base,
+ * `retarget: true`, `exclude`, the ref whose commits they leave out, and
+ * `landedNumber`, the merged PR whose squash may hold them.
+ */
+function buildPRChain(startBranch, host, source = createPRSource(host)) {
   const chain = [];
-  const visited = new Set();
-  let currentBranch = startBranch;
+  const visited = new Set([startBranch]);
 
   log(`\n🔍 Discovering PR chain starting from: ${startBranch}`, COLORS.cyan);
   if (host) {
-    log(`   Using GitHub host: ${host}`, COLORS.dim);
+    log(`   Using host: ${host}`, COLORS.dim);
   }
 
+  const landed = findLandedStart(startBranch, source);
+
+  const walk = (branch) => {
+    for (const found of source.findPRsTargeting(branch)) {
+      if (visited.has(found.branch)) {
+        log(
+          `⚠️  Circular reference detected at ${found.branch}`,
+          COLORS.yellow
+        );
+        continue;
+      }
+      visited.add(found.branch);
+
+      let pr = found;
+      if (landed && branch === startBranch) {
+        logLanded(startBranch, landed, found.branch);
+        pr = {
+          ...found,
+          target: landed.base,
+          retarget: true,
+          exclude: getLandedParentRef(startBranch, landed),
+          landedNumber: landed.merged ? landed.number : null,
+        };
+      }
+
+      chain.push(pr);
+      const label = formatBranchLabel(pr.number, pr.branch);
+      log(`   Found: ${label} → ${pr.target}`, COLORS.dim);
+      walk(pr.branch);
+    }
+  };
+
+  walk(startBranch);
+
+  return chain;
+}
+
+/**
+ * Discover the stack by tracing PRs upward from the given branch until a
+ * protected base is reached.
+ * Returns { base, branches, retargets } where branches is ordered
+ * parent-to-child.
+ *
+ * A parent whose PR was merged or closed is left out, and its child is
+ * retargeted onto that PR's base. `retargets` lists those children as
+ * { branch, number, from, to, exclude, landedNumber }: `from` is the landed
+ * parent, `exclude` the ref whose commits the child leaves out (or null),
+ * `landedNumber` the merged PR whose squash on `to` holds them. A parent
+ * closed without merging keeps its commits, and those of any landed parents
+ * above it, on the child, so unmerged work is never dropped.
+ * Throws if a branch on the way has no open PR or the PRs form a cycle.
+ */
+function discoverStack(startBranch, host, source = createPRSource(host)) {
+  log(`\n🔍 Discovering stack from ${startBranch}...`, COLORS.cyan);
+  if (host) {
+    log(`   Using host: ${host}`, COLORS.dim);
+  }
+
+  const stack = [];
+  const retargets = [];
+  let current = startBranch;
+  let child = null;
+  const visited = new Set();
+
   // eslint-disable-next-line no-constant-condition
   while (true) {
-    if (visited.has(currentBranch)) {
-      log(`⚠️  Circular reference detected at ${currentBranch}`, COLORS.yellow);
-      break;
+    if (visited.has(current)) {
+      throw new Error(`Circular reference detected at ${current}`);
     }
-    visited.add(currentBranch);
+    visited.add(current);
 
-    const prs = findPRsTargeting(currentBranch, host);
+    const pr = source.findPRForBranch(current);
+    const landed =
+      !pr && child && !isProtectedBranch(current) && source.findLandedPR
+        ? source.findLandedPR(current)
+        : null;
+    if (landed) {
+      logLanded(current, landed, child.branch);
+      // Several landed parents in a row: keep the first one's commits out
+      const previous = retargets.find((r) => r.branch === child.branch);
+      if (previous) {
+        previous.to = landed.base;
+        // A closed parent below means nothing above it reached the new base
+        if (!landed.merged) {
+          previous.exclude = null;
+          previous.landedNumber = null;
+        } else {
+          if (!previous.exclude) {
+            previous.exclude = getLandedParentRef(current, landed);
+          }
+          // The deepest parent's squash is the one on the new base
+          if (previous.landedNumber) {
+            previous.landedNumber = landed.number;
+          }
+        }
+      } else {
+        retargets.push({
+          branch: child.branch,
+          number: child.number,
+          from: current,
+          to: landed.base,
+          exclude: getLandedParentRef(current, landed),
+          landedNumber: landed.merged ? landed.number : null,
+        });
+      }
 
-    if (prs.length === 0) {
-      break;
+      if (isProtectedBranch(landed.base)) {
+        return { base: landed.base, branches: stack, retargets };
+      }
+      current = landed.base;
+      continue;
     }
 
-    if (prs.length > 1) {
-      log(
-        `\n⚠️  Multiple PRs found targeting ${currentBranch}:`,
-        COLORS.yellow
-      );
-      prs.forEach((pr, i) => {
-        log(`   ${i + 1}. #${pr.number} ${pr.branch}`, COLORS.dim);
-      });
-      log(`   Using first one: #${prs[0].number}`, COLORS.dim);
+    if (!pr) {
+      const error = new Error(`No open PR found for branch "${current}".`);
+      error.isMissingPR = true;
+      error.branch = current;
+      throw error;
     }
 
-    const pr = prs[0];
-    chain.push(pr);
-    log(`   Found: #${pr.number} ${pr.branch} → ${pr.target}`, COLORS.dim);
-    currentBranch = pr.branch;
-  }
+    log(`   ${formatBranchLabel(pr.number, current)} → ${pr.base}`, COLORS.dim);
+    stack.unshift(current);
+    child = { branch: current, number: pr.number };
 
-  return chain;
+    if (isProtectedBranch(pr.base)) {
+      // Reached the root base
+      return { base: pr.base, branches: stack, retargets };
+    }
+
+    current = pr.base;
+  }
 }
 
 module.exports = {
   getBranchesInChain,
   buildPRChain,
+  discoverStack,
 };
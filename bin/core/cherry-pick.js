@@ -3,38 +3,85 @@
  */
 
 const {
+  checkoutBranch,
+  resetHard,
   cherryPick,
   cherryPickSkip,
+  cherryPickContinue,
+  isCherryPickInProgress,
+  isMergeCommit,
+  recreateMerge,
+  mergeContinue,
+  isMergeInProgress,
   getStatus,
   hasConflict,
+  getWorktreeBranches,
+  addWorktree,
+  removeWorktree,
+  updateBranchToWorktreeHead,
 } = require("../utils/git");
 const { log, COLORS } = require("../utils/colors");
 
+/**
+ * Recreate a merge commit on HEAD (see merge-commits.js).
+ */
+function applyMerge(commitHash, cwd) {
+  let merged;
+  try {
+    merged = recreateMerge(commitHash, cwd);
+  } catch (error) {
+    if (hasConflict(getStatus(cwd))) {
+      throw error;
+    }
+    throw new Error(
+      `Recreating merge ${commitHash} failed unexpectedly: ${error.message}`
+    );
+  }
+
+  if (merged) {
+    log(`   ✅ Recreated merge ${commitHash}`, COLORS.green);
+  } else {
+    log(`   ⏭️  Skipped merge ${commitHash} (already merged)`, COLORS.yellow);
+  }
+}
+
 /**
  * Cherry-pick a list of commits in order, handling empty/skippable commits.
+ * Merge commits (kept by the preserve merge mode) are recreated instead.
  * @param {string[]} commitHashes - oldest-first
  * @param {string} onto - target branch name (for error messages)
  * @param {string|undefined} cwd - working directory (temp worktree path, or undefined for main repo)
  */
 function cherryPickAll(commitHashes, onto, cwd) {
-  for (const commitHash of commitHashes) {
+  for (const [i, commitHash] of commitHashes.entries()) {
+    const isMerge = isMergeCommit(commitHash);
     try {
-      cherryPick(commitHash, cwd);
-      log(`   ✅ Cherry-picked ${commitHash}`, COLORS.green);
+      if (isMerge) {
+        applyMerge(commitHash, cwd);
+      } else {
+        cherryPick(commitHash, cwd);
+        log(`   ✅ Cherry-picked ${commitHash}`, COLORS.green);
+      }
     } catch (error) {
       const status = getStatus(cwd);
       if (hasConflict(status)) {
+        const action = isMerge ? "recreating merge" : "cherry-picking";
         const conflictError = new Error(
-          `Conflict detected while cherry-picking ${commitHash} onto ${onto}.\n` +
-            "   Resolve manually:\n" +
+          `Conflict detected while ${action} ${commitHash} onto ${onto}.\n` +
+            `   Resolve manually${cwd ? ` in ${cwd}` : ""}:\n` +
             "      1. Fix conflicts in the files\n" +
             "      2. git add <files>\n" +
-            "      3. git cherry-pick --continue\n" +
-            "      4. Re-run this script"
+            "      3. Re-run with --continue (or --abort to roll back)"
         );
         conflictError.isConflict = true;
+        conflictError.commit = commitHash;
+        // Commits still to pick once the conflict is resolved
+        conflictError.remaining = commitHashes.slice(i + 1);
         throw conflictError;
       }
+      if (isMerge) {
+        throw error;
+      }
       // Empty commit (already applied) -- skip it
       if (status.trim() === "" || !status.includes("U")) {
         cherryPickSkip(cwd);
@@ -51,4 +98,107 @@ function cherryPickAll(commitHashes, onto, cwd) {
   }
 }
 
-module.exports = { cherryPickAll };
+/**
+ * Reset a branch to `onto` and cherry-pick commits on top of it.
+ * If the branch is locked by an existing worktree, operates via a temp worktree.
+ * On a conflict, a temp worktree is kept so the conflict can be resolved
+ * there; its path is attached to the error as `worktree`.
+ * @param {string[]} commitHashes - oldest-first
+ * @param {Object} [options]
+ * @param {boolean} [options.isolated] - always use a temp worktree
+ */
+function cherryPickOntoBranch(branch, onto, commitHashes, options = {}) {
+  const lockedBranches = getWorktreeBranches();
+  if (!options.isolated && !lockedBranches.has(branch)) {
+    checkoutBranch(branch);
+    resetHard(onto);
+    cherryPickAll(commitHashes, onto);
+    return;
+  }
+
+  // Branch is checked out in an existing worktree. Rebase via a temp detached
+  // worktree so that checkout is not disrupted. The existing worktree will
+  // diverge from the updated branch ref — run `git reset --hard origin/<branch>`
+  // there to sync it after this script completes.
+  if (!options.isolated) {
+    log(
+      "   ℹ️  Branch is open in a worktree - rebasing without disrupting it",
+      COLORS.dim
+    );
+  }
+  const tmpDir = addWorktree(branch);
+  let keepWorktree = false;
+  try {
+    resetHard(onto, tmpDir);
+    cherryPickAll(commitHashes, onto, tmpDir);
+    // Detached worktree: commits are on anonymous HEAD, not the branch ref.
+    // Update the branch ref before removing the worktree.
+    updateBranchToWorktreeHead(branch, tmpDir);
+  } catch (error) {
+    if (error.isConflict) {
+      keepWorktree = true;
+      error.worktree = tmpDir;
+    }
+    throw error;
+  } finally {
+    if (!keepWorktree) {
+      removeWorktree(tmpDir);
+    }
+  }
+}
+
+/**
+ * Finish a branch whose cherry-picks stopped on a conflict the user has
+ * since resolved: conclude the interrupted cherry-pick or merge, pick the remaining
+ * commits, and (for a temp worktree) move the branch ref and drop the worktree.
+ * Throws a conflict error again if conflicts are still unresolved.
+ * @param {string[]} remaining - oldest-first commits after the conflicting one
+ * @param {string|null} worktree - temp worktree path, or null for the main repo
+ */
+function resumeCherryPicks(branch, onto, remaining, worktree) {
+  const cwd = worktree || undefined;
+
+  const mergeInProgress = isMergeInProgress(cwd);
+  if (mergeInProgress || isCherryPickInProgress(cwd)) {
+    if (hasConflict(getStatus(cwd))) {
+      const error = new Error(
+        `Conflicts in ${branch} are not resolved yet${worktree ? ` (in ${worktree})` : ""}.\n` +
+          "   Fix them, git add <files>, then re-run with --continue"
+      );
+      error.isConflict = true;
+      error.remaining = remaining;
+      error.worktree = worktree;
+      throw error;
+    }
+
+    if (mergeInProgress) {
+      mergeContinue(cwd);
+      log("   ✅ Concluded resolved merge", COLORS.green);
+    } else {
+      try {
+        cherryPickContinue(cwd);
+        log("   ✅ Concluded resolved cherry-pick", COLORS.green);
+      } catch {
+        // The resolution left nothing to commit
+        cherryPickSkip(cwd);
+        log("   ⏭️  Skipped resolved commit (no changes)", COLORS.yellow);
+      }
+    }
+  }
+
+  try {
+    cherryPickAll(remaining, onto, cwd);
+  } catch (error) {
+    if (error.isConflict) {
+      error.worktree = worktree;
+    }
+    throw error;
+  }
+
+  if (worktree) {
+    updateBranchToWorktreeHead(branch, worktree);
+    removeWorktree(worktree);
+  }
+}
+
+module.exports = { cherryPickAll, cherryPickOntoBranch, resumeCherryPicks };
@@ -0,0 +1,765 @@
+/**
+ * Shared run loop for rebase-downstream-branches and rebase-stack.
+ *
+ * A run is a list of steps ({ branch, onto, commits }) rebased in order. Its
+ * progress is persisted after every change (see run-state.js), so a run that
+ * stops on a conflict or error can be resumed with continueRun() or rolled
+ * back to the backup refs with abortRun(). Finished runs are logged (see
+ * oplog.js), so the last one can be undone with undoRun().
+ *
+ * Branches are rebased by cherry-picking their own commits, or with the
+ * "rebase" strategy by `git rebase --onto <onto> <upstream>` (see
+ * rebase-onto.js).
+ *
+ * With --jobs, branches whose parents are done are rebased side by side by
+ * worker processes (see step-worker.js), each in a temp worktree.
+ *
+ * In atomic mode every branch is rebased locally first and all of them are
+ * pushed in one `git push --atomic`; if any step or the push fails, every
+ * branch is reset to its backup and nothing is pushed.
+ */
+
+const {
+  getCurrentBranch,
+  fetchFromRemote,
+  setRemote,
+  getRemote,
+  checkoutBranch,
+  pullBranch,
+  fastForwardBranch,
+  cherryPickAbort,
+  isCherryPickInProgress,
+  rebaseAbort,
+  isRebaseInProgress,
+  mergeAbort,
+  isMergeInProgress,
+  removeWorktree,
+  resolveRef,
+  detachHead,
+  hasCleanWorkingTree,
+  pushBranchWithLease,
+} = require("../utils/git");
+const { log, COLORS, getLogStream } = require("../utils/colors");
+const { createRunId, restoreBackup } = require("../utils/backup");
+const { setStackParent } = require("../utils/stack-metadata");
+const { getProvider } = require("../utils/providers");
+const {
+  displayBackups,
+  displayRestoreInstructions,
+  displayVerifications,
+  quoteArg,
+} = require("../utils/ui");
+const { pushRebasedBranch, pushRebasedBranchesAtomic } = require("./rebase");
+const { resumeCherryPicks } = require("./cherry-pick");
+const { resumeRebaseOnto } = require("./rebase-onto");
+const {
+  DOWNSTREAM_TOOL,
+  backupBranch,
+  captureStepCommits,
+  replayStep,
+} = require("./step-rebase");
+const { runStepInWorker } = require("./parallel");
+const { runVerification } = require("./verify");
+const { loadRunState, saveRunState, clearRunState } = require("./run-state");
+const { recordRun, getLastRun, markRunUndone } = require("./oplog");
+const { updateStackTables } = require("./stack-table");
+
+/**
+ * Back up a step's branch, once per run.
+ */
+function backupStep(state, step) {
+  if (hasBackup(state, step)) {
+    return;
+  }
+
+  const backupRef = backupBranch(step.branch, state.runId);
+  if (backupRef) {
+    state.backups.push({ branch: step.branch, ref: backupRef });
+    saveRunState(state);
+  }
+}
+
+function hasBackup(state, step) {
+  return state.backups.some((backup) => backup.branch === step.branch);
+}
+
+function rebaseStep(state, step) {
+  if (step.refreshOnto && state.inMemory) {
+    fastForwardBranch(step.onto);
+  } else if (step.refreshOnto) {
+    // Make sure we have the latest target
+    checkoutBranch(step.onto, { ignoreError: true });
+    pullBranch(step.onto);
+  }
+
+  // rebase-downstream-branches captures commits at rebase time, but keeps
+  // them in the state so a retried step replays the same commits
+  if (state.tool === DOWNSTREAM_TOOL && !step.commits) {
+    Object.assign(step, captureStepCommits(step, state.merges));
+    saveRunState(state);
+  }
+
+  replayStep(step, replayOptions(state));
+}
+
+function replayOptions(state, isolated = false) {
+  return {
+    tool: state.tool,
+    inMemory: state.inMemory,
+    strategy: state.strategy,
+    merges: state.merges,
+    isolated,
+  };
+}
+
+/**
+ * Record the result of the --exec command on a rebased step's branch. A
+ * failure stops the run before the branch is pushed; --continue then
+ * verifies the branch again (including any fix-up commits) without rebasing
+ * it a second time.
+ */
+function recordVerification(state, step, result) {
+  // A retried branch reports its latest run only
+  state.verifications = state.verifications
+    .filter((verification) => verification.branch !== step.branch)
+    .concat(result);
+  step.verifyFailed = !result.ok;
+  if (!result.ok) {
+    throw new Error(
+      `--exec command failed on ${step.branch} (exit ${result.status})`
+    );
+  }
+}
+
+/**
+ * Push a finished step's branch (unless the run is atomic) and move on.
+ */
+function completeStep(state, step) {
+  if (!state.atomic) {
+    pushRebasedBranch(step.branch, step.expectedRemote);
+    state.pushed.push(step.branch);
+    setStackParent(step.branch, step.onto);
+    retargetPR(step);
+  }
+
+  state.index++;
+  saveRunState(state);
+}
+
+/**
+ * Stop the run at the step at state.index. A conflict leaves it pending for
+ * --continue; the state is kept either way so the run can be retried or
+ * rolled back.
+ */
+function stopRun(state, error) {
+  if (error.isConflict) {
+    state.pending = {
+      commits: error.remaining || [],
+      worktree: error.worktree || null,
+      rebase: Boolean(error.isRebase),
+    };
+    saveRunState(state);
+    return { status: "paused", error };
+  }
+  saveRunState(state);
+  return { status: "failed", error };
+}
+
+/**
+ * Rebase, verify and push the step at state.index.
+ * Returns null once it is done, or { status, error } if the run stopped.
+ */
+function runNextStep(state) {
+  const step = state.steps[state.index];
+
+  try {
+    if (state.pending) {
+      log(`\n📦 Continuing ${step.branch} onto ${step.onto}...`, COLORS.cyan);
+      if (state.pending.rebase) {
+        resumeRebaseOnto(step.branch, step.onto, state.pending.worktree);
+      } else {
+        resumeCherryPicks(
+          step.branch,
+          step.onto,
+          state.pending.commits,
+          state.pending.worktree
+        );
+      }
+      state.pending = null;
+    } else if (!step.verifyFailed) {
+      backupStep(state, step);
+      rebaseStep(state, step);
+    }
+    if (state.exec) {
+      recordVerification(state, step, runVerification(state.exec, step.branch));
+    }
+    completeStep(state, step);
+  } catch (error) {
+    return stopRun(state, error);
+  }
+  return null;
+}
+
+/**
+ * Check whether a step can start: no unfinished step before it rebases its
+ * parent or the same branch.
+ */
+function isReady(state, position) {
+  const step = state.steps[position];
+  return state.steps
+    .slice(state.index, position)
+    .every(
+      (other) => other.branch !== step.onto && other.branch !== step.branch
+    );
+}
+
+/**
+ * Move a step to state.index. Everything before that is done, and so are the
+ * step's own parents, so parent-before-child order is kept.
+ */
+function moveToIndex(state, step) {
+  state.steps.splice(state.steps.indexOf(step), 1);
+  state.steps.splice(state.index, 0, step);
+}
+
+function startWorkerStep(state, step) {
+  if (step.refreshOnto) {
+    fastForwardBranch(step.onto);
+  }
+
+  const job = {
+    step,
+    options: replayOptions(state, true),
+    backup: !hasBackup(state, step),
+    runId: state.runId,
+    exec: state.exec,
+  };
+  return runStepInWorker(job).then(({ output, result }) => ({
+    step,
+    output,
+    result,
+  }));
+}
+
+/**
+ * Record what a worker did for a step, then verify and push it like
+ * runNextStep does. Throws if the step stopped.
+ */
+function finishWorkerStep(state, step, result) {
+  if (result.backupRef) {
+    state.backups.push({ branch: step.branch, ref: result.backupRef });
+  }
+  if (result.capture) {
+    Object.assign(step, result.capture);
+  }
+  saveRunState(state);
+
+  if (result.error) {
+    throw Object.assign(new Error(result.error.message), result.error);
+  }
+  if (result.verification) {
+    recordVerification(state, step, result.verification);
+  }
+
+  moveToIndex(state, step);
+  completeStep(state, step);
+}
+
+/**
+ * Drop a conflicted step that another step's stop got ahead of; it starts
+ * over on --continue.
+ */
+function discardWorkerStep(error) {
+  if (!error.worktree) return;
+  if (error.isRebase) {
+    rebaseAbort(error.worktree);
+  } else {
+    mergeAbort(error.worktree);
+    cherryPickAbort(error.worktree);
+  }
+  removeWorktree(error.worktree);
+}
+
+/**
+ * Run the remaining steps --jobs at a time. Each step is rebased by a worker
+ * process in its own temp worktree as soon as its parent is done, and its
+ * output is printed in one piece when it finishes. On a conflict or failure
+ * no new steps start; the ones already running are finished first.
+ */
+async function runStepsParallel(state) {
+  // A step stopped by a conflict or a failed --exec is finished in place first
+  const current = state.steps[state.index];
+  if (current && (state.pending || current.verifyFailed)) {
+    const stopped = runNextStep(state);
+    if (stopped) return stopped;
+  }
+
+  // Workers move branch refs, so none of them can stay checked out here
+  const currentBranch = getCurrentBranch();
+  if (state.steps.some((step) => step.branch === currentBranch)) {
+    detachHead();
+  }
+
+  const running = new Map();
+  let stopped = null;
+  for (;;) {
+    for (let i = state.index; i < state.steps.length && !stopped; i++) {
+      const step = state.steps[i];
+      if (running.size >= state.jobs) break;
+      if (!running.has(step) && isReady(state, i)) {
+        running.set(step, startWorkerStep(state, step));
+      }
+    }
+    if (running.size === 0) break;
+
+    const { step, output, result } = await Promise.race(running.values());
+    running.delete(step);
+    getLogStream().write(output);
+
+    try {
+      finishWorkerStep(state, step, result);
+    } catch (error) {
+      if (stopped) {
+        discardWorkerStep(error);
+      } else {
+        moveToIndex(state, step);
+        stopped = stopRun(state, error);
+      }
+    }
+  }
+
+  return stopped;
+}
+
+/**
+ * Run the remaining steps of a run.
+ * Returns { status: "done" | "paused" | "failed", error }.
+ */
+async function runSteps(state) {
+  if (state.jobs > 1) {
+    const stopped = await runStepsParallel(state);
+    if (stopped) return stopped;
+  } else {
+    while (state.index < state.steps.length) {
+      const stopped = runNextStep(state);
+      if (stopped) return stopped;
+    }
+  }
+
+  if (state.atomic) {
+    try {
+      pushAll(state);
+    } catch (error) {
+      return { status: "failed", error };
+    }
+  }
+
+  recordRun(state);
+  clearRunState();
+  return { status: "done", error: null };
+}
+
+/**
+ * Push every branch of an atomic run at once and record their parents.
+ */
+function pushAll(state) {
+  const branches = [...new Set(state.steps.map((step) => step.branch))];
+  const expected = Object.fromEntries(
+    state.steps
+      .filter((step) => step.expectedRemote !== undefined)
+      .map((step) => [step.branch, step.expectedRemote])
+  );
+  pushRebasedBranchesAtomic(branches, expected);
+  state.pushed.push(...branches);
+  state.steps.forEach((step) => {
+    setStackParent(step.branch, step.onto);
+    retargetPR(step);
+  });
+}
+
+/**
+ * Point a retargeted branch's PR at its new base once the branch is pushed.
+ * A failure only warns: the rebase itself has succeeded.
+ */
+function retargetPR(step) {
+  if (!step.retarget) return;
+
+  const { number, host, provider = "github" } = step.retarget;
+  const hosting = getProvider(provider);
+  try {
+    hosting.updatePRBase(number, step.onto, host);
+    log(`   ↪️  PR #${number} now targets ${step.onto}`, COLORS.green);
+  } catch (error) {
+    log(
+      `   ⚠️  Could not retarget PR #${number}: ${error.message}`,
+      COLORS.yellow
+    );
+    log(`   Run: ${hosting.updateBaseCommand(number, step.onto)}`, COLORS.dim);
+  }
+}
+
+/**
+ * Stop any interrupted cherry-pick or rebase and reset every touched branch
+ * to its backup ref.
+ */
+function rollBack(state) {
+  const worktree = state.pending?.worktree;
+  if (worktree) {
+    if (state.pending.rebase) {
+      rebaseAbort(worktree);
+    } else {
+      cherryPickAbort(worktree);
+    }
+    removeWorktree(worktree);
+  } else if (isCherryPickInProgress()) {
+    cherryPickAbort();
+  } else if (isRebaseInProgress()) {
+    rebaseAbort();
+  } else if (isMergeInProgress()) {
+    mergeAbort();
+  }
+
+  for (const { branch, ref } of state.backups) {
+    restoreBackup(branch, ref);
+    log(`   ✅ Restored ${branch} to ${ref}`, COLORS.green);
+  }
+
+  checkoutBranch(state.originalBranch, { ignoreError: true });
+  clearRunState();
+}
+
+/**
+ * Describe each step's outcome for the run's report (see utils/report.js):
+ * { branch, number, target, commits, dropped, outcome, pushed }, where
+ * `dropped` lists commits left out as already upstream and outcome is
+ * "rebased", "conflicted", "failed", "skipped" (not reached) or
+ * "rolled-back" (an atomic run that failed).
+ */
+function describeSteps(state, result) {
+  return state.steps.map((step, i) => {
+    let outcome = "skipped";
+    if (state.atomic && result.status !== "done") {
+      outcome = i < state.index ? "rolled-back" : outcome;
+    } else if (i < state.index) {
+      outcome = "rebased";
+    }
+    if (i === state.index && result.status !== "done") {
+      outcome = result.error?.isConflict ? "conflicted" : "failed";
+    }
+
+    return {
+      branch: step.branch,
+      number: step.number || step.retarget?.number || null,
+      target: step.onto,
+      commits: step.commits || [],
+      dropped: step.dropped || [],
+      outcome,
+      pushed: state.pushed.includes(step.branch),
+    };
+  });
+}
+
+/**
+ * Summarize a finished (or stopped) run: { status, successCount, total,
+ * runId, branches, backups, error }.
+ */
+function summarizeRun(state, result, successCount) {
+  return {
+    status: result.status,
+    successCount,
+    total: state.steps.length,
+    runId: state.runId,
+    branches: describeSteps(state, result),
+    backups: state.backups,
+    error: result.error ? result.error.message : null,
+  };
+}
+
+/**
+ * Undo a failed atomic run. Nothing was pushed, so restoring the local
+ * branches puts everything back as it was.
+ */
+function rollBackAtomicRun(state, result) {
+  const step = state.steps[state.index];
+  const where = step ? `at ${step.branch}` : "while pushing";
+  log(`\n❌ Failed ${where}: ${result.error.message}`, COLORS.red);
+
+  log(
+    "\n⏪ Atomic mode: restoring every branch from its backup...",
+    COLORS.bright
+  );
+  rollBack(state);
+
+  log("\n" + "─".repeat(50));
+  log("❌ Rebased 0 branches - nothing was pushed", COLORS.red);
+  displayVerifications(state.verifications);
+
+  return summarizeRun(state, { ...result, status: "failed" }, 0);
+}
+
+/**
+ * Report the outcome of runSteps and return to the original branch.
+ * Returns the run's summary (see summarizeRun).
+ */
+function finishRun(state, result) {
+  if (state.atomic && result.status !== "done") {
+    return rollBackAtomicRun(state, result);
+  }
+
+  const step = state.steps[state.index];
+  const pausedInRepo = result.status === "paused" && !state.pending.worktree;
+
+  if (result.status === "paused") {
+    log(
+      `\n⏸️  Paused at ${step.branch}: ${result.error.message}`,
+      COLORS.yellow
+    );
+    log(`\n   Then run: ${state.tool} --continue`, COLORS.dim);
+    log(`   Or roll back every branch: ${state.tool} --abort`, COLORS.dim);
+  } else if (result.status === "failed") {
+    log(`\n❌ Failed at ${step.branch}: ${result.error.message}`, COLORS.red);
+    displayRestoreInstructions(state.backups);
+    log(`\n   Retry: ${state.tool} --continue`, COLORS.dim);
+    log(`   Or roll back every branch: ${state.tool} --abort`, COLORS.dim);
+  }
+
+  // The conflict is resolved in the main working tree, so stay on its branch
+  if (!pausedInRepo) {
+    try {
+      checkoutBranch(state.originalBranch, { ignoreError: true });
+    } catch {
+      log(
+        `⚠️  Could not return to original branch ${state.originalBranch}`,
+        COLORS.yellow
+      );
+    }
+  }
+
+  const total = state.steps.length;
+  log("\n" + "─".repeat(50));
+  log(`✅ Rebased ${state.index}/${total} branches`, COLORS.green);
+
+  displayVerifications(state.verifications);
+  displayBackups(state.backups, state.runId);
+
+  if (result.status === "done" && state.stackTable) {
+    const { provider, host, entries } = state.stackTable;
+    updateStackTables(
+      entries ||
+        state.steps.map((item) => ({ branch: item.branch, parent: item.onto })),
+      getProvider(provider),
+      host
+    );
+  }
+
+  return summarizeRun(state, result, state.index);
+}
+
+/**
+ * Start a new run.
+ * @param {string} tool - CLI name, used in resume instructions
+ * @param {Object[]} steps - [{ branch, onto, commits, refreshOnto }] in rebase
+ *   order; `commits` is oldest-first, or null to capture at rebase time
+ *   (leaving out commits reachable from `exclude` instead of `onto`, if
+ *   set, and `landedNumber`'s squash merge on `onto`).
+ *   A step with `retarget: { number, host, provider }` moves that PR's base
+ *   to `onto` after pushing; one with `expectedRemote` (a commit, or null
+ *   for none) is only pushed if the remote branch is still there.
+ * @param {Object} [options]
+ * @param {boolean} [options.atomic] - push all branches at once at the end,
+ *   rolling everything back if any branch fails
+ * @param {boolean} [options.inMemory] - rebase without checkouts, falling
+ *   back to cherry-pick on conflicts
+ * @param {string} [options.strategy] - "cherry-pick" (default) or "rebase";
+ *   with "rebase", steps given commits also need `upstream`, the commit to
+ *   rebase from
+ * @param {string} [options.merges] - "linearize" (default) or "preserve",
+ *   for merge commits among a branch's own commits (see merge-commits.js)
+ * @param {string} [options.exec] - shell command that must pass in each
+ *   rebased branch's tree before the branch is pushed
+ * @param {number} [options.jobs] - rebase up to this many independent
+ *   branches at once, each in its own temp worktree
+ * @param {string} [options.remote] - remote to fetch from and push to
+ *   (default: the one set with setRemote, origin unless configured)
+ * @param {Object} [options.stackTable] - { provider, host, entries }: once the
+ *   run is done, update the stack table in the PR of each of `entries`
+ *   ([{ branch, parent }], parents first; default: the steps), see
+ *   stack-table.js
+ */
+async function startRun(tool, steps, options = {}) {
+  const state = {
+    version: 1,
+    tool,
+    runId: createRunId(),
+    originalBranch: getCurrentBranch(),
+    steps,
+    index: 0,
+    backups: [],
+    pushed: [],
+    pending: null,
+    atomic: Boolean(options.atomic),
+    inMemory: Boolean(options.inMemory),
+    strategy: options.strategy || "cherry-pick",
+    merges: options.merges || "linearize",
+    exec: options.exec || null,
+    verifications: [],
+    jobs: options.jobs || 1,
+    remote: options.remote || getRemote(),
+    stackTable: options.stackTable || null,
+  };
+  setRemote(state.remote);
+
+  // git rebase --onto needs each parent's tip from before anything moves
+  if (state.strategy === "rebase") {
+    steps
+      .filter((step) => !step.commits)
+      .forEach((step) => {
+        step.oldParentTip = resolveRef(step.exclude || step.onto);
+      });
+  }
+  saveRunState(state);
+
+  log("\n🚀 Starting rebase...", COLORS.bright);
+  log("─".repeat(50));
+
+  // Fetch latest
+  log(`\n📥 Fetching latest from ${state.remote}...`, COLORS.cyan);
+  if (!fetchFromRemote()) {
+    log(`⚠️  Could not fetch from ${state.remote}`, COLORS.yellow);
+  }
+
+  return finishRun(state, await runSteps(state));
+}
+
+/**
+ * Resume the in-progress run after a conflict was resolved or an error fixed.
+ */
+async function continueRun() {
+  const state = loadRunState();
+  if (!state) {
+    throw new Error("No rebase run in progress.");
+  }
+  setRemote(state.remote);
+
+  log(`\n▶️  Continuing rebase started by ${state.tool}...`, COLORS.bright);
+  log("─".repeat(50));
+
+  return finishRun(state, await runSteps(state));
+}
+
+/**
+ * Roll back the in-progress run: stop any interrupted cherry-pick, reset every
+ * touched branch to its backup ref and return to the original branch.
+ * Returns the rolled-back state.
+ */
+function abortRun() {
+  const state = loadRunState();
+  if (!state) {
+    throw new Error("No rebase run in progress.");
+  }
+  setRemote(state.remote);
+
+  log("\n⏪ Aborting rebase...", COLORS.bright);
+  log("─".repeat(50));
+
+  rollBack(state);
+
+  if (state.pushed.length > 0) {
+    log(
+      "\n⚠️  These branches were already pushed and are only restored locally:",
+      COLORS.yellow
+    );
+    state.pushed.forEach((branch) => {
+      log(
+        `   git push ${quoteArg(getRemote())} ${quoteArg(branch)} --force-with-lease`,
+        COLORS.dim
+      );
+    });
+  }
+
+  return state;
+}
+
+/**
+ * Undo the last finished run (see oplog.js): reset every branch it rewrote to
+ * where it was before, force-push the ones it pushed back over the rebased
+ * commits (with a lease on them), and return to the branch the run started
+ * on. Refuses if any branch has moved since the run.
+ * Returns { entry, failedPushes }.
+ */
+function undoRun() {
+  if (loadRunState()) {
+    throw new Error(
+      "A rebase run is in progress. Roll it back with --abort instead."
+    );
+  }
+  const entry = getLastRun();
+  if (!entry) {
+    throw new Error("No rebase run to undo.");
+  }
+  setRemote(entry.remote);
+
+  const moved = entry.branches.filter(
+    ({ branch, after }) => resolveRef(`refs/heads/${branch}`) !== after
+  );
+  if (moved.length > 0) {
+    const names = moved.map(({ branch }) => branch).join(", ");
+    throw new Error(
+      `Branches changed since the run, so undoing it would lose work: ${names}\n` +
+        "   Restore branches one at a time with: rebase-stack backups restore <branch>"
+    );
+  }
+  const currentBranch = getCurrentBranch();
+  if (
+    entry.branches.some(({ branch }) => branch === currentBranch) &&
+    !hasCleanWorkingTree()
+  ) {
+    throw new Error(
+      `${currentBranch} has uncommitted changes. Commit or stash them first.`
+    );
+  }
+
+  log(
+    `\n⏪ Undoing the ${entry.tool} run of ${entry.finishedAt}...`,
+    COLORS.bright
+  );
+  log("─".repeat(50));
+
+  const failedPushes = [];
+  for (const { branch, before, after, pushed } of entry.branches) {
+    restoreBackup(branch, before);
+    log(`   ✅ Restored ${branch} to ${before.slice(0, 7)}`, COLORS.green);
+    if (!pushed) continue;
+
+    try {
+      pushBranchWithLease(branch, after);
+      log(`   🚀 Force pushed ${branch}`, COLORS.green);
+    } catch {
+      failedPushes.push(branch);
+      log(
+        `   ⚠️  Could not push ${branch}: the remote branch is no longer at ${after.slice(0, 7)}`,
+        COLORS.yellow
+      );
+    }
+  }
+
+  checkoutBranch(entry.originalBranch, { ignoreError: true });
+  markRunUndone(entry.runId);
+  return { entry, failedPushes };
+}
+
+/**
+ * Check whether a run is waiting for --continue or --abort.
+ */
+function hasRunInProgress() {
+  return loadRunState() !== null;
+}
+
+module.exports = {
+  DOWNSTREAM_TOOL,
+  startRun,
+  continueRun,
+  abortRun,
+  undoRun,
+  hasRunInProgress,
+};
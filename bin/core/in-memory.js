@@ -0,0 +1,125 @@
+/**
+ * Checkout-free rebase engine.
+ *
+ * Replays commits with `git merge-tree --write-tree` and `git commit-tree`,
+ * then moves the branch ref with `update-ref`, so neither the user's working
+ * tree nor a temp worktree is touched. When a commit cannot be applied
+ * cleanly, the rest of the branch falls back to cherry-picking so the
+ * conflict can be resolved by hand.
+ */
+
+const {
+  getCurrentBranch,
+  resolveRef,
+  resetHard,
+  updateBranchRef,
+  getCommitParents,
+  getCommitTree,
+  getCommitInfo,
+  mergeTrees,
+  commitTree,
+} = require("../utils/git");
+const { log, COLORS } = require("../utils/colors");
+const { cherryPickOntoBranch } = require("./cherry-pick");
+
+/**
+ * Apply one commit on top of `tip`, like `git cherry-pick` would, without
+ * moving any ref. Returns { status, tip, files }: "applied" with the new tip,
+ * "empty" when the commit is already applied (`tip` unchanged), "conflict"
+ * with the conflicting files, or "unsupported" for root and merge commits.
+ */
+function tryCommit(tip, commit) {
+  const parents = getCommitParents(commit);
+  // Root and merge commits have no single parent to diff against
+  if (parents.length !== 1) {
+    return { status: "unsupported", tip, files: [] };
+  }
+
+  // This git has no `merge-tree --merge-base`. Merging a stand-in commit
+  // (tip's tree on top of the picked commit's parent) with the picked commit
+  // makes that parent the merge base, which is what cherry-pick merges from.
+  const tipTree = getCommitTree(tip);
+  const standIn = commitTree(tipTree, [parents[0]], "cherry-pick base\n");
+  const { tree, clean, files } = mergeTrees(standIn, commit);
+  if (!clean) {
+    return { status: "conflict", tip, files };
+  }
+  if (tree === tipTree) {
+    return { status: "empty", tip, files: [] };
+  }
+
+  const info = getCommitInfo(commit);
+  return {
+    status: "applied",
+    tip: commitTree(tree, [tip], info.message, info),
+    files: [],
+  };
+}
+
+/**
+ * Replay commits onto a ref in memory.
+ * @param {string[]} commitHashes - oldest-first
+ * @returns {{ tip: string, remaining: string[] }} the new tip, and the
+ *   commits still to apply starting with the first one that did not replay
+ */
+function replayCommits(onto, commitHashes) {
+  let tip = resolveRef(onto);
+
+  for (const [i, commitHash] of commitHashes.entries()) {
+    const result = tryCommit(tip, commitHash);
+    if (result.status === "conflict" || result.status === "unsupported") {
+      return { tip, remaining: commitHashes.slice(i) };
+    }
+    if (result.status === "empty") {
+      log(
+        `   ⏭️  Skipped ${commitHash} (no changes or already applied)`,
+        COLORS.yellow
+      );
+    } else {
+      log(`   ✅ Replayed ${commitHash}`, COLORS.green);
+    }
+    tip = result.tip;
+  }
+
+  return { tip, remaining: [] };
+}
+
+/**
+ * Point a branch at a new commit. Only the branch checked out here has its
+ * working tree updated to match; other worktrees are left as they are.
+ */
+function moveBranch(branch, commit) {
+  if (getCurrentBranch() === branch) {
+    resetHard(commit);
+  } else {
+    updateBranchRef(branch, commit);
+  }
+}
+
+/**
+ * Rebase a branch onto a target without a checkout, falling back to
+ * cherry-picking from the first commit that needs manual resolution.
+ * @param {string[]} commitHashes - oldest-first
+ * @param {Object} [options] - passed on to cherryPickOntoBranch
+ */
+function rebaseInMemory(branch, onto, commitHashes, options = {}) {
+  const { tip, remaining } = replayCommits(onto, commitHashes);
+
+  if (remaining.length === 0) {
+    moveBranch(branch, tip);
+    return;
+  }
+
+  log(
+    `   ⚠️  ${remaining[0]} does not apply cleanly - continuing with cherry-pick`,
+    COLORS.yellow
+  );
+  cherryPickOntoBranch(branch, tip, remaining, options);
+}
+
+module.exports = {
+  tryCommit,
+  replayCommits,
+  moveBranch,
+  rebaseInMemory,
+};
@@ -0,0 +1,138 @@
+/**
+ * Offline stack discovery from the local commit graph.
+ *
+ * Works out which local branch each branch was stacked on from git ancestry
+ * alone, so discovery does not need GitHub. The result is served through the
+ * same PR source interface as pr-graph.js, so buildPRChain and discoverStack
+ * return the same structures as with GitHub discovery (with no PR numbers).
+ */
+
+const {
+  listLocalBranches,
+  listCommitsExcluding,
+  resolveRef,
+  getMergeBase,
+  getPastTips,
+  countCommits,
+} = require("../utils/git");
+const { isProtectedBranch } = require("../utils/validation");
+const { buildPRGraph, createGraphSource } = require("./pr-graph");
+
+/**
+ * Pick the parent of every non-protected local branch.
+ *
+ * The parent is the other branch that the branch's own commits (those not on
+ * a protected branch) reach deepest into: either its current tip or, for a
+ * parent that has moved on since (the reason to restack), one of its earlier
+ * tips from its reflog. Branches already merged into a protected branch are
+ * not considered as parents, since any feature branch descends from them.
+ *
+ * When no branch qualifies, the parent is the protected branch sharing the
+ * most recent merge base, which is how the bottom of a stack finds main after
+ * main moved on.
+ *
+ * Returns [{ head, base }] edges.
+ */
+function findLocalParents() {
+  const branches = listLocalBranches();
+  const protectedBranches = branches.filter(isProtectedBranch);
+  const candidates = branches.filter((b) => !isProtectedBranch(b));
+
+  const tips = new Map(branches.map((b) => [b, resolveRef(b)]));
+  const pastTips = new Map(candidates.map((b) => [b, getPastTips(b)]));
+
+  const mergedIntoBase = new Set();
+  for (const base of protectedBranches) {
+    listLocalBranches(base).forEach((b) => mergedIntoBase.add(b));
+  }
+
+  const depthCache = new Map();
+  const depth = (ref) => {
+    if (!depthCache.has(ref)) {
+      depthCache.set(ref, countCommits(ref));
+    }
+    return depthCache.get(ref);
+  };
+
+  // Where `branch` last had `other` under it: other's tip, or else the
+  // deepest of its earlier tips, among the branch's own commits. Earlier
+  // tips the branch itself has been at are skipped, or two branches that
+  // were once reset to the same commit would each be the other's parent.
+  const findForkPoint = (branch, ownCommits, other) => {
+    if (ownCommits.has(tips.get(other))) {
+      return tips.get(other);
+    }
+    let best = null;
+    for (const tip of pastTips.get(other)) {
+      if (
+        ownCommits.has(tip) &&
+        tip !== tips.get(branch) &&
+        !pastTips.get(branch).has(tip) &&
+        (!best || depth(tip) > depth(best))
+      ) {
+        best = tip;
+      }
+    }
+    return best;
+  };
+
+  const edges = [];
+
+  for (const branch of candidates) {
+    if (mergedIntoBase.has(branch)) continue;
+
+    const ownCommits = new Set(listCommitsExcluding(branch, protectedBranches));
+    let parent = null;
+    let bestDepth = -1;
+    for (const other of candidates) {
+      if (
+        other === branch ||
+        mergedIntoBase.has(other) ||
+        tips.get(other) === tips.get(branch)
+      ) {
+        continue;
+      }
+      const forkPoint = findForkPoint(branch, ownCommits, other);
+      if (forkPoint && depth(forkPoint) > bestDepth) {
+        bestDepth = depth(forkPoint);
+        parent = other;
+      }
+    }
+
+    if (!parent) {
+      for (const base of protectedBranches) {
+        const mergeBase = getMergeBase(base, branch);
+        if (mergeBase && depth(mergeBase) > bestDepth) {
+          bestDepth = depth(mergeBase);
+          parent = base;
+        }
+      }
+    }
+
+    if (parent) {
+      edges.push({ head: branch, base: parent });
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Create a PR source backed by local branch ancestry.
+ * Lookups return entries without PR numbers or titles.
+ */
+function createLocalSource() {
+  const edges = findLocalParents().map(({ head, base }) => ({
+    number: null,
+    title: null,
+    head,
+    base,
+    isCrossRepository: false,
+  }));
+  return createGraphSource(buildPRGraph(edges));
+}
+
+module.exports = {
+  findLocalParents,
+  createLocalSource,
+};
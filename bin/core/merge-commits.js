@@ -0,0 +1,73 @@
+/**
+ * Merge commits inside a branch's own commits.
+ *
+ * `git log target..branch` lists a merge commit (e.g. a helper branch merged
+ * in) next to the commits it brought in, and a plain `git cherry-pick` of a
+ * merge fails. Merges are handled in one of two modes:
+ *   - linearize (default): drop the merge commits and replay the commits they
+ *     brought in one by one, like `git rebase` does
+ *   - preserve: replay the branch's first-parent line and recreate each merge
+ *     on it by merging the same branch in again; with the rebase strategy,
+ *     `git rebase --rebase-merges` is used instead
+ */
+
+const {
+  getConfigValue,
+  isMergeCommit,
+  getFirstParentCommits,
+  getCommitSubject,
+} = require("../utils/git");
+
+const MERGE_MODES = ["linearize", "preserve"];
+
+/**
+ * Pick the merge mode: --merges, else git config rebaseStack.merges, else
+ * linearize.
+ */
+function resolveMergeMode(option) {
+  const mode = option || getConfigValue("rebaseStack.merges") || "linearize";
+  if (!MERGE_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown merge mode "${mode}". Use one of: ${MERGE_MODES.join(", ")}`
+    );
+  }
+  return mode;
+}
+
+/**
+ * Apply the merge mode to a branch's own commits.
+ * Returns { commits, merges: [{ hash, subject }] }, commits oldest-first.
+ * @param {string} exclude - where the branch's own commits start (exclusive)
+ * @param {string[]} commitHashes - oldest-first, as `git log exclude..branch`
+ *   lists them
+ */
+function applyMergeMode(branch, exclude, commitHashes, mode) {
+  const merges = commitHashes.filter(isMergeCommit).map((hash) => ({
+    hash,
+    subject: getCommitSubject(hash),
+  }));
+  if (merges.length === 0) {
+    return { commits: commitHashes, merges };
+  }
+
+  if (mode === "preserve") {
+    // Commits merged in stay as they are; the merge brings them in again
+    const firstParent = getFirstParentCommits(exclude, branch);
+    const commits = commitHashes.filter((hash) =>
+      firstParent.some((full) => full.startsWith(hash))
+    );
+    return { commits, merges };
+  }
+
+  const mergeHashes = new Set(merges.map((merge) => merge.hash));
+  return {
+    commits: commitHashes.filter((hash) => !mergeHashes.has(hash)),
+    merges,
+  };
+}
+
+module.exports = {
+  MERGE_MODES,
+  resolveMergeMode,
+  applyMergeMode,
+};
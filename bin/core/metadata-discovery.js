@@ -0,0 +1,84 @@
+/**
+ * Stack discovery from recorded parent metadata.
+ *
+ * Parents recorded in git config (see utils/stack-metadata.js) take
+ * precedence; branches without metadata are looked up in a fallback source
+ * (GitHub or local ancestry). The fallback also supplies PR numbers and titles
+ * for branches whose parent comes from metadata.
+ */
+
+const { listStackParents } = require("../utils/stack-metadata");
+
+/**
+ * Create a PR source that reads stack metadata first.
+ * @param {Function} getFallback - returns the fallback source, or null when
+ *   none is available; called at most once, on first use
+ */
+function createMetadataSource(getFallback) {
+  const parents = new Map(
+    listStackParents().map(({ branch, parent }) => [branch, parent])
+  );
+
+  let fallback;
+  const resolveFallback = () => {
+    if (fallback === undefined) {
+      fallback = getFallback() || null;
+    }
+    return fallback;
+  };
+
+  return {
+    findPRsTargeting(baseBranch) {
+      const source = resolveFallback();
+      const fromFallback = source ? source.findPRsTargeting(baseBranch) : [];
+      const prs = new Map(fromFallback.map((pr) => [pr.branch, pr]));
+
+      const children = [];
+      for (const [branch, parent] of parents) {
+        if (parent !== baseBranch) continue;
+        // The branch's PR may still target another base
+        const pr =
+          prs.get(branch) || (source && source.findPRForBranch(branch));
+        children.push({
+          number: pr ? pr.number : null,
+          branch,
+          title: pr ? pr.title : null,
+          target: baseBranch,
+        });
+      }
+
+      // PRs whose branch has a different recorded parent belong elsewhere
+      for (const pr of prs.values()) {
+        if (!parents.has(pr.branch)) {
+          children.push(pr);
+        }
+      }
+
+      return children;
+    },
+
+    findPRForBranch(headBranch) {
+      const parent = parents.get(headBranch);
+      const source = resolveFallback();
+      const pr = source?.findPRForBranch(headBranch);
+      if (!parent) return pr || null;
+
+      // A recorded branch whose PR has landed is no longer part of the stack
+      if (!pr && source?.findLandedPR?.(headBranch)) return null;
+
+      return {
+        number: pr ? pr.number : null,
+        base: parent,
+        title: pr ? pr.title : null,
+      };
+    },
+
+    findLandedPR(headBranch) {
+      return resolveFallback()?.findLandedPR?.(headBranch) || null;
+    },
+  };
+}
+
+module.exports = {
+  createMetadataSource,
+};
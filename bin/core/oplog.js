@@ -0,0 +1,87 @@
+/**
+ * Operation log of finished rebase runs.
+ *
+ * Kept next to the run state (see run-state.js): each entry records, for
+ * every branch the run rewrote, its commit before and after the run and
+ * whether the run pushed it, so the last run can be undone with --undo.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getGitPath, resolveRef } = require("../utils/git");
+const { STATE_DIR } = require("./run-state");
+
+const OPLOG_FILE = "oplog.json";
+const MAX_ENTRIES = 20;
+
+function getOplogFile() {
+  return path.resolve(getGitPath(STATE_DIR), OPLOG_FILE);
+}
+
+/**
+ * Load the logged runs, oldest first.
+ */
+function loadOplog() {
+  const file = getOplogFile();
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function saveOplog(entries) {
+  const file = getOplogFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(entries, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+/**
+ * Log a finished run: every backed-up branch with { branch, before, after,
+ * pushed }. Only the newest MAX_ENTRIES runs are kept.
+ */
+function recordRun(state) {
+  const branches = state.backups
+    .map(({ branch, ref }) => ({
+      branch,
+      before: resolveRef(ref),
+      after: resolveRef(`refs/heads/${branch}`),
+      pushed: state.pushed.includes(branch),
+    }))
+    .filter((entry) => entry.before && entry.after);
+
+  const entries = loadOplog().concat({
+    runId: state.runId,
+    tool: state.tool,
+    originalBranch: state.originalBranch,
+    remote: state.remote,
+    finishedAt: new Date().toISOString(),
+    undone: false,
+    branches,
+  });
+  saveOplog(entries.slice(-MAX_ENTRIES));
+}
+
+/**
+ * Get the newest logged run that has not been undone, or null.
+ */
+function getLastRun() {
+  const entries = loadOplog();
+  const last = entries[entries.length - 1];
+  return last && !last.undone ? last : null;
+}
+
+function markRunUndone(runId) {
+  saveOplog(
+    loadOplog().map((entry) =>
+      entry.runId === runId ? { ...entry, undone: true } : entry
+    )
+  );
+}
+
+module.exports = {
+  loadOplog,
+  recordRun,
+  getLastRun,
+  markRunUndone,
+};
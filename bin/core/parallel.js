@@ -0,0 +1,42 @@
+/**
+ * Parent side of parallel (--jobs) runs: forks a step-worker.js process per
+ * step and collects its output, so each branch's lines are printed together.
+ */
+
+const { fork } = require("child_process");
+const path = require("path");
+
+const WORKER = path.join(__dirname, "step-worker.js");
+
+/**
+ * Rebase a step in a worker process.
+ * Resolves to { output, result }: everything the worker printed, and the
+ * result it sent back (see step-worker.js).
+ */
+function runStepInWorker(job) {
+  return new Promise((resolve) => {
+    const child = fork(WORKER, [], { silent: true });
+    const chunks = [];
+    let result = null;
+
+    child.stdout.on("data", (chunk) => chunks.push(chunk));
+    child.stderr.on("data", (chunk) => chunks.push(chunk));
+    child.on("message", (message) => {
+      result = message;
+    });
+    child.on("close", (code) => {
+      resolve({
+        output: Buffer.concat(chunks).toString(),
+        result: result || {
+          error: {
+            message: `Worker for ${job.step.branch} exited with code ${code}`,
+          },
+        },
+      });
+    });
+
+    child.send(job);
+  });
+}
+
+module.exports = { runStepInWorker };
@@ -0,0 +1,169 @@
+/**
+ * Restack plans (rebase-stack --plan-out / --apply).
+ *
+ * A plan file pins everything a run will do, so it can be reviewed (or
+ * produced by one job and run by another) and then run exactly as written:
+ *
+ *   {
+ *     "version": 1,
+ *     "tool": "rebase-stack",
+ *     "createdAt": "2026-10-18T09:30:00.000Z",
+ *     "remote": "origin",
+ *     "strategy": "cherry-pick",
+ *     "merges": "linearize",
+ *     "base": { "branch": "main", "sha": "...", "remote": "..." },
+ *     "steps": [{ "branch", "onto", "sha", "remote", "commits", "upstream",
+ *                 "number", "dropped", "retarget" }]
+ *   }
+ *
+ * `sha` is where the local branch was when the plan was written and `remote`
+ * where the branch was on the remote (null if the remote did not have it).
+ * `commits` are the full SHAs to replay onto `onto`, oldest first. A plan is
+ * only run while every one of those still holds (see checkPlan).
+ */
+
+const fs = require("fs");
+const { resolveRef, getRemoteBranchHeads } = require("../utils/git");
+const { sanitizeBranchName } = require("../utils/validation");
+
+const PLAN_VERSION = 1;
+const PLAN_TOOL = "rebase-stack";
+
+/**
+ * Make a plan for running `steps` (as executeRebase builds them) on `base`,
+ * reading where every branch is locally and on the remote right now.
+ * Throws if the remote cannot be reached.
+ * @param {Object} options - { remote, strategy, merges } of the run
+ */
+function createPlan(base, steps, options) {
+  const remoteHeads = getRemoteBranchHeads([
+    base,
+    ...steps.map((step) => step.branch),
+  ]);
+
+  return {
+    version: PLAN_VERSION,
+    tool: PLAN_TOOL,
+    createdAt: new Date().toISOString(),
+    remote: options.remote,
+    strategy: options.strategy,
+    merges: options.merges,
+    base: { branch: base, sha: resolveRef(base), remote: remoteHeads[base] },
+    steps: steps.map((step) => ({
+      branch: step.branch,
+      onto: step.onto,
+      sha: resolveRef(step.branch),
+      remote: remoteHeads[step.branch],
+      commits: step.commits.map(resolveRef),
+      upstream: step.upstream && resolveRef(step.upstream),
+      number: step.number,
+      dropped: step.dropped,
+      retarget: step.retarget,
+    })),
+  };
+}
+
+function writePlan(file, plan) {
+  fs.writeFileSync(file, JSON.stringify(plan, null, 2) + "\n");
+}
+
+/**
+ * Read a plan file, checking it is one this version can run. Throws with a
+ * message naming the problem otherwise.
+ */
+function readPlan(file) {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not read plan ${file}: ${error.message}`);
+  }
+
+  if (plan?.tool !== PLAN_TOOL || plan.version !== PLAN_VERSION) {
+    throw new Error(
+      `${file} is not a version ${PLAN_VERSION} ${PLAN_TOOL} plan`
+    );
+  }
+  if (
+    !plan.base?.branch ||
+    !Array.isArray(plan.steps) ||
+    plan.steps.length === 0 ||
+    plan.steps.some((step) => !step.branch || !Array.isArray(step.commits))
+  ) {
+    throw new Error(`${file} is missing its base or steps`);
+  }
+
+  sanitizeBranchName(plan.base.branch);
+  plan.steps.forEach((step) => {
+    sanitizeBranchName(step.branch);
+    sanitizeBranchName(step.onto);
+  });
+  return plan;
+}
+
+function describeMove(name, expected, actual) {
+  const short = (sha) => (sha ? sha.slice(0, 7) : "(none)");
+  return `${name} is at ${short(actual)}, the plan expects ${short(expected)}`;
+}
+
+/**
+ * List what has changed since the plan was written: every local branch and
+ * every remote branch that is no longer where the plan pinned it. An empty
+ * list means the plan can run as written.
+ */
+function checkPlan(plan) {
+  const pinned = [plan.base, ...plan.steps];
+  const problems = [];
+
+  pinned.forEach(({ branch, sha }) => {
+    const actual = resolveRef(`refs/heads/${branch}`);
+    if (actual !== sha) {
+      problems.push(describeMove(branch, sha, actual));
+    }
+  });
+
+  let remoteHeads;
+  try {
+    remoteHeads = getRemoteBranchHeads(pinned.map(({ branch }) => branch));
+  } catch (error) {
+    problems.push(
+      `Could not read branches on ${plan.remote}: ${error.message}`
+    );
+    return problems;
+  }
+  pinned.forEach(({ branch, remote }) => {
+    if (remoteHeads[branch] !== remote) {
+      problems.push(
+        describeMove(`${plan.remote}/${branch}`, remote, remoteHeads[branch])
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Turn a plan's steps into run steps for startRun. Each branch is only
+ * pushed if the remote branch is still where the plan found it.
+ */
+function getPlanSteps(plan) {
+  return plan.steps.map((step) => ({
+    branch: step.branch,
+    onto: step.onto,
+    commits: step.commits,
+    upstream: step.upstream,
+    refreshOnto: false,
+    number: step.number || null,
+    dropped: step.dropped || [],
+    retarget: step.retarget || null,
+    expectedRemote: step.remote,
+  }));
+}
+
+module.exports = {
+  createPlan,
+  writePlan,
+  readPlan,
+  checkPlan,
+  getPlanSteps,
+};
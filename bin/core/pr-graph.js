@@ -0,0 +1,121 @@
+/**
+ * In-memory PR graph used for stack discovery.
+ *
+ * Instead of one `gh pr list` call per branch, all open PRs are fetched with a
+ * single GraphQL query and indexed by head and base branch. buildPRChain and
+ * discoverStack then walk the graph without further network round-trips.
+ *
+ * Provider-backed sources also offer `findLandedPR(head)`, which finds the
+ * merged or closed PR of a parent branch that has dropped out of the stack.
+ * It is optional: other sources (e.g. local discovery) leave it out.
+ */
+
+const { getProvider } = require("../utils/providers");
+const { sanitizeBranchName } = require("../utils/validation");
+const { log, COLORS } = require("../utils/colors");
+
+/**
+ * Index PRs by head and base branch.
+ * PRs from forks are left out: their head branch does not live in this
+ * repository, so it cannot be rebased or pushed from here.
+ */
+function buildPRGraph(prs) {
+  const byHead = new Map();
+  const byBase = new Map();
+
+  for (const pr of prs) {
+    if (pr.isCrossRepository) continue;
+
+    if (!byHead.has(pr.head)) {
+      byHead.set(pr.head, pr);
+    }
+    if (!byBase.has(pr.base)) {
+      byBase.set(pr.base, []);
+    }
+    byBase.get(pr.base).push(pr);
+  }
+
+  return { byHead, byBase };
+}
+
+/**
+ * Create a PR source backed by an already-built graph.
+ * Lookups return the same shapes as findPRsTargeting / findPRForBranch.
+ */
+function createGraphSource(graph) {
+  return {
+    findPRsTargeting(baseBranch) {
+      return (graph.byBase.get(baseBranch) || []).map((pr) => ({
+        number: pr.number,
+        branch: sanitizeBranchName(pr.head),
+        title: pr.title,
+        target: baseBranch,
+      }));
+    },
+
+    findPRForBranch(headBranch) {
+      const pr = graph.byHead.get(headBranch);
+      if (!pr) return null;
+      return {
+        number: pr.number,
+        base: sanitizeBranchName(pr.base),
+        title: pr.title,
+      };
+    },
+  };
+}
+
+/**
+ * Create a PR source that asks the provider's CLI once per lookup.
+ */
+function createCLISource(host, provider = getProvider("github")) {
+  return {
+    findPRsTargeting: (baseBranch) =>
+      provider.findPRsTargeting(baseBranch, host),
+    findPRForBranch: (headBranch) => provider.findPRForBranch(headBranch, host),
+    findLandedPR: (headBranch) =>
+      provider.findLandedPRForBranch(headBranch, host),
+  };
+}
+
+/**
+ * Create the default PR source for a host.
+ * Open PRs are fetched with one query on first use (GraphQL on GitHub). If the
+ * provider cannot list every PR at once, or the query fails (e.g. an old gh
+ * version), lookups fall back to one CLI call per branch.
+ */
+function createPRSource(host, provider = getProvider("github")) {
+  let source = null;
+
+  const resolve = () => {
+    if (!source && !provider.fetchOpenPRs) {
+      source = createCLISource(host, provider);
+    } else if (!source) {
+      try {
+        source = createGraphSource(buildPRGraph(provider.fetchOpenPRs(host)));
+      } catch (error) {
+        log(
+          `⚠️  Could not fetch open PRs in one query, falling back to per-branch lookups: ${error.message}`,
+          COLORS.yellow
+        );
+        source = createCLISource(host, provider);
+      }
+    }
+    return source;
+  };
+
+  return {
+    findPRsTargeting: (baseBranch) => resolve().findPRsTargeting(baseBranch),
+    findPRForBranch: (headBranch) => resolve().findPRForBranch(headBranch),
+    // Merged and closed PRs are not in the graph; look them up one by one
+    findLandedPR: (headBranch) =>
+      provider.findLandedPRForBranch(headBranch, host),
+  };
+}
+
+module.exports = {
+  buildPRGraph,
+  createGraphSource,
+  createCLISource,
+  createPRSource,
+};
@@ -0,0 +1,64 @@
+/**
+ * Conflict prediction for dry runs.
+ *
+ * Replays every step's commits in memory (see tryCommit in in-memory.js),
+ * each branch onto its target's simulated new tip, to tell which branches
+ * will rebase cleanly, end up empty, or stop on a conflict, and at which
+ * commit. No ref, index or working tree is touched; the simulated commits
+ * are unreferenced objects that git gc removes.
+ */
+
+const { resolveRef, getCommitSubject } = require("../utils/git");
+const { tryCommit } = require("./in-memory");
+
+/**
+ * Predict the outcome of each step, in order.
+ * @param {Object[]} steps - [{ branch, onto, commits }], parents before
+ *   children; `commits` oldest-first
+ * @returns {Object[]} one { outcome, commit, subject, files } per step.
+ *   `outcome` is "clean", "empty" (nothing left to replay: the branch is
+ *   fast-forwarded onto its target), "conflict" (at `commit`, in `files`),
+ *   "unknown" (`commit` is a merge commit, which cannot be simulated) or
+ *   "blocked" (its target stops first, so it depends on how that is
+ *   resolved).
+ */
+function predictSteps(steps) {
+  const tips = new Map();
+  const stopped = new Set();
+
+  return steps.map(({ branch, onto, commits }) => {
+    if (stopped.has(onto)) {
+      stopped.add(branch);
+      return { outcome: "blocked", commit: null, subject: null, files: [] };
+    }
+
+    let tip = tips.has(onto) ? tips.get(onto) : resolveRef(onto);
+    let applied = 0;
+    for (const commit of commits) {
+      const result = tryCommit(tip, commit);
+      if (result.status === "conflict" || result.status === "unsupported") {
+        stopped.add(branch);
+        return {
+          outcome: result.status === "conflict" ? "conflict" : "unknown",
+          commit: resolveRef(commit),
+          subject: getCommitSubject(commit),
+          files: result.files,
+        };
+      }
+      if (result.status === "applied") {
+        applied++;
+      }
+      tip = result.tip;
+    }
+
+    tips.set(branch, tip);
+    return {
+      outcome: applied > 0 ? "clean" : "empty",
+      commit: null,
+      subject: null,
+      files: [],
+    };
+  });
+}
+
+module.exports = { predictSteps };
@@ -0,0 +1,181 @@
+/**
+ * `git rebase --onto` strategy, an alternative to cherry-picking each commit.
+ *
+ * Each branch is replayed with `git rebase --onto <newParent> <oldParentTip>`,
+ * where the old parent tip is captured before the run rewrites anything. Git's
+ * own rebase machinery (rerere, hooks, its cherry-pick detection) does the
+ * work; backups, pushing and --continue/--abort stay with the executor.
+ */
+
+const {
+  rebaseOnto,
+  rebaseContinue,
+  rebaseSkip,
+  rebaseAbort,
+  isRebaseInProgress,
+  getStatus,
+  hasConflict,
+  getWorktreeBranches,
+  addWorktree,
+  removeWorktree,
+  updateBranchToWorktreeHead,
+  getConfigValue,
+} = require("../utils/git");
+const { log, COLORS } = require("../utils/colors");
+const { quoteArg } = require("../utils/ui");
+
+const STRATEGIES = ["cherry-pick", "rebase"];
+
+/**
+ * Pick the strategy: --strategy, else git config rebaseStack.strategy, else
+ * cherry-pick.
+ */
+function resolveStrategy(option) {
+  const strategy =
+    option || getConfigValue("rebaseStack.strategy") || "cherry-pick";
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown strategy "${strategy}". Use one of: ${STRATEGIES.join(", ")}`
+    );
+  }
+  return strategy;
+}
+
+/**
+ * The commit to rebase from so that exactly `commits` are replayed: the old
+ * parent tip, or the newest of any leading own commits dropped as already
+ * upstream.
+ * @param {string[]} own - the branch's own commits, oldest-first
+ * @param {string[]} commits - the ones to replay, oldest-first
+ */
+function getReplayUpstream(own, commits, oldParentTip) {
+  const first = commits.length > 0 ? own.indexOf(commits[0]) : -1;
+  return first > 0 ? own[first - 1] : oldParentTip;
+}
+
+/**
+ * Turn a failed `git rebase` into a conflict error (rebase left in progress
+ * for --continue), or abort it and report the failure.
+ */
+function toRebaseError(error, branch, onto, cwd) {
+  if (isRebaseInProgress(cwd) && hasConflict(getStatus(cwd))) {
+    const conflictError = new Error(
+      `Conflict detected while rebasing ${branch} onto ${onto}.\n` +
+        `   Resolve manually${cwd ? ` in ${cwd}` : ""}:\n` +
+        "      1. Fix conflicts in the files\n" +
+        "      2. git add <files>\n" +
+        "      3. Re-run with --continue (or --abort to roll back)"
+    );
+    conflictError.isConflict = true;
+    conflictError.isRebase = true;
+    return conflictError;
+  }
+
+  rebaseAbort(cwd);
+  return new Error(`git rebase of ${branch} failed: ${error.message}`);
+}
+
+/**
+ * Rebase a branch with `git rebase --onto <onto> <upstream> <branch>`.
+ * If the branch is locked by an existing worktree, operates via a temp worktree,
+ * which is kept on a conflict (its path is attached to the error as `worktree`).
+ * @param {Object} [options]
+ * @param {boolean} [options.rebaseMerges] - recreate merge commits
+ *   (`--rebase-merges`) instead of linearizing them
+ * @param {boolean} [options.isolated] - always use a temp worktree
+ */
+function rebaseOntoBranch(branch, onto, upstream, options = {}) {
+  log(`\n📦 Rebasing ${branch} onto ${onto}...`, COLORS.cyan);
+  log(
+    `   git rebase --onto ${quoteArg(onto)} ${upstream.slice(0, 7)} ${quoteArg(branch)}`,
+    COLORS.dim
+  );
+
+  const lockedBranches = getWorktreeBranches();
+  if (!options.isolated && !lockedBranches.has(branch)) {
+    try {
+      rebaseOnto(onto, upstream, branch, undefined, options);
+    } catch (error) {
+      throw toRebaseError(error, branch, onto);
+    }
+    log(`   ✅ Rebased ${branch}`, COLORS.green);
+    return;
+  }
+
+  if (!options.isolated) {
+    log(
+      "   ℹ️  Branch is open in a worktree - rebasing without disrupting it",
+      COLORS.dim
+    );
+  }
+  const tmpDir = addWorktree(branch);
+  let keepWorktree = false;
+  try {
+    rebaseOnto(onto, upstream, null, tmpDir, options);
+    updateBranchToWorktreeHead(branch, tmpDir);
+    log(`   ✅ Rebased ${branch}`, COLORS.green);
+  } catch (error) {
+    const rebaseError = toRebaseError(error, branch, onto, tmpDir);
+    if (rebaseError.isConflict) {
+      keepWorktree = true;
+      rebaseError.worktree = tmpDir;
+    }
+    throw rebaseError;
+  } finally {
+    if (!keepWorktree) {
+      removeWorktree(tmpDir);
+    }
+  }
+}
+
+/**
+ * Finish a `git rebase` that stopped on a conflict the user has since
+ * resolved, then (for a temp worktree) move the branch ref and drop the
+ * worktree. Throws a conflict error again if conflicts are still unresolved.
+ * @param {string|null} worktree - temp worktree path, or null for the main repo
+ */
+function resumeRebaseOnto(branch, onto, worktree) {
+  const cwd = worktree || undefined;
+
+  while (isRebaseInProgress(cwd)) {
+    if (hasConflict(getStatus(cwd))) {
+      const error = new Error(
+        `Conflicts in ${branch} are not resolved yet${worktree ? ` (in ${worktree})` : ""}.\n` +
+          "   Fix them, git add <files>, then re-run with --continue"
+      );
+      error.isConflict = true;
+      error.isRebase = true;
+      error.worktree = worktree;
+      throw error;
+    }
+
+    try {
+      rebaseContinue(cwd);
+    } catch (error) {
+      if (hasConflict(getStatus(cwd))) {
+        const rebaseError = toRebaseError(error, branch, onto, cwd);
+        rebaseError.worktree = worktree;
+        throw rebaseError;
+      }
+      // The resolution left nothing to commit
+      if (rebaseSkip(cwd) === null && !hasConflict(getStatus(cwd))) {
+        throw new Error(`git rebase of ${branch} failed: ${error.message}`);
+      }
+      log("   ⏭️  Skipped resolved commit (no changes)", COLORS.yellow);
+    }
+  }
+  log(`   ✅ Rebased ${branch}`, COLORS.green);
+
+  if (worktree) {
+    updateBranchToWorktreeHead(branch, worktree);
+    removeWorktree(worktree);
+  }
+}
+
+module.exports = {
+  STRATEGIES,
+  resolveStrategy,
+  getReplayUpstream,
+  rebaseOntoBranch,
+  resumeRebaseOnto,
+};
@@ -17,20 +17,28 @@ const {
   updateBranchToWorktreeHead,
 } = require("../utils/git");
 const { log, COLORS } = require("../utils/colors");
-const { cherryPickAll } = require("./cherry-pick");
+const { cherryPickOntoBranch } = require("./cherry-pick");
+const { moveBranch, rebaseInMemory } = require("./in-memory");
 
 /**
  * Rebase a branch onto a target using pre-captured commit hashes.
  * @param {string} branch - the branch to rebase
  * @param {string} onto - the target branch to rebase onto
  * @param {string[]} commitHashes - oldest-first commit hashes (captured before any rebasing)
+ * @param {Object} [options]
+ * @param {boolean} [options.inMemory] - replay without a checkout (in-memory.js)
+ * @param {boolean} [options.isolated] - never check the branch out here
  */
-function rebaseFromCommits(branch, onto, commitHashes) {
+function rebaseFromCommits(branch, onto, commitHashes, options = {}) {
   log(`\n📦 Rebasing ${branch} onto ${onto}...`, COLORS.cyan);
 
   if (commitHashes.length === 0) {
     log("   ⏭️  No own commits, fast-forwarding to target", COLORS.yellow);
     // Still need to update the branch ref to point to the rebased parent
+    if (options.inMemory || options.isolated) {
+      moveBranch(branch, onto);
+      return;
+    }
     const lockedBranches = getWorktreeBranches();
     if (lockedBranches.has(branch)) {
       const tmpDir = addWorktree(branch);
@@ -49,24 +57,11 @@ function rebaseFromCommits(branch, onto, commitHashes) {
 
   log(`   Commits to cherry-pick: ${commitHashes.join(", ")}`, COLORS.dim);
 
-  const lockedBranches = getWorktreeBranches();
-  if (lockedBranches.has(branch)) {
-    log(
-      "   ℹ️  Branch is open in a worktree - rebasing without disrupting it",
-      COLORS.dim
-    );
-    const tmpDir = addWorktree(branch);
-    try {
-      resetHard(onto, tmpDir);
-      cherryPickAll(commitHashes, onto, tmpDir);
-      updateBranchToWorktreeHead(branch, tmpDir);
-    } finally {
-      removeWorktree(tmpDir);
-    }
+  const pickOptions = { isolated: options.isolated };
+  if (options.inMemory) {
+    rebaseInMemory(branch, onto, commitHashes, pickOptions);
   } else {
-    checkoutBranch(branch);
-    resetHard(onto);
-    cherryPickAll(commitHashes, onto);
+    cherryPickOntoBranch(branch, onto, commitHashes, pickOptions);
   }
 }
 
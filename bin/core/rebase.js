@@ -4,75 +4,78 @@
 
 const {
   getBranchOwnCommits,
-  checkoutBranch,
-  resetHard,
   pushBranch,
-  getWorktreeBranches,
-  addWorktree,
-  removeWorktree,
-  updateBranchToWorktreeHead,
+  pushBranchWithLease,
+  pushBranchesAtomic,
 } = require("../utils/git");
 const { log, COLORS } = require("../utils/colors");
-const { cherryPickAll } = require("./cherry-pick");
+const { cherryPickOntoBranch } = require("./cherry-pick");
+const { rebaseInMemory } = require("./in-memory");
 
 /**
  * Rebase a single branch onto a target.
  * If the branch is locked by an existing worktree, operates via a temp worktree.
+ * @param {string[]} [commitHashes] - oldest-first commits to replay; computed
+ *   from `git log onto..branch` when omitted
+ * @param {Object} [options]
+ * @param {boolean} [options.inMemory] - replay without a checkout (in-memory.js)
+ * @param {boolean} [options.isolated] - never check the branch out here
  */
-function rebaseBranch(branch, onto) {
+function rebaseBranch(branch, onto, commitHashes, options = {}) {
   log(`\n📦 Rebasing ${branch} onto ${onto}...`, COLORS.cyan);
 
-  const commitHashes = getBranchOwnCommits(branch, onto);
+  if (!commitHashes) {
+    // Oldest-first for cherry-picking
+    commitHashes = getBranchOwnCommits(branch, onto).reverse();
+  }
 
   if (commitHashes.length === 0) {
     log("   ⏭️  No unique commits found, skipping", COLORS.yellow);
     return true;
   }
 
-  // Oldest-first for cherry-picking
-  commitHashes.reverse();
-
   log(`   Commits to cherry-pick: ${commitHashes.join(", ")}`, COLORS.dim);
 
-  const lockedBranches = getWorktreeBranches();
-  if (lockedBranches.has(branch)) {
-    // Branch is checked out in an existing worktree. Rebase via a temp detached
-    // worktree so that checkout is not disrupted. The existing worktree will
-    // diverge from the updated branch ref — run `git reset --hard origin/<branch>`
-    // there to sync it after this script completes.
-    log(
-      "   ℹ️  Branch is open in a worktree - rebasing without disrupting it",
-      COLORS.dim
-    );
-    const tmpDir = addWorktree(branch);
-    try {
-      resetHard(onto, tmpDir);
-      cherryPickAll(commitHashes, onto, tmpDir);
-      // Detached worktree: commits are on anonymous HEAD, not the branch ref.
-      // Update the branch ref before removing the worktree.
-      updateBranchToWorktreeHead(branch, tmpDir);
-    } finally {
-      removeWorktree(tmpDir);
-    }
+  const pickOptions = { isolated: options.isolated };
+  if (options.inMemory) {
+    rebaseInMemory(branch, onto, commitHashes, pickOptions);
   } else {
-    checkoutBranch(branch);
-    resetHard(onto);
-    cherryPickAll(commitHashes, onto);
+    cherryPickOntoBranch(branch, onto, commitHashes, pickOptions);
   }
 
   return true;
 }
 
 /**
- * Push a rebased branch
+ * Push a rebased branch. With `expected` (a commit, or null for none), the
+ * push only goes through if the remote branch is still there.
  */
-function pushRebasedBranch(branch) {
+function pushRebasedBranch(branch, expected) {
   log("   🚀 Force pushing...", COLORS.blue);
-  pushBranch(branch);
+  if (expected === undefined) {
+    pushBranch(branch);
+  } else {
+    pushBranchWithLease(branch, expected);
+  }
+  log("   ✅ Pushed", COLORS.green);
+}
+
+/**
+ * Push all rebased branches at once; the remote is left untouched if any
+ * branch is rejected. `expected` pins remote commits as for
+ * pushRebasedBranch, by branch.
+ */
+function pushRebasedBranchesAtomic(branches, expected = {}) {
+  log(
+    `\n🚀 Force pushing ${branches.length} branches atomically...`,
+    COLORS.blue
+  );
+  pushBranchesAtomic(branches, expected);
   log("   ✅ Pushed", COLORS.green);
 }
 
 module.exports = {
   rebaseBranch,
   pushRebasedBranch,
+  pushRebasedBranchesAtomic,
 };
@@ -0,0 +1,48 @@
+/**
+ * Persisted state of an in-progress rebase run.
+ *
+ * Written under the git directory so that a run stopped by a conflict can be
+ * resumed with --continue or rolled back with --abort, instead of starting
+ * over and recapturing commits from branches that were already rewritten.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getGitPath } = require("../utils/git");
+
+const STATE_DIR = "rebase-stack";
+const STATE_FILE = "state.json";
+
+function getStateFile() {
+  return path.resolve(getGitPath(STATE_DIR), STATE_FILE);
+}
+
+/**
+ * Load the state of the in-progress run, or null if there is none.
+ */
+function loadRunState() {
+  const file = getStateFile();
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+function saveRunState(state) {
+  const file = getStateFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write-then-rename so an interrupted write never leaves a truncated file
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function clearRunState() {
+  fs.rmSync(getStateFile(), { force: true });
+}
+
+module.exports = {
+  STATE_DIR,
+  loadRunState,
+  saveRunState,
+  clearRunState,
+};
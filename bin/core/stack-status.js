@@ -0,0 +1,105 @@
+/**
+ * Stack health for `rebase-stack status`.
+ *
+ * For every branch of a stack: its PR (number, state, draft flag, CI checks),
+ * how far it is ahead of and behind its parent, and how the local branch
+ * compares to its copy on the remote. Only reads refs; nothing is changed.
+ */
+
+const { resolveRef, countCommits, getRemote } = require("../utils/git");
+const { log, COLORS } = require("../utils/colors");
+
+/**
+ * Resolve a branch to its local commit, or its remote-tracking commit if it
+ * only exists on the remote. Null if neither exists.
+ */
+function resolveBranch(branch) {
+  return (
+    resolveRef(`refs/heads/${branch}`) ||
+    resolveRef(`refs/remotes/${getRemote()}/${branch}`)
+  );
+}
+
+/**
+ * Count the commits `commit` has that `base` does not (ahead) and the other
+ * way round (behind).
+ */
+function compareCommits(base, commit) {
+  return {
+    ahead: countCommits(`${base}..${commit}`),
+    behind: countCommits(`${commit}..${base}`),
+  };
+}
+
+/**
+ * Compare a local branch with its remote-tracking branch. Returns { state,
+ * local, remote, ahead, behind }: `state` is "same", "ahead" (unpushed
+ * commits), "behind", "diverged", "local-only" or "remote-only".
+ */
+function getRemoteSync(branch) {
+  const local = resolveRef(`refs/heads/${branch}`);
+  const remote = resolveRef(`refs/remotes/${getRemote()}/${branch}`);
+  const sync = { local, remote, ahead: 0, behind: 0 };
+
+  if (!remote || !local) {
+    return { state: remote ? "remote-only" : "local-only", ...sync };
+  }
+  if (local === remote) {
+    return { state: "same", ...sync };
+  }
+
+  const { ahead, behind } = compareCommits(remote, local);
+  const state =
+    ahead > 0 && behind > 0 ? "diverged" : ahead > 0 ? "ahead" : "behind";
+  return { state, ...sync, ahead, behind };
+}
+
+/**
+ * Collect the status of each branch of a stack.
+ * @param {Object[]} entries - [{ branch, target, number }], every branch
+ *   after its parent (`target`)
+ * @param {Function} [getPRStatus] - number => { state, draft, checks }, or
+ *   null when PRs cannot be looked up (e.g. local discovery)
+ * @returns {Object[]} [{ branch, parent, number, state, draft, ahead,
+ *   behind, needsRebase, remote, checks }]; PR fields are null without a PR
+ */
+function collectStackStatus(entries, getPRStatus = null) {
+  return entries.map(({ branch, target, number }) => {
+    const commit = resolveBranch(branch);
+    const parent = resolveBranch(target);
+    const { ahead, behind } =
+      commit && parent
+        ? compareCommits(parent, commit)
+        : { ahead: null, behind: null };
+
+    let pr = null;
+    if (number && getPRStatus) {
+      try {
+        pr = getPRStatus(number);
+      } catch (error) {
+        log(
+          `⚠️  Could not read the status of #${number}: ${error.message}`,
+          COLORS.yellow
+        );
+      }
+    }
+
+    return {
+      branch,
+      parent: target,
+      number: number || null,
+      state: pr ? pr.state : null,
+      draft: pr ? pr.draft : null,
+      ahead,
+      behind,
+      needsRebase: behind > 0,
+      remote: getRemoteSync(branch),
+      checks: pr ? pr.checks : null,
+    };
+  });
+}
+
+module.exports = {
+  getRemoteSync,
+  collectStackStatus,
+};
@@ -0,0 +1,146 @@
+/**
+ * Stack navigation tables in PR descriptions (--stack-table).
+ *
+ * After a run, every PR of the stack gets a section listing the whole stack
+ * (PR number, title and base) with its own row marked. The section sits
+ * between two HTML comments, so later runs replace it in place and the rest
+ * of the description is never touched.
+ */
+
+const { log, COLORS } = require("../utils/colors");
+const { resolveProvider, resolveHost } = require("../utils/providers");
+
+const START_MARKER = "<!-- rebase-stack:stack-table -->";
+const END_MARKER = "<!-- /rebase-stack:stack-table -->";
+
+/**
+ * Escape a PR title for a Markdown table cell.
+ */
+function escapeCell(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .replace(/\|/g, "\\|")
+    .trim();
+}
+
+/**
+ * Render the stack section for one PR.
+ * @param {Object[]} prs - [{ number, title, parent }], parents first
+ * @param {number} current - the number of the PR the section is for
+ */
+function renderStackTable(prs, current) {
+  const rows = prs.map((pr) => {
+    const marker = pr.number === current ? "👉" : "";
+    return `| ${marker} | #${pr.number} | ${escapeCell(pr.title)} | \`${pr.parent}\` |`;
+  });
+  return [
+    START_MARKER,
+    "### 📚 Stack",
+    "",
+    "|  | PR | Title | Base |",
+    "| --- | --- | --- | --- |",
+    ...rows,
+    "",
+    "<sub>Kept up to date by rebase-stack.</sub>",
+    END_MARKER,
+  ].join("\n");
+}
+
+/**
+ * Put `section` into a PR description: in place of an earlier stack section,
+ * or after the rest of the description.
+ */
+function replaceStackSection(body, section) {
+  const start = body.indexOf(START_MARKER);
+  const end = body.indexOf(END_MARKER, start);
+  if (start !== -1 && end !== -1) {
+    return body.slice(0, start) + section + body.slice(end + END_MARKER.length);
+  }
+  if (body.trim() === "") {
+    return section;
+  }
+  return `${body}${body.endsWith("\n") ? "\n" : "\n\n"}${section}`;
+}
+
+/**
+ * Insert or update the stack section in the PR of every branch that has one.
+ * A failure only warns: the branches themselves are already done.
+ * @param {Object[]} entries - [{ branch, parent }], parents first
+ * @returns {{ updated: number[], failed: number[] }} PR numbers
+ */
+function updateStackTables(entries, provider, host) {
+  const outcome = { updated: [], failed: [] };
+  const prs = [];
+  for (const { branch, parent } of entries) {
+    if (prs.some((pr) => pr.branch === branch)) continue;
+    try {
+      const pr = provider.findPRForBranch(branch, host);
+      if (pr) {
+        prs.push({ branch, parent, number: pr.number, title: pr.title });
+      }
+    } catch (error) {
+      log(
+        `   ⚠️  Could not look up the PR of ${branch}: ${error.message}`,
+        COLORS.yellow
+      );
+    }
+  }
+  if (prs.length === 0) {
+    return outcome;
+  }
+
+  log(
+    `\n📚 Updating the stack table in ${prs.length} PR${prs.length === 1 ? "" : "s"}...`,
+    COLORS.cyan
+  );
+  for (const pr of prs) {
+    try {
+      const body = provider.fetchPRBody(pr.number, host);
+      const updated = replaceStackSection(
+        body,
+        renderStackTable(prs, pr.number)
+      );
+      if (updated !== body) {
+        provider.updatePRBody(pr.number, updated, host);
+      }
+      outcome.updated.push(pr.number);
+      log(`   ✅ #${pr.number} ${pr.branch}`, COLORS.green);
+    } catch (error) {
+      outcome.failed.push(pr.number);
+      log(
+        `   ⚠️  Could not update #${pr.number}: ${error.message}`,
+        COLORS.yellow
+      );
+    }
+  }
+  return outcome;
+}
+
+/**
+ * Where --stack-table writes, as { provider, host } for startRun, or null
+ * (with a warning) when the provider's CLI cannot be used.
+ */
+function resolveStackTable(options) {
+  let provider;
+  try {
+    provider = resolveProvider(options);
+  } catch (error) {
+    log(`⚠️  Stack tables are off: ${error.message}`, COLORS.yellow);
+    return null;
+  }
+  if (!provider.isCLIInstalled() || !provider.isCLIAuthenticated()) {
+    log(
+      `⚠️  Stack tables are off: ${provider.label} CLI (${provider.cli}) is not available`,
+      COLORS.yellow
+    );
+    return null;
+  }
+  return { provider: provider.name, host: resolveHost(provider, options) };
+}
+
+module.exports = {
+  renderStackTable,
+  replaceStackSection,
+  updateStackTables,
+  resolveStackTable,
+};
@@ -0,0 +1,95 @@
+/**
+ * Rebasing a single step of a run, shared by the executor and the workers of
+ * parallel (--jobs) runs (see step-worker.js).
+ */
+
+const { getBranchOwnCommits } = require("../utils/git");
+const { log, COLORS } = require("../utils/colors");
+const { createBackup } = require("../utils/backup");
+const { displayDroppedCommits, displayMergeCommits } = require("../utils/ui");
+const { rebaseBranch } = require("./rebase");
+const { rebaseFromCommits } = require("./rebase-stack");
+const { getReplayUpstream, rebaseOntoBranch } = require("./rebase-onto");
+const { dropUpstreamCommits } = require("./upstream-commits");
+const { applyMergeMode } = require("./merge-commits");
+
+const DOWNSTREAM_TOOL = "rebase-downstream-branches";
+
+/**
+ * Create a backup ref for a branch about to be rebased, as part of run
+ * `runId`. Returns the ref, or null if it could not be created.
+ */
+function backupBranch(branch, runId) {
+  log(`\n💾 Creating backup for ${branch}...`, COLORS.cyan);
+  const backupRef = createBackup(branch, runId);
+  if (backupRef) {
+    log(`   ✅ Backup created: ${backupRef}`, COLORS.green);
+  }
+  return backupRef;
+}
+
+/**
+ * Capture a rebase-downstream-branches step's commits at rebase time.
+ * Returns { commits, dropped, upstream }.
+ */
+function captureStepCommits(step, mergeMode) {
+  // A branch retargeted off a landed parent leaves the parent's commits out;
+  // the rebase strategy counts from the parent's tip before the run
+  const exclude = step.oldParentTip || step.exclude || step.onto;
+  const { commits: own, merges } = applyMergeMode(
+    step.branch,
+    exclude,
+    getBranchOwnCommits(step.branch, exclude).reverse(),
+    mergeMode
+  );
+  displayMergeCommits(merges, mergeMode);
+  const { commits, dropped } = dropUpstreamCommits(
+    step.onto,
+    step.branch,
+    own,
+    step.landedNumber
+  );
+  displayDroppedCommits(dropped);
+
+  const upstream = step.oldParentTip
+    ? getReplayUpstream(own, commits, step.oldParentTip)
+    : null;
+  return { commits, dropped, upstream };
+}
+
+/**
+ * Replay a step's captured commits onto its target.
+ * @param {Object} step - { branch, onto, commits, dropped, upstream }
+ * @param {Object} options - { tool, inMemory, strategy, merges, isolated };
+ *   `isolated` keeps the main working tree untouched by always working in a
+ *   temp worktree (or in memory)
+ */
+function replayStep(step, options) {
+  const rebaseOptions = {
+    inMemory: options.inMemory,
+    isolated: options.isolated,
+  };
+
+  if (options.strategy === "rebase" && step.commits.length > 0) {
+    rebaseOntoBranch(step.branch, step.onto, step.upstream, {
+      rebaseMerges: options.merges === "preserve",
+      isolated: options.isolated,
+    });
+  } else if (options.tool === DOWNSTREAM_TOOL) {
+    if (step.commits.length === 0 && step.dropped.length > 0) {
+      // Everything is already upstream: the branch just catches up
+      rebaseFromCommits(step.branch, step.onto, [], rebaseOptions);
+    } else {
+      rebaseBranch(step.branch, step.onto, step.commits, rebaseOptions);
+    }
+  } else {
+    rebaseFromCommits(step.branch, step.onto, step.commits, rebaseOptions);
+  }
+}
+
+module.exports = {
+  DOWNSTREAM_TOOL,
+  backupBranch,
+  captureStepCommits,
+  replayStep,
+};
@@ -0,0 +1,59 @@
+/**
+ * Worker process for parallel (--jobs) runs: backs up, rebases and verifies
+ * one step in a temp worktree, leaving the main working tree alone. The job
+ * arrives over IPC from parallel.js; the run state stays with the parent,
+ * which records the result this worker sends back.
+ */
+
+const {
+  backupBranch,
+  captureStepCommits,
+  replayStep,
+} = require("./step-rebase");
+const { runVerification } = require("./verify");
+
+/**
+ * Run one job: { step, options, backup, runId, exec }.
+ * Returns { backupRef, capture, verification, error }; `capture` holds the
+ * commits captured for a step that had none yet.
+ */
+function runJob({ step, options, backup, runId, exec }) {
+  const result = {
+    backupRef: null,
+    capture: null,
+    verification: null,
+    error: null,
+  };
+
+  try {
+    if (backup) {
+      result.backupRef = backupBranch(step.branch, runId);
+    }
+    if (!step.commits) {
+      result.capture = captureStepCommits(step, options.merges);
+      Object.assign(step, result.capture);
+    }
+    replayStep(step, options);
+    if (exec) {
+      result.verification = runVerification(exec, step.branch);
+    }
+  } catch (error) {
+    result.error = {
+      message: error.message,
+      isConflict: Boolean(error.isConflict),
+      isRebase: Boolean(error.isRebase),
+      remaining: error.remaining || [],
+      worktree: error.worktree || null,
+    };
+  }
+
+  return result;
+}
+
+if (require.main === module) {
+  process.once("message", (job) => {
+    process.send(runJob(job), () => process.disconnect());
+  });
+}
+
+module.exports = { runJob };
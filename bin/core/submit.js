@@ -0,0 +1,116 @@
+/**
+ * Submitting a stack (`rebase-stack submit`): push every branch, then open
+ * its PR against its parent or point its existing PR at the right base.
+ *
+ * Branches are handled parent first, so each PR's base branch is already on
+ * the remote when the PR is created or retargeted.
+ */
+
+const { pushBranch } = require("../utils/git");
+const { setStackParent } = require("../utils/stack-metadata");
+const { log, COLORS } = require("../utils/colors");
+const { getRemoteSync } = require("./stack-status");
+
+/**
+ * Work out what submitting each branch involves, without changing anything.
+ * @param {Object[]} entries - [{ branch, parent }], parents first
+ * @returns {Object[]} [{ branch, parent, push, ahead, pr }]: `push` is "new",
+ *   "update", "up-to-date" or "behind" (the remote has commits the local
+ *   branch lacks, so it is not pushed); `pr` is { action, number, from } with
+ *   `action` "create", "retarget" (from base `from`) or "none"
+ */
+function planSubmit(entries, provider, host) {
+  return entries.map(({ branch, parent }) => {
+    const sync = getRemoteSync(branch);
+    const push =
+      {
+        same: "up-to-date",
+        "local-only": "new",
+        behind: "behind",
+      }[sync.state] || "update";
+
+    const pr = provider.findPRForBranch(branch, host);
+    let action = "none";
+    if (!pr) {
+      action = "create";
+    } else if (pr.base !== parent) {
+      action = "retarget";
+    }
+
+    return {
+      branch,
+      parent,
+      push,
+      ahead: sync.ahead,
+      pr: {
+        action,
+        number: pr ? pr.number : null,
+        from: action === "retarget" ? pr.base : null,
+      },
+    };
+  });
+}
+
+/**
+ * Carry out a plan from planSubmit, recording each branch's parent as stack
+ * metadata. Stops at the first branch that fails, since its children's PRs
+ * would target it.
+ * @param {Object} [options] - { draft }: open new PRs as drafts
+ * @returns {{ results: Object[], error: Error|null }} `results` holds
+ *   { branch, parent, number, pushed, action } for each branch handled
+ */
+function runSubmit(plan, provider, host, options = {}) {
+  const results = [];
+
+  for (const item of plan) {
+    const result = {
+      branch: item.branch,
+      parent: item.parent,
+      number: item.pr.number,
+      pushed: false,
+      action: "none",
+    };
+    results.push(result);
+    log(`\n📤 ${item.branch}`, COLORS.bright);
+
+    try {
+      if (item.push === "new" || item.push === "update") {
+        log("   🚀 Pushing...", COLORS.blue);
+        pushBranch(item.branch);
+        result.pushed = true;
+      }
+
+      if (item.pr.action === "create") {
+        result.number = provider.createPR(item.branch, item.parent, host, {
+          draft: options.draft,
+        });
+        result.action = "created";
+        log(`   ✅ Opened #${result.number} into ${item.parent}`, COLORS.green);
+      } else if (item.pr.action === "retarget") {
+        provider.updatePRBase(item.pr.number, item.parent, host);
+        result.action = "retargeted";
+        log(
+          `   ✅ Moved #${item.pr.number} from ${item.pr.from} to ${item.parent}`,
+          COLORS.green
+        );
+      } else {
+        log(
+          `   ✅ #${item.pr.number} already targets ${item.parent}`,
+          COLORS.dim
+        );
+      }
+
+      setStackParent(item.branch, item.parent);
+    } catch (error) {
+      result.action = "failed";
+      return { results, error };
+    }
+  }
+
+  return { results, error: null };
+}
+
+module.exports = {
+  planSubmit,
+  runSubmit,
+};
@@ -0,0 +1,154 @@
+/**
+ * Detection of commits whose changes are already upstream.
+ *
+ * Once a parent PR is merged, `git log target..branch` still lists the
+ * parent's original commits, and replaying them conflicts or produces empty
+ * picks. They are dropped before rebasing instead:
+ *   - commits with the same patch-id as a commit on the target (`git cherry`)
+ *   - the oldest commits, when they were squash-merged into the target:
+ *     with the landed parent's PR number known, its "Title (#123)" commit
+ *     is found directly and each file they change must change the same way
+ *     in it; otherwise their combined diff must match a squash-merge
+ *     commit's
+ */
+
+const {
+  getMergeBase,
+  getUpstreamEquivalents,
+  getSquashMergePatchIds,
+  findSquashMergeCommit,
+  getChangedFiles,
+  getDiffPatchId,
+  getCommitSubject,
+} = require("../utils/git");
+
+/**
+ * Find the oldest commits of a branch squash-merged as PR `number`: the
+ * longest run of them that changes every file it touches exactly as the
+ * squash does. The squash may change other files too (a reviewer's commit),
+ * but a commit is never dropped unless its changes are upstream.
+ * Returns { count, commit, number } or null.
+ */
+function findSquashedPrefixOf(range, number, commitHashes) {
+  const commit = findSquashMergeCommit(range, number);
+  if (!commit) {
+    return null;
+  }
+
+  const squashFiles = new Set(getChangedFiles(`${commit}^`, commit));
+  const squashPatchIds = new Map();
+  const getSquashPatchId = (file) => {
+    if (!squashPatchIds.has(file)) {
+      squashPatchIds.set(file, getDiffPatchId(`${commit}^`, commit, [file]));
+    }
+    return squashPatchIds.get(file);
+  };
+
+  for (let count = commitHashes.length; count > 0; count--) {
+    const from = `${commitHashes[0]}^`;
+    const to = commitHashes[count - 1];
+    const files = getChangedFiles(from, to);
+    const isUpstream =
+      files.length > 0 &&
+      files.every(
+        (file) =>
+          squashFiles.has(file) &&
+          getDiffPatchId(from, to, [file]) === getSquashPatchId(file)
+      );
+    if (isUpstream) {
+      return { count, commit, number };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the oldest commits of a branch that were squash-merged into upstream,
+ * as the landed parent's PR `number` when known, else as any squash merge.
+ * Returns { count, commit, number } or null.
+ * @param {string[]} commitHashes - oldest-first
+ */
+function findSquashedPrefix(upstream, branch, commitHashes, number = null) {
+  const mergeBase = getMergeBase(upstream, branch);
+  if (!mergeBase || commitHashes.length === 0) {
+    return null;
+  }
+
+  if (number) {
+    const found = findSquashedPrefixOf(
+      `${mergeBase}..${upstream}`,
+      number,
+      commitHashes
+    );
+    if (found) {
+      return found;
+    }
+  }
+
+  const squashes = getSquashMergePatchIds(`${mergeBase}..${upstream}`);
+  if (squashes.size === 0) {
+    return null;
+  }
+
+  // A merged parent's commits come first; try the longest run first so a
+  // whole squashed PR is dropped rather than part of it
+  for (let count = commitHashes.length; count > 0; count--) {
+    const patchId = getDiffPatchId(
+      `${commitHashes[0]}^`,
+      commitHashes[count - 1]
+    );
+    const squash = patchId && squashes.get(patchId);
+    if (squash) {
+      return { count, ...squash };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a branch's own commits into those to replay and those already on
+ * upstream.
+ * @param {string[]} commitHashes - oldest-first, full or abbreviated
+ * @param {number} [landedNumber] - PR number of a landed parent whose squash
+ *   merge into upstream holds the oldest commits
+ * @returns {{ commits: string[], dropped: Object[] }} `dropped` holds
+ *   { hash, subject, reason } for each commit left out
+ */
+function dropUpstreamCommits(
+  upstream,
+  branch,
+  commitHashes,
+  landedNumber = null
+) {
+  const dropped = [];
+  const drop = (hash, reason) =>
+    dropped.push({ hash, subject: getCommitSubject(hash), reason });
+
+  let commits = commitHashes;
+
+  const squash = findSquashedPrefix(upstream, branch, commits, landedNumber);
+  if (squash) {
+    const reason = squash.number
+      ? `squash-merged in #${squash.number}`
+      : `squash-merged as ${squash.commit.slice(0, 7)}`;
+    commits.slice(0, squash.count).forEach((hash) => drop(hash, reason));
+    commits = commits.slice(squash.count);
+  }
+
+  if (commits.length > 0) {
+    const equivalents = [...getUpstreamEquivalents(upstream, branch)];
+    commits = commits.filter((hash) => {
+      const isUpstream = equivalents.some((full) => full.startsWith(hash));
+      if (isUpstream) {
+        drop(hash, `already on ${upstream}`);
+      }
+      return !isUpstream;
+    });
+  }
+
+  return { commits, dropped };
+}
+
+module.exports = {
+  dropUpstreamCommits,
+};
@@ -0,0 +1,111 @@
+/**
+ * --exec verification: run a command in each rebased branch's tree before it
+ * is pushed, so a restacked branch that no longer builds is never pushed.
+ */
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getCurrentBranch,
+  getRepoRoot,
+  addWorktree,
+  removeWorktree,
+} = require("../utils/git");
+const { log, COLORS } = require("../utils/colors");
+
+// How much of a command's output is kept for the summary (and the run
+// state): its last lines, which is where test runners and builds say what
+// went wrong
+const KEPT_OUTPUT_LINES = 200;
+const KEPT_OUTPUT_BYTES = 64 * 1024;
+
+/**
+ * Read the last `maxLines` lines of a file, from at most its last
+ * KEPT_OUTPUT_BYTES bytes.
+ */
+function readTail(file, maxLines) {
+  const size = fs.statSync(file).size;
+  const length = Math.min(size, KEPT_OUTPUT_BYTES);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const lines = buffer.toString("utf-8").trimEnd().split("\n");
+  // The first line of a partial read is cut off
+  if (length < size) {
+    lines.shift();
+  }
+  return lines.slice(-maxLines).join("\n");
+}
+
+/**
+ * Run `command` through the shell in `cwd` with its stdout and stderr going
+ * to a temp file, so output of any size is fine. Returns { status, signal,
+ * error, output } with the output's last lines.
+ */
+function runCommand(command, cwd) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rebase-stack-exec-"));
+  const file = path.join(dir, "output");
+  const fd = fs.openSync(file, "w");
+  try {
+    const result = spawnSync(command, {
+      cwd,
+      shell: true,
+      stdio: ["ignore", fd, fd],
+    });
+    return {
+      status: result.status,
+      signal: result.signal,
+      error: result.error || null,
+      output: readTail(file, KEPT_OUTPUT_LINES),
+    };
+  } finally {
+    fs.closeSync(fd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run `command` through the shell in `branch`'s tree: the working tree if the
+ * branch is checked out there (as the cherry-pick and rebase strategies
+ * leave it), otherwise a temp worktree.
+ * Returns { branch, command, ok, status, output } with the last lines of
+ * stdout and stderr combined.
+ */
+function runVerification(command, branch) {
+  log(`   🧪 Running ${command}`, COLORS.dim);
+
+  const inRepo = getCurrentBranch() === branch;
+  const cwd = inRepo ? getRepoRoot() : addWorktree(branch);
+  let result;
+  try {
+    result = runCommand(command, cwd);
+  } finally {
+    if (!inRepo) {
+      removeWorktree(cwd);
+    }
+  }
+
+  const output = [result.output, result.error?.message]
+    .filter(Boolean)
+    .join("")
+    .trimEnd();
+  const ok = result.status === 0;
+  if (ok) {
+    log("   ✅ Verification passed", COLORS.green);
+  } else {
+    log(
+      `   ❌ Verification failed (exit ${result.status ?? result.signal})`,
+      COLORS.red
+    );
+  }
+
+  return { branch, command, ok, status: result.status, output };
+}
+
+module.exports = { runVerification };
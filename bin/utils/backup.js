@@ -1,19 +1,45 @@
 /**
  * Backup creation and management utilities
+ *
+ * Backups are refs named refs/backup/<branch>-<run id>. The run id is the
+ * run's start time (an ISO timestamp with ":" and "." replaced by "-"), shared
+ * by every backup the run creates, so a whole run can be restored at once.
  */
 
-const { exec } = require("./git");
+const { exec, getCurrentBranch, resetHard, updateBranchRef } = require("./git");
 const { log, COLORS } = require("./colors");
 
+const BACKUP_PREFIX = "refs/backup/";
+const RUN_ID_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+
+/**
+ * Make a run id for the backups of a run starting now.
+ */
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Turn a run id back into the time the run started.
+ */
+function getRunDate(runId) {
+  return new Date(
+    runId.replace(
+      /T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/,
+      (_, h, m, s, ms) => `T${h}:${m}:${s}.${ms}Z`
+    )
+  );
+}
+
 /**
  * Create backup refs for branches before rebasing
+ * @param {string} [runId] - groups the backups of one run (see createRunId)
  */
-function createBackup(branch) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const backupRef = `refs/backup/${branch}-${timestamp}`;
+function createBackup(branch, runId = createRunId()) {
+  const backupRef = `${BACKUP_PREFIX}${branch}-${runId}`;
 
   try {
-    exec(`git update-ref ${backupRef} ${branch}`, { silent: true });
+    exec("git", ["update-ref", backupRef, branch], { silent: true });
     return backupRef;
   } catch (error) {
     log(`⚠️  Could not create backup for ${branch}`, COLORS.yellow);
@@ -21,6 +47,94 @@ function createBackup(branch) {
   }
 }
 
+/**
+ * Split a backup ref into { ref, branch, runId }, or null if it is not named
+ * like one.
+ */
+function parseBackupRef(ref) {
+  const match = ref.startsWith(BACKUP_PREFIX)
+    ? ref.slice(BACKUP_PREFIX.length).match(RUN_ID_PATTERN)
+    : null;
+  return match ? { ref, branch: match[1], runId: match[2] } : null;
+}
+
+/**
+ * List every backup ref as { ref, branch, runId, commit, subject }, newest
+ * run first.
+ */
+function listBackups() {
+  const output =
+    exec(
+      "git",
+      [
+        "for-each-ref",
+        BACKUP_PREFIX,
+        "--format=%(refname) %(objectname:short) %(subject)",
+      ],
+      { silent: true, ignoreError: true }
+    ) || "";
+
+  return output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [ref, commit, ...subject] = line.split(" ");
+      const backup = parseBackupRef(ref);
+      return backup && { ...backup, commit, subject: subject.join(" ") };
+    })
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        b.runId.localeCompare(a.runId) || a.branch.localeCompare(b.branch)
+    );
+}
+
+/**
+ * Group backups (as listBackups returns them) by run, newest run first.
+ * Returns [{ runId, date, backups }].
+ */
+function groupBackupsByRun(backups) {
+  const runs = new Map();
+  for (const backup of backups) {
+    if (!runs.has(backup.runId)) {
+      runs.set(backup.runId, {
+        runId: backup.runId,
+        date: getRunDate(backup.runId),
+        backups: [],
+      });
+    }
+    runs.get(backup.runId).backups.push(backup);
+  }
+  return [...runs.values()];
+}
+
+/**
+ * Reset a branch to a backup ref.
+ * The checked-out branch is reset with its working tree; any other branch
+ * only has its ref moved.
+ */
+function restoreBackup(branch, backupRef) {
+  if (getCurrentBranch() === branch) {
+    resetHard(backupRef);
+  } else {
+    updateBranchRef(branch, backupRef);
+  }
+}
+
+/**
+ * Delete a backup ref.
+ */
+function deleteBackup(backupRef) {
+  exec("git", ["update-ref", "-d", backupRef], { silent: true });
+}
+
 module.exports = {
+  createRunId,
+  getRunDate,
   createBackup,
+  parseBackupRef,
+  listBackups,
+  groupBackupsByRun,
+  restoreBackup,
+  deleteBackup,
 };
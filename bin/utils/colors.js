@@ -13,11 +13,42 @@ const COLORS = {
   cyan: "\x1b[36m",
 };
 
+// Where log() writes: stdout, or stderr when stdout carries --json output
+let logStream = process.stdout;
+// The last error logged (a red "❌" line and the red lines after it, such as
+// a list of branches), reported as the error in --json output
+let lastError = null;
+
 function log(message, color = COLORS.reset) {
-  console.log(`${color}${message}${COLORS.reset}`);
+  if (color === COLORS.red) {
+    const text = message.trim().replace(/^[❌•]\s*/u, "");
+    lastError =
+      message.includes("❌") || lastError === null
+        ? text
+        : `${lastError} ${text}`;
+  }
+  logStream.write(`${color}${message}${COLORS.reset}\n`);
+}
+
+/**
+ * Send all further log() output to stderr.
+ */
+function logToStderr() {
+  logStream = process.stderr;
+}
+
+function getLogStream() {
+  return logStream;
+}
+
+function getLastError() {
+  return lastError;
 }
 
 module.exports = {
   COLORS,
   log,
+  logToStderr,
+  getLogStream,
+  getLastError,
 };
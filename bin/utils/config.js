@@ -0,0 +1,379 @@
+/**
+ * Layered settings for both tools.
+ *
+ * Each setting is resolved from, in order (later layers win):
+ *   1. built-in defaults
+ *   2. user config: $XDG_CONFIG_HOME/rebase-stack/config.json
+ *      (~/.config/rebase-stack/config.json)
+ *   3. repo config: the "rebaseStack" key in package.json, then
+ *      .rebasestackrc.json, both at the repo root; then git config for the
+ *      settings that have a key there (rebaseStack.strategy, ...)
+ *   4. environment: REBASE_STACK_<NAME> (e.g. REBASE_STACK_IN_MEMORY=1)
+ *   5. command-line flags (applied by the parseArgs functions); a boolean
+ *      setting turned on by a lower layer is turned off with --no-<flag>
+ *
+ * List settings (protectedBranches) are not replaced but added to, layer by
+ * layer, so a later "!pattern" can still unprotect an earlier one.
+ *
+ * The repo's own files come with every clone, so they cannot skip the
+ * confirmation prompt (`yes`), and a command they set (`exec`) is shown and
+ * always confirmed before it runs (see findRepoFileCommands).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getConfigValue, getConfigValues, getRepoRoot } = require("./git");
+const { log, COLORS } = require("./colors");
+
+const RC_FILE = ".rebasestackrc.json";
+const PACKAGE_KEY = "rebaseStack";
+
+/**
+ * Every setting: `option` is its name in the parsed options, `type` one of
+ * string, boolean, number or list, `flag` the command-line flag that sets it.
+ * `repoFile` says what a repo config file may do with it: "ignore" it, or
+ * set it only with the user's "confirm"ation.
+ */
+const SETTINGS = [
+  { key: "host", option: "host", type: "string", flag: "--host" },
+  { key: "provider", option: "provider", type: "string", flag: "--provider" },
+  { key: "remote", option: "remote", type: "string", flag: "--remote" },
+  {
+    key: "yes",
+    option: "skipConfirmation",
+    type: "boolean",
+    flag: "--yes",
+    repoFile: "ignore",
+  },
+  { key: "local", option: "local", type: "boolean", flag: "--local" },
+  { key: "atomic", option: "atomic", type: "boolean", flag: "--atomic" },
+  {
+    key: "inMemory",
+    option: "inMemory",
+    type: "boolean",
+    flag: "--in-memory",
+  },
+  {
+    key: "strategy",
+    option: "strategy",
+    type: "string",
+    flag: "--strategy",
+    gitConfig: "rebaseStack.strategy",
+  },
+  {
+    key: "merges",
+    option: "merges",
+    type: "string",
+    flag: "--merges",
+    gitConfig: "rebaseStack.merges",
+  },
+  {
+    key: "exec",
+    option: "exec",
+    type: "string",
+    flag: "--exec",
+    repoFile: "confirm",
+  },
+  { key: "jobs", option: "jobs", type: "number", flag: "--jobs" },
+  {
+    key: "stackTable",
+    option: "stackTable",
+    type: "boolean",
+    flag: "--stack-table",
+  },
+  {
+    key: "protectedBranches",
+    type: "list",
+    gitConfig: "rebaseStack.protected",
+    env: "REBASE_STACK_PROTECTED",
+  },
+  {
+    key: "protectedFromHost",
+    type: "boolean",
+    gitConfig: "rebaseStack.protectedFromHost",
+  },
+];
+
+const DEFAULTS = {
+  host: null,
+  provider: null,
+  remote: "origin",
+  yes: false,
+  local: false,
+  atomic: false,
+  inMemory: false,
+  strategy: null,
+  merges: null,
+  exec: null,
+  jobs: 1,
+  stackTable: false,
+  protectedBranches: [],
+  protectedFromHost: false,
+};
+
+/**
+ * The environment variable for a setting: inMemory -> REBASE_STACK_IN_MEMORY.
+ */
+function getEnvName(setting) {
+  return (
+    setting.env ||
+    `REBASE_STACK_${setting.key.replace(/[A-Z]/g, "_$&").toUpperCase()}`
+  );
+}
+
+function getUserConfigFile() {
+  const base =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, "rebase-stack", "config.json");
+}
+
+// Settings are resolved many times per run; each problem is reported once
+const warned = new Set();
+
+function warnOnce(message) {
+  if (!warned.has(message)) {
+    warned.add(message);
+    log(`⚠️  ${message}`, COLORS.yellow);
+  }
+}
+
+/**
+ * Read a JSON file, or null if it does not exist. Invalid JSON only warns.
+ */
+function readJSON(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    warnOnce(`Ignoring ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Split a list value ("release/*, trunk" or an array) into its items.
+ */
+function splitList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(/[\s,]+/))
+    .filter(Boolean);
+}
+
+/**
+ * Turn a value from a config file, git config or the environment into the
+ * setting's type, or undefined if it does not fit.
+ */
+function coerce(setting, value) {
+  if (setting.type === "list") {
+    return splitList(value);
+  }
+  if (setting.type === "boolean") {
+    if (typeof value === "boolean") return value;
+    if (/^(1|true|yes|on)$/i.test(value)) return true;
+    if (/^(0|false|no|off)$/i.test(value)) return false;
+    return undefined;
+  }
+  if (setting.type === "number") {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+  }
+  return typeof value === "string" && value !== "" ? value : undefined;
+}
+
+/**
+ * Turn a config file's object into a layer ({ source, values, repoFile }),
+ * warning about unknown settings, values of the wrong type and, in a repo
+ * file, settings only the user can set.
+ */
+function fileLayer(source, object, repoFile = false) {
+  const values = {};
+  for (const [key, value] of Object.entries(object)) {
+    const setting = SETTINGS.find((candidate) => candidate.key === key);
+    if (!setting) {
+      warnOnce(`Ignoring unknown setting "${key}" in ${source}`);
+      continue;
+    }
+    if (repoFile && setting.repoFile === "ignore") {
+      warnOnce(
+        `Ignoring ${key} in ${source}: only your user config, git config, the environment or a flag can set it`
+      );
+      continue;
+    }
+    const coerced = coerce(setting, value);
+    if (coerced === undefined) {
+      warnOnce(`Ignoring ${key} in ${source}: expected a ${setting.type}`);
+      continue;
+    }
+    values[key] = coerced;
+  }
+  return { source, values, repoFile };
+}
+
+function getRepoRootOrNull() {
+  try {
+    return getRepoRoot();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read every layer below the command line, lowest first, as
+ * [{ source, values }].
+ */
+function loadLayers() {
+  const layers = [{ source: "default", values: DEFAULTS }];
+
+  const userFile = getUserConfigFile();
+  const user = readJSON(userFile);
+  if (user) {
+    layers.push(fileLayer(userFile, user));
+  }
+
+  const root = getRepoRootOrNull();
+  if (root) {
+    const pkg = readJSON(path.join(root, "package.json"));
+    if (pkg && pkg[PACKAGE_KEY]) {
+      layers.push(
+        fileLayer(`package.json (${PACKAGE_KEY})`, pkg[PACKAGE_KEY], true)
+      );
+    }
+    const rc = readJSON(path.join(root, RC_FILE));
+    if (rc) {
+      layers.push(fileLayer(RC_FILE, rc, true));
+    }
+
+    const gitValues = {};
+    for (const setting of SETTINGS.filter((candidate) => candidate.gitConfig)) {
+      const value =
+        setting.type === "list"
+          ? getConfigValues(setting.gitConfig)
+          : getConfigValue(setting.gitConfig);
+      const coerced = value === null ? undefined : coerce(setting, value);
+      if (
+        coerced !== undefined &&
+        !(setting.type === "list" && !coerced.length)
+      ) {
+        gitValues[setting.key] = coerced;
+      }
+    }
+    layers.push({ source: "git config", values: gitValues });
+  }
+
+  const envValues = {};
+  for (const setting of SETTINGS) {
+    const name = getEnvName(setting);
+    const value = process.env[name]
+      ? coerce(setting, process.env[name])
+      : undefined;
+    if (value !== undefined) {
+      envValues[setting.key] = value;
+    }
+  }
+  layers.push({ source: "environment", values: envValues });
+
+  return layers;
+}
+
+/**
+ * Resolve every setting as { key, value, source } ("default", a config file,
+ * "git config", "environment" or "command line"). A list's source names every
+ * layer that added to it.
+ * @param {Object} [flags] - settings given on the command line, by key
+ */
+function resolveSettings(flags = {}) {
+  const layers = loadLayers().concat({ source: "command line", values: flags });
+
+  return SETTINGS.map((setting) => {
+    let value = DEFAULTS[setting.key];
+    let sources = ["default"];
+    for (const layer of layers.slice(1)) {
+      const layerValue = layer.values[setting.key];
+      if (layerValue === undefined || layerValue === null) continue;
+      if (setting.type === "list") {
+        value = value.concat(layerValue);
+        sources = sources.filter((source) => source !== "default");
+        sources.push(layer.source);
+      } else {
+        value = layerValue;
+        sources = [layer.source];
+      }
+    }
+    return { key: setting.key, value, source: sources.join(", ") };
+  });
+}
+
+/**
+ * Get the configured value of one setting (without command-line flags).
+ */
+function getSetting(key) {
+  return resolveSettings().find((setting) => setting.key === key).value;
+}
+
+/**
+ * The settings in `options` that came from a repo config file and must be
+ * confirmed before they are used (a command to run), as
+ * [{ key, value, source }].
+ */
+function findRepoFileCommands(options) {
+  const layers = loadLayers();
+  return SETTINGS.filter((setting) => setting.repoFile === "confirm").flatMap(
+    (setting) => {
+      const layer = layers
+        .filter((candidate) => candidate.values[setting.key] !== undefined)
+        .pop();
+      const value = layer && layer.values[setting.key];
+      if (!layer || !layer.repoFile || value !== options[setting.option]) {
+        return [];
+      }
+      return [{ key: setting.key, value, source: layer.source }];
+    }
+  );
+}
+
+/**
+ * The boolean setting a `--no-<flag>` argument turns off (--no-in-memory for
+ * inMemory), or undefined.
+ */
+function findNegatedSetting(arg) {
+  return SETTINGS.find(
+    (setting) =>
+      setting.type === "boolean" &&
+      setting.flag &&
+      arg === `--no-${setting.flag.slice(2)}`
+  );
+}
+
+/**
+ * Fill in the options a tool's parseArgs has (e.g. skipConfirmation) from
+ * the configured settings, before flags override them.
+ */
+function applyConfiguredOptions(options) {
+  const resolved = resolveSettings();
+  for (const setting of SETTINGS) {
+    if (setting.option && setting.option in options) {
+      options[setting.option] = resolved.find(
+        ({ key }) => key === setting.key
+      ).value;
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  SETTINGS,
+  DEFAULTS,
+  RC_FILE,
+  getEnvName,
+  getUserConfigFile,
+  resolveSettings,
+  getSetting,
+  findNegatedSetting,
+  findRepoFileCommands,
+  applyConfiguredOptions,
+};
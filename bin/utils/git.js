@@ -2,12 +2,18 @@
  * Git operations utilities
  */
 
-const { execSync } = require("child_process");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
 const os = require("os");
+const path = require("path");
 
-function exec(command, options = {}) {
+/**
+ * Run a program with an argument list. Nothing goes through a shell, so
+ * arguments (branch names included) are passed to the program as they are.
+ */
+function exec(file, args, options = {}) {
   try {
-    return execSync(command, {
+    return execFileSync(file, args, {
       encoding: "utf-8",
       stdio: options.silent ? "pipe" : "inherit",
       ...options,
@@ -20,13 +26,27 @@ function exec(command, options = {}) {
   }
 }
 
+// The remote branches are pushed to and fetched from (see setRemote)
+let remote = "origin";
+
+/**
+ * Use another remote than origin for every fetch, pull and push.
+ */
+function setRemote(name) {
+  remote = name || "origin";
+}
+
+function getRemote() {
+  return remote;
+}
+
 function getCurrentBranch() {
-  return exec("git rev-parse --abbrev-ref HEAD", { silent: true }).trim();
+  return exec("git", ["rev-parse", "--abbrev-ref", "HEAD"], { silent: true }).trim();
 }
 
 function getRemoteUrl() {
   try {
-    return exec("git remote get-url origin", { silent: true }).trim();
+    return exec("git", ["remote", "get-url", remote], { silent: true }).trim();
   } catch {
     return null;
   }
@@ -38,7 +58,7 @@ function getRemoteUrl() {
 function getBranchOwnCommits(branch, targetBranch) {
   try {
     // Get commits that are in this branch but not in target
-    const commits = exec(`git log ${targetBranch}..${branch} --oneline`, {
+    const commits = exec("git", ["log", `${targetBranch}..${branch}`, "--oneline"], {
       silent: true,
     }).trim();
 
@@ -52,9 +72,9 @@ function getBranchOwnCommits(branch, targetBranch) {
   }
 }
 
-function fetchFromOrigin() {
+function fetchFromRemote() {
   try {
-    exec("git fetch origin", { silent: true });
+    exec("git", ["fetch", remote], { silent: true });
     return true;
   } catch (error) {
     return false;
@@ -62,33 +82,169 @@ function fetchFromOrigin() {
 }
 
 function checkoutBranch(branch, options = {}) {
-  return exec(`git checkout ${branch}`, {
+  return exec("git", ["checkout", branch], {
     silent: true,
     ignoreError: options.ignoreError,
   });
 }
 
+/**
+ * Detach HEAD at its current commit, so no branch is checked out here.
+ */
+function detachHead() {
+  return exec("git", ["checkout", "-q", "--detach"], { silent: true });
+}
+
 function pullBranch(branch) {
-  return exec(`git pull origin ${branch} --ff-only`, {
+  return exec("git", ["pull", remote, branch, "--ff-only"], {
     silent: true,
     ignoreError: true,
   });
 }
 
 function resetHard(target, cwd) {
-  return exec(`git reset --hard ${target}`, { silent: true, cwd });
+  return exec("git", ["reset", "--hard", target], { silent: true, cwd });
 }
 
 function cherryPick(commitHash, cwd) {
-  return exec(`git cherry-pick ${commitHash}`, { silent: true, cwd });
+  return exec("git", ["cherry-pick", commitHash], { silent: true, cwd });
 }
 
 function cherryPickSkip(cwd) {
-  return exec("git cherry-pick --skip", { silent: true, ignoreError: true, cwd });
+  return exec("git", ["cherry-pick", "--skip"], { silent: true, ignoreError: true, cwd });
+}
+
+function cherryPickContinue(cwd) {
+  // Keep the message of the picked commit instead of opening an editor
+  return exec("git", ["cherry-pick", "--continue"], {
+    silent: true,
+    cwd,
+    env: { ...process.env, GIT_EDITOR: "true" },
+  });
+}
+
+function cherryPickAbort(cwd) {
+  return exec("git", ["cherry-pick", "--abort"], {
+    silent: true,
+    ignoreError: true,
+    cwd,
+  });
+}
+
+function isCherryPickInProgress(cwd) {
+  return (
+    exec("git", ["rev-parse", "-q", "--verify", "CHERRY_PICK_HEAD"], {
+      silent: true,
+      ignoreError: true,
+      cwd,
+    }) !== null
+  );
+}
+
+/**
+ * Replay the commits after `upstream` on `onto` with git's own rebase.
+ * Without `branch`, rebases whatever is checked out in `cwd`.
+ */
+function rebaseOnto(onto, upstream, branch, cwd, options = {}) {
+  const args = ["rebase", "--onto", onto, upstream];
+  if (options.rebaseMerges) args.splice(1, 0, "--rebase-merges");
+  if (branch) args.push(branch);
+  return exec("git", args, { silent: true, cwd });
+}
+
+function rebaseContinue(cwd) {
+  // Keep the message of the replayed commit instead of opening an editor
+  return exec("git", ["rebase", "--continue"], {
+    silent: true,
+    cwd,
+    env: { ...process.env, GIT_EDITOR: "true" },
+  });
+}
+
+function rebaseSkip(cwd) {
+  return exec("git", ["rebase", "--skip"], { silent: true, ignoreError: true, cwd });
+}
+
+function rebaseAbort(cwd) {
+  return exec("git", ["rebase", "--abort"], {
+    silent: true,
+    ignoreError: true,
+    cwd,
+  });
+}
+
+function isRebaseInProgress(cwd) {
+  return ["rebase-merge", "rebase-apply"].some((name) => {
+    const gitPath = exec("git", ["rev-parse", "--git-path", name], {
+      silent: true,
+      cwd,
+    }).trim();
+    return fs.existsSync(path.resolve(cwd || process.cwd(), gitPath));
+  });
+}
+
+/**
+ * Recreate a merge commit on HEAD by merging its other parents again, keeping
+ * its message and author. Returns false if there was nothing to merge. On a
+ * conflict the merge is left in progress with the original message.
+ */
+function recreateMerge(commitHash, cwd) {
+  const otherParents = getCommitParents(commitHash).slice(1);
+  try {
+    exec("git", ["merge", "--no-ff", "--no-commit", ...otherParents], {
+      silent: true,
+      cwd,
+    });
+  } catch (error) {
+    if (isMergeInProgress(cwd)) {
+      // `git commit --no-edit` picks this up once the conflict is resolved
+      const message = exec("git", ["log", "-1", "--format=%B", commitHash], {
+        silent: true,
+      });
+      const gitPath = exec("git", ["rev-parse", "--git-path", "MERGE_MSG"], {
+        silent: true,
+        cwd,
+      }).trim();
+      fs.writeFileSync(path.resolve(cwd || process.cwd(), gitPath), message);
+    }
+    throw error;
+  }
+
+  if (!isMergeInProgress(cwd)) {
+    return false;
+  }
+  exec("git", ["commit", "--no-edit", "-C", commitHash], { silent: true, cwd });
+  return true;
+}
+
+function mergeContinue(cwd) {
+  return exec("git", ["commit", "--no-edit"], {
+    silent: true,
+    cwd,
+    env: { ...process.env, GIT_EDITOR: "true" },
+  });
+}
+
+function mergeAbort(cwd) {
+  return exec("git", ["merge", "--abort"], {
+    silent: true,
+    ignoreError: true,
+    cwd,
+  });
+}
+
+function isMergeInProgress(cwd) {
+  return (
+    exec("git", ["rev-parse", "-q", "--verify", "MERGE_HEAD"], {
+      silent: true,
+      ignoreError: true,
+      cwd,
+    }) !== null
+  );
 }
 
 function getStatus(cwd) {
-  return exec("git status --porcelain", { silent: true, cwd }) || "";
+  return exec("git", ["status", "--porcelain"], { silent: true, cwd }) || "";
 }
 
 function hasConflict(status) {
@@ -98,12 +254,58 @@ function hasConflict(status) {
 }
 
 function pushBranch(branch) {
-  return exec(`git push origin ${branch} --force-with-lease`, { silent: true });
+  return exec("git", ["push", remote, branch, "--force-with-lease"], { silent: true });
+}
+
+/**
+ * Force-push a branch only if the remote branch is still at `expected`
+ * (null: only if the remote has no such branch)
+ */
+function pushBranchWithLease(branch, expected) {
+  return exec("git", ["push", remote, branch, `--force-with-lease=${branch}:${expected || ""}`], {
+    silent: true,
+  });
+}
+
+/**
+ * Force-push several branches in a single push that either updates every
+ * branch on the remote or none of them. `expected` pins the commit a remote
+ * branch must still be at (see pushBranchWithLease); other branches are
+ * checked against their remote-tracking refs.
+ */
+function pushBranchesAtomic(branches, expected = {}) {
+  const leases = branches.map((branch) =>
+    branch in expected
+      ? `--force-with-lease=${branch}:${expected[branch] || ""}`
+      : `--force-with-lease=${branch}`
+  );
+  return exec("git", ["push", "--atomic", ...leases, remote, ...branches], {
+    silent: true,
+  });
+}
+
+/**
+ * Read where branches are on the remote right now (git ls-remote), as
+ * { branch: commit }, with null for a branch the remote does not have.
+ * Throws if the remote cannot be reached.
+ */
+function getRemoteBranchHeads(branches) {
+  const refs = branches.map((branch) => `refs/heads/${branch}`);
+  const output = exec("git", ["ls-remote", "--heads", remote, ...refs], { silent: true });
+  const heads = Object.fromEntries(branches.map((branch) => [branch, null]));
+  for (const line of output.split("\n").filter(Boolean)) {
+    const [commit, ref] = line.split("\t");
+    const branch = ref.replace(/^refs\/heads\//, "");
+    if (branch in heads) {
+      heads[branch] = commit;
+    }
+  }
+  return heads;
 }
 
 function isGitRepository() {
   try {
-    exec("git rev-parse --git-dir", { silent: true });
+    exec("git", ["rev-parse", "--git-dir"], { silent: true });
     return true;
   } catch {
     return false;
@@ -115,7 +317,7 @@ function isGitRepository() {
  */
 function getWorktreeBranches() {
   try {
-    const output = exec("git worktree list --porcelain", { silent: true }) || "";
+    const output = exec("git", ["worktree", "list", "--porcelain"], { silent: true }) || "";
     const branches = new Set();
     for (const line of output.split("\n")) {
       const match = line.match(/^branch refs\/heads\/(.+)$/);
@@ -134,13 +336,29 @@ function getWorktreeBranches() {
  */
 function addWorktree(branch) {
   const safeName = branch.replace(/\//g, "-");
-  const tmpDir = `${os.tmpdir()}/rebase-downstream-${safeName}-${Date.now()}`;
-  exec(`git worktree add --detach "${tmpDir}" "${branch}"`, { silent: true });
-  return tmpDir;
+  for (let attempt = 1; ; attempt++) {
+    const tmpDir = `${os.tmpdir()}/rebase-downstream-${safeName}-${Date.now()}-${attempt}`;
+    try {
+      exec("git", ["worktree", "add", "--detach", tmpDir, branch], { silent: true });
+      return tmpDir;
+    } catch (error) {
+      if (attempt >= 5 || !isWorktreeRace(error)) throw error;
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 100 * attempt);
+    }
+  }
+}
+
+/**
+ * With --jobs, another worker adding or removing a worktree at the same time
+ * can leave .git/worktrees/<name> half written, and `git worktree add` fails
+ * reading it. Once that worker is done, the same command succeeds.
+ */
+function isWorktreeRace(error) {
+  return /failed to read \S*worktrees\/[^/\s]+\/(commondir|gitdir)/.test(String(error.stderr || error.message));
 }
 
 function removeWorktree(worktreePath) {
-  exec(`git worktree remove "${worktreePath}" --force`, {
+  exec("git", ["worktree", "remove", worktreePath, "--force"], {
     silent: true,
     ignoreError: true,
   });
@@ -152,8 +370,51 @@ function removeWorktree(worktreePath) {
  * force-updates while the branch is checked out in another worktree.
  */
 function updateBranchToWorktreeHead(branch, worktreePath) {
-  const newHead = exec("git rev-parse HEAD", { silent: true, cwd: worktreePath }).trim();
-  exec(`git update-ref "refs/heads/${branch}" "${newHead}"`, { silent: true });
+  const newHead = exec("git", ["rev-parse", "HEAD"], { silent: true, cwd: worktreePath }).trim();
+  exec("git", ["update-ref", `refs/heads/${branch}`, newHead], { silent: true });
+}
+
+/**
+ * Point a branch at another ref without touching any working tree.
+ */
+function updateBranchRef(branch, ref) {
+  exec("git", ["update-ref", `refs/heads/${branch}`, ref], { silent: true });
+}
+
+/**
+ * Get the top-level directory of the current working tree.
+ */
+function getRepoRoot() {
+  return exec("git", ["rev-parse", "--show-toplevel"], { silent: true }).trim();
+}
+
+/**
+ * Resolve a path inside the git directory (e.g. for tool state files).
+ */
+function getGitPath(name) {
+  return exec("git", ["rev-parse", "--git-path", name], { silent: true }).trim();
+}
+
+/**
+ * Read a git config value, or null if it is not set.
+ */
+function getConfigValue(key) {
+  const output = exec("git", ["config", "--get", key], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.trim() || null : null;
+}
+
+/**
+ * Read every value of a multi-valued git config key, in order.
+ */
+function getConfigValues(key) {
+  const output = exec("git", ["config", "--get-all", key], {
+    silent: true,
+    ignoreError: true,
+  });
+  return (output || "").split("\n").map((value) => value.trim()).filter(Boolean);
 }
 
 /**
@@ -161,40 +422,378 @@ function updateBranchToWorktreeHead(branch, worktreePath) {
  */
 function branchExists(branch) {
   try {
-    exec(`git rev-parse --verify refs/heads/${branch}`, { silent: true });
+    exec("git", ["rev-parse", "--verify", `refs/heads/${branch}`], { silent: true });
     return true;
   } catch {
     return false;
   }
 }
 
+/**
+ * List local branch names.
+ * With `mergedInto`, only branches whose tips are reachable from that ref.
+ */
+function listLocalBranches(mergedInto) {
+  const merged = mergedInto ? ["--merged", mergedInto] : [];
+  const output =
+    exec("git", ["for-each-ref", "refs/heads", ...merged, "--format=%(refname:short)"], {
+      silent: true,
+      ignoreError: true,
+    }) || "";
+  return output.split("\n").filter(Boolean);
+}
+
+/**
+ * Resolve a ref to its full commit hash, or null if it does not exist.
+ */
+function resolveRef(ref) {
+  const output = exec("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.trim() : null;
+}
+
+/**
+ * Get the best common ancestor of two refs, or null if they share no history.
+ */
+function getMergeBase(a, b) {
+  const output = exec("git", ["merge-base", a, b], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.trim() : null;
+}
+
+/**
+ * Commits a local branch has pointed at, from its reflog. Entries written when
+ * the branch was created ("branch: Created from ...") are left out: they are
+ * where another branch was, not work done on this one. Empty without a reflog.
+ */
+function getPastTips(branch) {
+  const output =
+    exec("git", ["log", "-g", "--format=%H%x09%gs", `refs/heads/${branch}`, "--"], {
+      silent: true,
+      ignoreError: true,
+    }) || "";
+  return new Set(
+    output
+      .split("\n")
+      .filter((line) => line && !line.split("\t")[1]?.startsWith("branch: Created from"))
+      .map((line) => line.split("\t")[0])
+  );
+}
+
+/**
+ * Count the commits reachable from a ref (or in a range like a..b).
+ */
+function countCommits(range) {
+  const output = exec("git", ["rev-list", "--count", range], { silent: true });
+  return parseInt(output.trim(), 10);
+}
+
+/**
+ * Get the parent hashes of a commit.
+ */
+function getCommitParents(commit) {
+  const output = exec("git", ["rev-list", "--parents", "-n", "1", commit], { silent: true });
+  return output.trim().split(" ").slice(1);
+}
+
+/**
+ * Check if a commit has more than one parent.
+ */
+function isMergeCommit(commit) {
+  return getCommitParents(commit).length > 1;
+}
+
+/**
+ * List the commits in from..to on the first-parent line of `to`, newest first.
+ */
+function getFirstParentCommits(from, to) {
+  const output = exec("git", ["rev-list", "--first-parent", `${from}..${to}`], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.split("\n").filter(Boolean) : [];
+}
+
+/**
+ * List the commits reachable from `ref` but from none of `excluded`.
+ */
+function listCommitsExcluding(ref, excluded) {
+  const output = exec("git", ["rev-list", ref, "--not", ...excluded, "--"], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.split("\n").filter(Boolean) : [];
+}
+
+/**
+ * Get the tree hash of a commit.
+ */
+function getCommitTree(commit) {
+  return exec("git", ["rev-parse", `${commit}^{tree}`], { silent: true }).trim();
+}
+
+/**
+ * Get the author and full message of a commit.
+ */
+function getCommitInfo(commit) {
+  const output = exec("git", ["log", "-1", "--format=%an%x00%ae%x00%ad%x00%B", "--date=raw", commit], {
+    silent: true,
+  });
+  const [authorName, authorEmail, authorDate, body] = output.split("\0");
+  // git log appends a newline after the message's own trailing newline
+  const message = body.replace(/\n+$/, "") + "\n";
+  return { authorName, authorEmail, authorDate, message };
+}
+
+/**
+ * Three-way merge two commits without touching the index or working tree.
+ * Returns { tree, clean, files }; `clean` is false when the merge has
+ * conflicts, and `files` lists the conflicting paths.
+ */
+function mergeTrees(ours, theirs) {
+  try {
+    const output = exec("git", ["merge-tree", "--write-tree", "--name-only", ours, theirs], {
+      silent: true,
+    });
+    return { tree: output.split("\n")[0].trim(), clean: true, files: [] };
+  } catch (error) {
+    // Exit status 1 means conflicts; anything else is a real failure
+    if (error.status === 1 && error.stdout) {
+      // The tree, then one conflicting path per line up to a blank line
+      const [tree, ...rest] = error.stdout.split("\n");
+      const end = rest.indexOf("");
+      const files = end === -1 ? rest : rest.slice(0, end);
+      return { tree: tree.trim(), clean: false, files };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a commit object from a tree. `author` ({ authorName, authorEmail,
+ * authorDate }) is kept when given, as cherry-pick does.
+ */
+function commitTree(tree, parents, message, author) {
+  const parentArgs = parents.flatMap((parent) => ["-p", parent]);
+  const env = { ...process.env };
+  if (author) {
+    env.GIT_AUTHOR_NAME = author.authorName;
+    env.GIT_AUTHOR_EMAIL = author.authorEmail;
+    env.GIT_AUTHOR_DATE = author.authorDate;
+  }
+  return exec("git", ["commit-tree", tree, ...parentArgs], {
+    silent: true,
+    input: message,
+    env,
+  }).trim();
+}
+
+/**
+ * Get the commits of `branch` whose changes are already on `upstream`, by
+ * patch-id (as `git cherry` reports them with "-"). Returns full hashes.
+ */
+function getUpstreamEquivalents(upstream, branch) {
+  const output =
+    exec("git", ["cherry", upstream, branch], { silent: true, ignoreError: true }) || "";
+  return new Set(
+    output
+      .split("\n")
+      .filter((line) => line.startsWith("- "))
+      .map((line) => line.slice(2).trim())
+  );
+}
+
+/**
+ * Get the stable patch-ids of the commits in a range whose subject ends with a
+ * PR number, like GitHub's squash merges ("Add feature (#123)").
+ * Returns a Map of patch-id to { commit, number }.
+ */
+function getSquashMergePatchIds(range) {
+  const output = getPatchIds(["log", "-p", "--no-merges", "-E", "--grep=\\(#[0-9]+\\)$", "--format=commit %H", range]);
+
+  const patchIds = new Map();
+  for (const line of output.split("\n").filter(Boolean)) {
+    const [patchId, commit] = line.split(" ");
+    patchIds.set(patchId, { commit, number: null });
+  }
+  for (const entry of patchIds.values()) {
+    const match = getCommitSubject(entry.commit).match(/\(#(\d+)\)$/);
+    entry.number = match ? parseInt(match[1], 10) : null;
+  }
+  return patchIds;
+}
+
+/**
+ * Find the commit in a range whose subject ends with "(#<number>)", like the
+ * squash merge of that PR, or null.
+ */
+function findSquashMergeCommit(range, number) {
+  const suffix = `(#${Number(number)})`;
+  const output =
+    exec("git", ["log", "--no-merges", "-F", `--grep=${suffix}`, "--format=%H%x09%s", range, "--"], {
+      silent: true,
+      ignoreError: true,
+    }) || "";
+  const line = output.split("\n").find((entry) => entry.endsWith(suffix));
+  return line ? line.split("\t")[0] : null;
+}
+
+/**
+ * List the files changed between two commits, renames counted as a delete
+ * and an add.
+ */
+function getChangedFiles(from, to) {
+  const output = exec("git", ["diff", "--name-only", "--no-renames", from, to, "--"], { silent: true });
+  return output.split("\n").filter(Boolean);
+}
+
+/**
+ * Run `git patch-id --stable` over the patch a git command prints (`git log
+ * -p`, `git diff`). Returns its "<patch-id> <commit>" lines, or "" if either
+ * command fails.
+ *
+ * Patches can be far larger than exec's output buffer, so the patch goes to
+ * a temp file that patch-id reads, instead of through memory.
+ */
+function getPatchIds(args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rebase-stack-patch-"));
+  const file = path.join(dir, "patch");
+  try {
+    const out = fs.openSync(file, "w");
+    try {
+      execFileSync("git", args, { stdio: ["ignore", out, "pipe"] });
+    } finally {
+      fs.closeSync(out);
+    }
+    const input = fs.openSync(file, "r");
+    try {
+      return execFileSync("git", ["patch-id", "--stable"], {
+        encoding: "utf-8",
+        stdio: [input, "pipe", "pipe"],
+        maxBuffer: 64 * 1024 * 1024,
+      });
+    } finally {
+      fs.closeSync(input);
+    }
+  } catch {
+    return "";
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Get the stable patch-id of the combined diff between two commits, or null
+ * if the diff is empty. With `paths`, only the diff of those files counts.
+ */
+function getDiffPatchId(from, to, paths = null) {
+  const args = paths ? ["diff", "--no-renames", from, to, "--", ...paths] : ["diff", from, to];
+  const output = getPatchIds(args);
+  return output ? output.split(" ")[0] || null : null;
+}
+
+/**
+ * Compare two refs: the commits only one of them has (`<` for `from`, `>` for
+ * `to`) and the diff between their trees, with a stat.
+ */
+function compareRefs(from, to) {
+  const commits = exec("git", ["log", "--oneline", "--left-right", `${from}...${to}`], { silent: true }).trim();
+  const diff = exec("git", ["diff", "--stat", "--patch", from, to], { silent: true }).trim();
+  return { commits, diff };
+}
+
+function getCommitSubject(commit) {
+  return exec("git", ["log", "-1", "--format=%s", commit], { silent: true }).trim();
+}
+
+/**
+ * Fast-forward a local branch to its remote counterpart without checking it out.
+ */
+function fastForwardBranch(branch) {
+  if (getCurrentBranch() === branch) {
+    return pullBranch(branch);
+  }
+  return exec("git", ["fetch", remote, `${branch}:${branch}`], {
+    silent: true,
+    ignoreError: true,
+  });
+}
+
 /**
  * Check if the working tree is clean (no uncommitted changes).
  */
 function hasCleanWorkingTree() {
-  const status = exec("git status --porcelain", { silent: true }) || "";
+  const status = exec("git", ["status", "--porcelain"], { silent: true }) || "";
   return status.trim() === "";
 }
 
 module.exports = {
   exec,
+  setRemote,
+  getRemote,
   getCurrentBranch,
   getRemoteUrl,
   getBranchOwnCommits,
-  fetchFromOrigin,
+  fetchFromRemote,
   checkoutBranch,
   pullBranch,
+  detachHead,
   resetHard,
   cherryPick,
   cherryPickSkip,
+  cherryPickContinue,
+  cherryPickAbort,
+  isCherryPickInProgress,
+  rebaseOnto,
+  rebaseContinue,
+  rebaseSkip,
+  rebaseAbort,
+  isRebaseInProgress,
+  recreateMerge,
+  mergeContinue,
+  mergeAbort,
+  isMergeInProgress,
   getStatus,
   hasConflict,
   pushBranch,
+  pushBranchesAtomic,
+  pushBranchWithLease,
+  getRemoteBranchHeads,
   isGitRepository,
   getWorktreeBranches,
   addWorktree,
   removeWorktree,
   updateBranchToWorktreeHead,
+  updateBranchRef,
+  getGitPath,
+  getRepoRoot,
+  getConfigValue,
+  getConfigValues,
   branchExists,
+  listLocalBranches,
+  resolveRef,
+  getMergeBase,
+  getPastTips,
+  countCommits,
   hasCleanWorkingTree,
+  getCommitParents,
+  isMergeCommit,
+  getFirstParentCommits,
+  listCommitsExcluding,
+  getCommitTree,
+  getCommitInfo,
+  mergeTrees,
+  commitTree,
+  fastForwardBranch,
+  getUpstreamEquivalents,
+  getSquashMergePatchIds,
+  findSquashMergeCommit,
+  getChangedFiles,
+  getDiffPatchId,
+  compareRefs,
+  getCommitSubject,
 };
@@ -2,6 +2,9 @@
  * GitHub CLI operations and utilities
  */
 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { exec } = require("./git");
 const { sanitizeBranchName } = require("./validation");
 const { log, COLORS } = require("./colors");
@@ -45,7 +48,19 @@ function findPRsTargeting(baseBranch, host) {
     }
 
     const result = exec(
-      `gh pr list --base "${safeBranch}" --state open --json number,headRefName,title --limit 50`,
+      "gh",
+      [
+        "pr",
+        "list",
+        "--base",
+        safeBranch,
+        "--state",
+        "open",
+        "--json",
+        "number,headRefName,title",
+        "--limit",
+        "50",
+      ],
       { silent: true, env }
     );
 
@@ -80,7 +95,19 @@ function findPRForBranch(headBranch, host) {
     }
 
     const result = exec(
-      `gh pr list --head "${safeBranch}" --state open --json number,baseRefName,title --limit 1`,
+      "gh",
+      [
+        "pr",
+        "list",
+        "--head",
+        safeBranch,
+        "--state",
+        "open",
+        "--json",
+        "number,baseRefName,title",
+        "--limit",
+        "1",
+      ],
       { silent: true, env }
     );
 
@@ -99,12 +126,305 @@ function findPRForBranch(headBranch, host) {
   }
 }
 
+/**
+ * Find the most recent merged or closed PR for a head branch, i.e. a parent
+ * that has landed (or been abandoned) and should drop out of the stack.
+ * Returns { number, base, headOid, merged } or null.
+ */
+function findLandedPRForBranch(headBranch, host) {
+  try {
+    const safeBranch = sanitizeBranchName(headBranch);
+    const env = { ...process.env };
+    if (host) {
+      env.GH_HOST = host;
+    }
+
+    // gh's "closed" state covers both closed and merged PRs
+    const result = exec(
+      "gh",
+      [
+        "pr",
+        "list",
+        "--head",
+        safeBranch,
+        "--state",
+        "closed",
+        "--json",
+        "number,baseRefName,headRefOid,state",
+        "--limit",
+        "1",
+      ],
+      { silent: true, env }
+    );
+
+    if (!result) return null;
+
+    const prs = JSON.parse(result);
+    if (prs.length === 0) return null;
+
+    return {
+      number: prs[0].number,
+      base: sanitizeBranchName(prs[0].baseRefName),
+      headOid: prs[0].headRefOid || null,
+      merged: prs[0].state === "MERGED",
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Change the base branch of a PR. Throws if gh fails.
+ */
+function updatePRBase(number, baseBranch, host) {
+  const safeBranch = sanitizeBranchName(baseBranch);
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  exec("gh", ["pr", "edit", String(Number(number)), "--base", safeBranch], {
+    silent: true,
+    env,
+  });
+}
+
+/**
+ * Open a PR from `head` into `base`, titled and described from its commits
+ * (gh pr create --fill). Returns the new PR's number. Throws if gh fails.
+ */
+function createPR(head, base, host, options = {}) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  const args = [
+    "pr",
+    "create",
+    "--head",
+    sanitizeBranchName(head),
+    "--base",
+    sanitizeBranchName(base),
+    "--fill",
+  ];
+  if (options.draft) {
+    args.push("--draft");
+  }
+  // gh prints the new PR's URL, ending in /pull/<number>
+  const output = exec("gh", args, { silent: true, env }).trim();
+  const match = output.match(/(\d+)\s*$/);
+  if (!match) {
+    throw new Error(`Could not read the new PR number from: ${output}`);
+  }
+  return Number(match[1]);
+}
+
+// Check run conclusions and commit status states that count as passed or
+// still running; anything else (FAILURE, ERROR, CANCELLED, ...) has failed
+const PASSED_CHECKS = ["SUCCESS", "NEUTRAL", "SKIPPED"];
+const PENDING_CHECKS = ["PENDING", "EXPECTED"];
+
+/**
+ * Sum up a PR's statusCheckRollup (check runs and commit statuses) as
+ * { status, passed, failed, pending }. `status` is "failing" if any check
+ * failed, else "pending" if any is still running, else "passing"; "none"
+ * without checks.
+ */
+function summarizeChecks(rollup) {
+  const counts = { passed: 0, failed: 0, pending: 0 };
+  for (const check of rollup) {
+    const result =
+      check.__typename === "StatusContext"
+        ? check.state
+        : check.status === "COMPLETED"
+          ? check.conclusion
+          : "PENDING";
+    if (PASSED_CHECKS.includes(result)) counts.passed++;
+    else if (PENDING_CHECKS.includes(result)) counts.pending++;
+    else counts.failed++;
+  }
+
+  let status = "none";
+  if (counts.failed > 0) status = "failing";
+  else if (counts.pending > 0) status = "pending";
+  else if (counts.passed > 0) status = "passing";
+  return { status, ...counts };
+}
+
+/**
+ * Get a PR's state ("open", "merged" or "closed"), draft flag and CI checks
+ * (see summarizeChecks). Throws if gh fails.
+ */
+function fetchPRStatus(number, host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  const result = exec(
+    "gh",
+    [
+      "pr",
+      "view",
+      String(Number(number)),
+      "--json",
+      "state,isDraft,statusCheckRollup",
+    ],
+    { silent: true, env }
+  );
+  const pr = JSON.parse(result);
+  return {
+    state: pr.state.toLowerCase(),
+    draft: Boolean(pr.isDraft),
+    checks: summarizeChecks(pr.statusCheckRollup || []),
+  };
+}
+
+/**
+ * Get a PR's description. Throws if gh fails.
+ */
+function fetchPRBody(number, host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  const result = exec(
+    "gh",
+    ["pr", "view", String(Number(number)), "--json", "body"],
+    { silent: true, env }
+  );
+  return JSON.parse(result).body || "";
+}
+
+/**
+ * Replace a PR's description. The body goes through a temp file
+ * (--body-file), so its length and content never reach the command line.
+ * Throws if gh fails.
+ */
+function updatePRBody(number, body, host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rebase-stack-"));
+  const file = path.join(dir, "body.md");
+  try {
+    fs.writeFileSync(file, body);
+    exec("gh", ["pr", "edit", String(Number(number)), "--body-file", file], {
+      silent: true,
+      env,
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const OPEN_PRS_QUERY = `
+query($owner: String!, $name: String!, $endCursor: String) {
+  repository(owner: $owner, name: $name) {
+    pullRequests(states: OPEN, first: 100, after: $endCursor) {
+      nodes {
+        number
+        title
+        isDraft
+        headRefName
+        baseRefName
+        isCrossRepository
+        author { login }
+        headRepository { nameWithOwner }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+}`;
+
+/**
+ * Fetch every open PR of the current repository with a single paginated
+ * GraphQL query. Throws if the query fails so callers can fall back to
+ * per-branch lookups.
+ * Returns [{ number, title, draft, head, base, author, headRepo, isCrossRepository }].
+ */
+function fetchOpenPRs(host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  // --jq flattens every page into one PR node per line
+  const query = OPEN_PRS_QUERY.replace(/\s+/g, " ").trim();
+  const result = exec(
+    "gh",
+    [
+      "api",
+      "graphql",
+      "--paginate",
+      "-F",
+      "owner={owner}",
+      "-F",
+      "name={repo}",
+      "-f",
+      `query=${query}`,
+      "--jq",
+      ".data.repository.pullRequests.nodes[]",
+    ],
+    { silent: true, env }
+  );
+
+  return (result || "")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const pr = JSON.parse(line);
+      return {
+        number: pr.number,
+        title: pr.title,
+        draft: Boolean(pr.isDraft),
+        head: pr.headRefName,
+        base: pr.baseRefName,
+        author: pr.author?.login || null,
+        headRepo: pr.headRepository?.nameWithOwner || null,
+        isCrossRepository: Boolean(pr.isCrossRepository),
+      };
+    });
+}
+
+/**
+ * List the repository's branches protected by branch protection rules.
+ * Throws if gh fails.
+ */
+function fetchProtectedBranches(host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GH_HOST = host;
+  }
+
+  const result = exec(
+    "gh",
+    [
+      "api",
+      "repos/{owner}/{repo}/branches",
+      "--method",
+      "GET",
+      "-F",
+      "protected=true",
+      "--paginate",
+      "--jq",
+      ".[].name",
+    ],
+    { silent: true, env }
+  );
+  return (result || "").split("\n").filter(Boolean);
+}
+
 /**
  * Check if GitHub CLI is installed
  */
 function isGitHubCLIInstalled() {
   try {
-    exec("gh --version", { silent: true });
+    exec("gh", ["--version"], { silent: true });
     return true;
   } catch {
     return false;
@@ -116,7 +436,7 @@ function isGitHubCLIInstalled() {
  */
 function isGitHubCLIAuthenticated() {
   try {
-    exec("gh auth status", { silent: true });
+    exec("gh", ["auth", "status"], { silent: true });
     return true;
   } catch {
     return false;
@@ -127,6 +447,15 @@ module.exports = {
   detectGitHubHost,
   findPRsTargeting,
   findPRForBranch,
+  findLandedPRForBranch,
+  updatePRBase,
+  createPR,
+  summarizeChecks,
+  fetchPRStatus,
+  fetchPRBody,
+  updatePRBody,
+  fetchOpenPRs,
+  fetchProtectedBranches,
   isGitHubCLIInstalled,
   isGitHubCLIAuthenticated,
 };
@@ -0,0 +1,294 @@
+/**
+ * GitLab CLI (glab) operations for merge requests.
+ *
+ * Mirrors github.js: merge requests are returned in the same shapes as PRs,
+ * with the MR's iid as `number`.
+ */
+
+const { exec } = require("./git");
+const { sanitizeBranchName } = require("./validation");
+const { log, COLORS } = require("./colors");
+
+/**
+ * Detect a self-managed GitLab host from the remote URL.
+ * Returns null for gitlab.com (glab's default).
+ */
+function detectGitLabHost(remoteUrl) {
+  if (!remoteUrl) {
+    return null;
+  }
+
+  // SSH: git@hostname:group/repo.git
+  // HTTPS: https://hostname/group/repo.git
+  const sshMatch = remoteUrl.match(/^git@([^:]+):/);
+  const httpsMatch = remoteUrl.match(/^https?:\/\/([^/]+)\//);
+
+  const host = sshMatch?.[1] || httpsMatch?.[1];
+
+  if (host === "gitlab.com") {
+    return null;
+  }
+
+  return host;
+}
+
+function glabEnv(host) {
+  const env = { ...process.env };
+  if (host) {
+    env.GITLAB_HOST = host;
+  }
+  return env;
+}
+
+/**
+ * Run `glab mr list` with the given filter arguments and parse its JSON
+ * output.
+ */
+function listMRs(filters, host) {
+  const result = exec("glab", ["mr", "list", ...filters, "--output", "json"], {
+    silent: true,
+    env: glabEnv(host),
+  });
+  return result ? JSON.parse(result) : [];
+}
+
+/**
+ * Find all open MRs that target a specific branch
+ */
+function findMRsTargeting(baseBranch, host) {
+  try {
+    const safeBranch = sanitizeBranchName(baseBranch);
+    const mrs = listMRs(
+      ["--target-branch", safeBranch, "--per-page", "100"],
+      host
+    );
+
+    return mrs.map((mr) => ({
+      number: mr.iid,
+      branch: sanitizeBranchName(mr.source_branch),
+      title: mr.title,
+      target: baseBranch,
+    }));
+  } catch (error) {
+    log(
+      `⚠️  Could not fetch MRs targeting ${baseBranch}: ${error.message}`,
+      COLORS.yellow
+    );
+    return [];
+  }
+}
+
+/**
+ * Find the open MR for a given source branch.
+ * Returns { number, base, title } or null if no MR exists.
+ */
+function findMRForBranch(headBranch, host) {
+  try {
+    const safeBranch = sanitizeBranchName(headBranch);
+    const mrs = listMRs(
+      ["--source-branch", safeBranch, "--per-page", "1"],
+      host
+    );
+    if (mrs.length === 0) return null;
+
+    return {
+      number: mrs[0].iid,
+      base: sanitizeBranchName(mrs[0].target_branch),
+      title: mrs[0].title,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the most recent merged (or else closed) MR for a source branch.
+ * Returns { number, base, headOid, merged } or null.
+ */
+function findLandedMRForBranch(headBranch, host) {
+  try {
+    const safeBranch = sanitizeBranchName(headBranch);
+
+    for (const state of ["merged", "closed"]) {
+      const mrs = listMRs(
+        ["--source-branch", safeBranch, `--${state}`, "--per-page", "1"],
+        host
+      );
+      if (mrs.length > 0) {
+        return {
+          number: mrs[0].iid,
+          base: sanitizeBranchName(mrs[0].target_branch),
+          headOid: mrs[0].sha || null,
+          merged: state === "merged",
+        };
+      }
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Change the target branch of an MR. Throws if glab fails.
+ */
+function updateMRBase(number, baseBranch, host) {
+  const safeBranch = sanitizeBranchName(baseBranch);
+  exec(
+    "glab",
+    ["mr", "update", String(Number(number)), "--target-branch", safeBranch],
+    { silent: true, env: glabEnv(host) }
+  );
+}
+
+/**
+ * Open an MR from `head` into `base`, titled and described from its commits
+ * (glab mr create --fill). Returns the new MR's iid. Throws if glab fails.
+ */
+function createMR(head, base, host, options = {}) {
+  const args = [
+    "mr",
+    "create",
+    "--source-branch",
+    sanitizeBranchName(head),
+    "--target-branch",
+    sanitizeBranchName(base),
+    "--fill",
+    "--yes",
+  ];
+  if (options.draft) {
+    args.push("--draft");
+  }
+  // glab prints the new MR's URL, ending in /merge_requests/<iid>
+  const output = exec("glab", args, { silent: true, env: glabEnv(host) });
+  const match = output.match(/merge_requests\/(\d+)/);
+  if (!match) {
+    throw new Error(`Could not read the new MR number from: ${output.trim()}`);
+  }
+  return Number(match[1]);
+}
+
+// Pipeline statuses that count as passed or still running; failed and
+// canceled pipelines are failing
+const PASSED_PIPELINES = ["success", "skipped"];
+const FAILED_PIPELINES = ["failed", "canceled"];
+
+/**
+ * Sum up an MR's head pipeline like summarizeChecks in github.js does a
+ * PR's checks: { status, passed, failed, pending }, counting the pipeline as
+ * one check.
+ */
+function summarizePipeline(pipeline) {
+  const counts = { passed: 0, failed: 0, pending: 0 };
+  if (!pipeline) {
+    return { status: "none", ...counts };
+  }
+  if (PASSED_PIPELINES.includes(pipeline.status)) {
+    return { status: "passing", ...counts, passed: 1 };
+  }
+  if (FAILED_PIPELINES.includes(pipeline.status)) {
+    return { status: "failing", ...counts, failed: 1 };
+  }
+  return { status: "pending", ...counts, pending: 1 };
+}
+
+/**
+ * Get an MR's state ("open", "merged" or "closed"), draft flag and head
+ * pipeline (see summarizePipeline). Throws if glab fails.
+ */
+function fetchMRStatus(number, host) {
+  const result = exec(
+    "glab",
+    ["mr", "view", String(Number(number)), "--output", "json"],
+    { silent: true, env: glabEnv(host) }
+  );
+  const mr = JSON.parse(result);
+  return {
+    state: mr.state === "opened" ? "open" : mr.state,
+    draft: Boolean(mr.draft || mr.work_in_progress),
+    checks: summarizePipeline(mr.head_pipeline || mr.pipeline || null),
+  };
+}
+
+/**
+ * Get an MR's description. Throws if glab fails.
+ */
+function fetchMRBody(number, host) {
+  const result = exec(
+    "glab",
+    ["mr", "view", String(Number(number)), "--output", "json"],
+    { silent: true, env: glabEnv(host) }
+  );
+  return JSON.parse(result).description || "";
+}
+
+/**
+ * Replace an MR's description. Throws if glab fails.
+ */
+function updateMRBody(number, body, host) {
+  exec(
+    "glab",
+    ["mr", "update", String(Number(number)), "--description", body],
+    { silent: true, env: glabEnv(host) }
+  );
+}
+
+/**
+ * List the project's protected branch names, which may be wildcards such as
+ * release/*. Throws if glab fails.
+ */
+function fetchProtectedBranches(host) {
+  const result = exec(
+    "glab",
+    [
+      "api",
+      "projects/:id/protected_branches",
+      "--method",
+      "GET",
+      "-F",
+      "per_page=100",
+    ],
+    { silent: true, env: glabEnv(host) }
+  );
+  return (result ? JSON.parse(result) : []).map((branch) => branch.name);
+}
+
+/**
+ * Check if GitLab CLI is installed
+ */
+function isGitLabCLIInstalled() {
+  try {
+    exec("glab", ["--version"], { silent: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check if GitLab CLI is authenticated
+ */
+function isGitLabCLIAuthenticated() {
+  try {
+    exec("glab", ["auth", "status"], { silent: true });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  detectGitLabHost,
+  findMRsTargeting,
+  findMRForBranch,
+  findLandedMRForBranch,
+  updateMRBase,
+  createMR,
+  summarizePipeline,
+  fetchMRStatus,
+  fetchMRBody,
+  updateMRBody,
+  fetchProtectedBranches,
+  isGitLabCLIInstalled,
+  isGitLabCLIAuthenticated,
+};
@@ -0,0 +1,122 @@
+/**
+ * Hosting providers: where a repository's PRs (or merge requests) live.
+ *
+ * Every provider has the same shape, so discovery and the CLIs work the same
+ * on any host:
+ *   name, label, cli, installUrl, hostEnv
+ *   detectHost(remoteUrl)          enterprise/self-managed host, or null
+ *   isCLIInstalled(), isCLIAuthenticated()
+ *   findPRsTargeting(base, host)   [{ number, branch, title, target }]
+ *   findPRForBranch(head, host)    { number, base, title } or null
+ *   findLandedPRForBranch(head, host)
+ *   updatePRBase(number, base, host)
+ *   updateBaseCommand(number, base) the manual equivalent, for hints
+ *   fetchPRStatus(number, host)    { state, draft, checks } of one PR
+ *   createPR(head, base, host, { draft }) the new PR's number
+ *   fetchPRBody(number, host), updatePRBody(number, body, host)
+ *   fetchOpenPRs(host)             optional: every open PR in one call
+ *   fetchProtectedBranches(host)   branch names (or globs) protected on the host
+ */
+
+const github = require("./github");
+const gitlab = require("./gitlab");
+const { getRemoteUrl } = require("./git");
+const { quoteArg } = require("./ui");
+
+const PROVIDERS = {
+  github: {
+    name: "github",
+    label: "GitHub",
+    cli: "gh",
+    installUrl: "https://cli.github.com/",
+    hostEnv: "GH_HOST",
+    detectHost: github.detectGitHubHost,
+    isCLIInstalled: github.isGitHubCLIInstalled,
+    isCLIAuthenticated: github.isGitHubCLIAuthenticated,
+    findPRsTargeting: github.findPRsTargeting,
+    findPRForBranch: github.findPRForBranch,
+    findLandedPRForBranch: github.findLandedPRForBranch,
+    updatePRBase: github.updatePRBase,
+    updateBaseCommand: (number, base) =>
+      `gh pr edit ${number} --base ${quoteArg(base)}`,
+    fetchPRStatus: github.fetchPRStatus,
+    createPR: github.createPR,
+    fetchPRBody: github.fetchPRBody,
+    updatePRBody: github.updatePRBody,
+    fetchOpenPRs: github.fetchOpenPRs,
+    fetchProtectedBranches: github.fetchProtectedBranches,
+  },
+  gitlab: {
+    name: "gitlab",
+    label: "GitLab",
+    cli: "glab",
+    installUrl: "https://gitlab.com/gitlab-org/cli",
+    hostEnv: "GITLAB_HOST",
+    detectHost: gitlab.detectGitLabHost,
+    isCLIInstalled: gitlab.isGitLabCLIInstalled,
+    isCLIAuthenticated: gitlab.isGitLabCLIAuthenticated,
+    findPRsTargeting: gitlab.findMRsTargeting,
+    findPRForBranch: gitlab.findMRForBranch,
+    findLandedPRForBranch: gitlab.findLandedMRForBranch,
+    updatePRBase: gitlab.updateMRBase,
+    updateBaseCommand: (number, base) =>
+      `glab mr update ${number} --target-branch ${quoteArg(base)}`,
+    fetchPRStatus: gitlab.fetchMRStatus,
+    createPR: gitlab.createMR,
+    fetchPRBody: gitlab.fetchMRBody,
+    updatePRBody: gitlab.updateMRBody,
+    fetchOpenPRs: null,
+    fetchProtectedBranches: gitlab.fetchProtectedBranches,
+  },
+};
+
+/**
+ * Get a provider by name. Throws for unknown names.
+ */
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(
+      `Unknown provider "${name}". Supported: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+  return provider;
+}
+
+/**
+ * Guess the provider from a remote URL: hosts with "gitlab" in their name are
+ * GitLab, everything else is treated as GitHub.
+ */
+function detectProvider(remoteUrl) {
+  const match = (remoteUrl || "").match(
+    /^(?:git@([^:]+):|https?:\/\/([^/]+)\/)/
+  );
+  const host = match ? match[1] || match[2] : "";
+  return /gitlab/i.test(host) ? "gitlab" : "github";
+}
+
+/**
+ * Pick the provider from --provider, or from the origin remote.
+ */
+function resolveProvider(options) {
+  return getProvider(options.provider || detectProvider(getRemoteUrl()));
+}
+
+/**
+ * Work out the provider host: --host, then the provider's env var, then the
+ * remote URL.
+ */
+function resolveHost(provider, options) {
+  return (
+    options.host ||
+    process.env[provider.hostEnv] ||
+    provider.detectHost(getRemoteUrl())
+  );
+}
+
+module.exports = {
+  getProvider,
+  detectProvider,
+  resolveProvider,
+  resolveHost,
+};
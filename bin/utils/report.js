@@ -0,0 +1,108 @@
+/**
+ * Machine-readable output (--json).
+ *
+ * With --json, log() output goes to stderr and a single JSON document
+ * describing the run is written to stdout as the process exits, however it
+ * exits:
+ *
+ *   {
+ *     "version": 1,
+ *     "tool": "rebase-stack",
+ *     "status": "done" | "dry-run" | "planned" | "paused" | "failed" |
+ *               "cancelled" | "aborted" | "undone" | "error",
+ *     "base": "main",
+ *     "runId": "2026-10-18T09-30-00-000Z" | null,
+ *     "branches": [{ "branch", "number", "target", "commits", "dropped",
+ *                    "outcome", "pushed" }],
+ *     "backups": [{ "branch", "ref" }],
+ *     "error": null | "message"
+ *   }
+ *
+ * `outcome` is "planned" before a run, then "rebased", "conflicted",
+ * "failed", "skipped" or "rolled-back" (see describeSteps in executor.js).
+ * In a dry run each branch also has a `prediction` (see predict.js).
+ * `rebase-stack status --json` writes the same document with each branch's
+ * status as `branches` (see collectStackStatus in stack-status.js).
+ * `rebase-stack submit --json` lists each branch's push and PR action, and
+ * its `outcome`: "planned", then "created", "retargeted", "none" or "failed".
+ */
+
+const { logToStderr, getLastError } = require("./colors");
+
+/**
+ * Exit codes of both tools.
+ */
+const EXIT_CODES = {
+  ok: 0, // done, dry run, plan written, nothing to rebase, or cancelled
+  error: 1, // invalid input, a failed check, or a failed run
+  paused: 2, // stopped on a conflict; resolve it and run --continue
+};
+
+let report = null;
+
+/**
+ * Switch to --json output for `tool`: log to stderr and write the report
+ * when the process exits.
+ */
+function startReport(tool) {
+  logToStderr();
+  report = {
+    version: 1,
+    tool,
+    status: null,
+    base: null,
+    runId: null,
+    branches: [],
+    backups: [],
+    error: null,
+  };
+  process.once("exit", writeReport);
+}
+
+/**
+ * Set fields of the report. Does nothing without --json.
+ */
+function updateReport(fields) {
+  if (report) {
+    Object.assign(report, fields);
+  }
+}
+
+/**
+ * Record a run's summary (as startRun and continueRun return it).
+ */
+function reportRun(summary) {
+  updateReport({
+    status: summary.status,
+    runId: summary.runId,
+    branches: summary.branches,
+    backups: summary.backups,
+    error: summary.error,
+  });
+}
+
+function writeReport(code) {
+  if (!report.status) {
+    report.status = code === EXIT_CODES.ok ? "done" : "error";
+  }
+  if (code !== EXIT_CODES.ok && !report.error) {
+    report.error = getLastError();
+  }
+  process.stdout.write(JSON.stringify(report, null, 2) + "\n");
+}
+
+/**
+ * The exit code for a run's status.
+ */
+function exitCodeFor(status) {
+  if (status === "done") return EXIT_CODES.ok;
+  return status === "paused" ? EXIT_CODES.paused : EXIT_CODES.error;
+}
+
+module.exports = {
+  EXIT_CODES,
+  startReport,
+  updateReport,
+  reportRun,
+  exitCodeFor,
+};
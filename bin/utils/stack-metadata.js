@@ -0,0 +1,81 @@
+/**
+ * Stack parent metadata stored in git config.
+ *
+ * Each branch's parent is kept as `branch.<name>.stackParent`, next to git's
+ * own per-branch settings, so it survives without an open PR and is removed
+ * by git together with the branch.
+ */
+
+const { exec } = require("./git");
+
+const CONFIG_KEY = "stackParent";
+
+function configKey(branch) {
+  return `branch.${branch}.${CONFIG_KEY}`;
+}
+
+/**
+ * Get the recorded parent of a branch, or null if none is recorded.
+ */
+function getStackParent(branch) {
+  const output = exec("git", ["config", "--get", configKey(branch)], {
+    silent: true,
+    ignoreError: true,
+  });
+  return output ? output.trim() || null : null;
+}
+
+/**
+ * Record the parent of a branch.
+ */
+function setStackParent(branch, parent) {
+  exec("git", ["config", configKey(branch), parent], { silent: true });
+}
+
+/**
+ * Remove the recorded parent of a branch. Returns false if none was recorded.
+ */
+function unsetStackParent(branch) {
+  return (
+    exec("git", ["config", "--unset", configKey(branch)], {
+      silent: true,
+      ignoreError: true,
+    }) !== null
+  );
+}
+
+/**
+ * List every recorded parent as [{ branch, parent }].
+ */
+function listStackParents() {
+  // git matches and prints the variable name lowercased; the branch
+  // subsection keeps its case
+  const output =
+    exec("git", ["config", "--get-regexp", "^branch\\..*\\.stackparent$"], {
+      silent: true,
+      ignoreError: true,
+    }) || "";
+
+  return output
+    .split("\n")
+    .map((line) => line.match(/^branch\.(.+)\.stackparent (.+)$/i))
+    .filter(Boolean)
+    .map((match) => ({ branch: match[1], parent: match[2].trim() }));
+}
+
+/**
+ * Record a whole stack: the first branch on `base`, each next one on the previous.
+ */
+function recordStack(base, branches) {
+  branches.forEach((branch, i) => {
+    setStackParent(branch, i === 0 ? base : branches[i - 1]);
+  });
+}
+
+module.exports = {
+  getStackParent,
+  setStackParent,
+  unsetStackParent,
+  listStackParents,
+  recordStack,
+};
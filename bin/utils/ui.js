@@ -3,7 +3,7 @@
  */
 
 const readline = require("readline");
-const { log, COLORS } = require("./colors");
+const { log, COLORS, getLogStream } = require("./colors");
 
 /**
  * Prompt user for confirmation
@@ -12,7 +12,7 @@ function promptConfirmation(message) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
-      output: process.stdout,
+      output: getLogStream(),
     });
 
     rl.question(`${message} (y/N): `, (answer) => {
@@ -40,20 +40,75 @@ function showHelp() {
   log(
     "  rebase-downstream-branches --host <hostname>     # Use GitHub Enterprise"
   );
+  log(
+    "  rebase-downstream-branches --local               # Discover from git history"
+  );
   log("\nOptions:", COLORS.cyan);
   log("  -h, --help       Show this help message");
   log("  -v, --version    Show version number");
-  log("  --dry-run        Preview changes without applying them");
+  log(
+    "  --dry-run        Preview changes and predict conflicts without applying them"
+  );
   log("  -y, --yes        Skip confirmation prompt (automatic yes)");
   log(
-    "  --host <host>    GitHub Enterprise hostname (auto-detected or from GH_HOST)"
+    "  --host <host>    GitHub Enterprise / GitLab hostname (auto-detected or from GH_HOST / GITLAB_HOST)"
+  );
+  log("  --provider <name> github or gitlab (auto-detected from the remote)");
+  log("  --remote <name>  Remote to fetch from and push to (default: origin)");
+  log(
+    "  --local          Discover the chain from local git ancestry (no gh/glab needed)"
   );
+  log("  --continue       Resume a run stopped by a conflict or error");
+  log("  --abort          Roll back a stopped run to the backup refs");
+  log(
+    "  --undo           Restore and force-push back every branch of the last run"
+  );
+  log(
+    "  --atomic         Push all branches at once only if every rebase succeeds"
+  );
+  log(
+    "  --in-memory      Rebase without checking anything out (git merge-tree)"
+  );
+  log(
+    "  --strategy <name> cherry-pick (default) or rebase (git rebase --onto)"
+  );
+  log(
+    "  --merges <mode>  linearize (default) or preserve merge commits in branches"
+  );
+  log(
+    "  --exec <command> Run a command on each rebased branch before pushing it"
+  );
+  log(
+    "  --jobs <n>       Rebase up to n independent branches at once (worktrees)"
+  );
+  log(
+    "  --json           Print the chain and each branch's outcome as JSON on stdout"
+  );
+  log("                   (logs go to stderr)");
+  log(
+    "  --stack-table    After the run, keep a table of the chain in each PR description"
+  );
+  log("\nExit codes:", COLORS.cyan);
+  log(
+    "  0  Done (also a dry run, nothing to rebase, or declined at the prompt)"
+  );
+  log("  1  Invalid input, a failed check, or a failed run");
+  log("  2  Paused on a conflict: resolve it, then run --continue");
+  log("\nConfiguration:", COLORS.cyan);
+  log("  Option defaults come from ~/.config/rebase-stack/config.json, then");
+  log("  .rebasestackrc.json (or the rebaseStack key in package.json), then");
+  log("  REBASE_STACK_* variables; flags override them all.");
+  log(
+    "  Turn off a setting for one run with --no-<flag> (e.g. --no-in-memory)."
+  );
+  log("  See the effective settings with: rebase-stack config");
   log("\nHow it works:", COLORS.cyan);
-  log("  1. Finds PRs that target the specified branch");
-  log("  2. Follows the chain to find all downstream PRs");
+  log("  1. Finds PRs (and recorded stack parents) targeting the branch");
+  log("  2. Follows every PR tree to find all downstream PRs");
   log("  3. Creates backup refs for safety");
   log("  4. Rebases each branch onto its updated parent");
   log("  5. Force pushes the rebased branches (with --force-with-lease)");
+  log("  6. Records each branch's parent in git config (stackParent)");
   log("\nSafety features:", COLORS.cyan);
   log("  • Branch name validation to prevent command injection");
   log("  • Protected branch detection (main, master, develop, etc.)");
@@ -61,8 +116,9 @@ function showHelp() {
   log("  • Backup refs created before rebasing");
   log("  • Uses --force-with-lease for safer force pushes");
   log("\nRequires:", COLORS.cyan);
-  log("  - GitHub CLI (gh) installed and authenticated");
+  log("  - GitHub CLI (gh) installed and authenticated (unless --local)");
   log("  - https://cli.github.com/");
+  log("  - For GitLab remotes: GitLab CLI (glab) instead");
   log("\nExamples:", COLORS.cyan);
   log("  # Rebase all PRs stacked on current branch");
   log("  rebase-downstream-branches");
@@ -74,35 +130,199 @@ function showHelp() {
   log("  rebase-downstream-branches --yes");
   log("\n  # Use GitHub Enterprise");
   log("  rebase-downstream-branches --host github.mycompany.com");
+  log("\n  # GitLab merge requests (usually detected from the remote)");
+  log("  rebase-downstream-branches --provider gitlab");
+  log("\n  # Work offline: find downstream branches from local history");
+  log("  rebase-downstream-branches --local");
+  log("\n  # After resolving a conflict (git add <files>)");
+  log("  rebase-downstream-branches --continue");
+  log("\n  # All or nothing: never leave the remote stack half-rewritten");
+  log("  rebase-downstream-branches --atomic");
+  log("\n  # Use git rebase --onto instead of cherry-picking");
+  log("  rebase-downstream-branches --strategy rebase");
+  log("\n  # Recreate merge commits instead of flattening them");
+  log("  rebase-downstream-branches --merges preserve");
+  log("\n  # Only push branches that still pass the tests");
+  log("  rebase-downstream-branches --exec 'npm test'");
+  log("\n  # Rebase sibling PRs four at a time");
+  log("  rebase-downstream-branches --jobs 4");
   log("");
 }
 
 /**
- * Display PR chain
+ * Format a branch with its PR number, if it has one (local discovery does not)
+ */
+function formatBranchLabel(number, branch) {
+  return number ? `#${number} ${branch}` : branch;
+}
+
+/**
+ * Quote a branch name or ref for a command printed to copy and paste. Git
+ * allows characters a shell would interpret (`fix(ui)/x`), so anything but
+ * plain name characters is single-quoted.
+ */
+function quoteArg(value) {
+  const text = String(value);
+  if (/^[\w@%+=:,./-]+$/.test(text)) {
+    return text;
+  }
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Render items that point at a parent through `target` as an indented tree.
+ * Items must be in pre-order (every item after its parent), as produced by
+ * buildPRChain. Returns one line per item, in the order given.
+ */
+function formatTree(items, formatItem) {
+  const children = new Map();
+  for (const item of items) {
+    if (!children.has(item.target)) {
+      children.set(item.target, []);
+    }
+    children.get(item.target).push(item);
+  }
+
+  const prefixes = new Map();
+  return items.map((item, i) => {
+    const siblings = children.get(item.target);
+    const isLast = siblings[siblings.length - 1] === item;
+    const indent = prefixes.get(item.target) || "";
+    prefixes.set(item.branch, indent + (isLast ? "    " : "│   "));
+    return `${indent}${isLast ? "└── " : "├── "}${formatItem(item, i)}`;
+  });
+}
+
+/**
+ * Display PR chain as a tree rooted at the branch the chain starts from
  */
 function displayPRChain(chain) {
   log("\n🔄 PR Chain to rebase:", COLORS.bright);
   log("─".repeat(60));
-  chain.forEach((item, i) => {
-    log(`  ${i + 1}. #${item.number} ${item.branch}`, COLORS.reset);
-    log(`     └── targets: ${item.target}`, COLORS.dim);
+  if (chain.length === 0) return;
+
+  log(`  ${chain[0].target}`, COLORS.dim);
+  const lines = formatTree(
+    chain,
+    (item, i) => `${i + 1}. ${formatBranchLabel(item.number, item.branch)}`
+  );
+  lines.forEach((line) => log(`  ${line}`, COLORS.reset));
+}
+
+/**
+ * List the merge commits found among a branch's own commits, and what the
+ * merge mode does with them
+ */
+function displayMergeCommits(merges, mode, indent = "   ") {
+  const action =
+    mode === "preserve"
+      ? "recreated on the new parent"
+      : "linearized: its commits are replayed one by one";
+  merges.forEach(({ hash, subject }) => {
+    log(
+      `${indent}🔀 Merge ${hash.slice(0, 7)} ${subject} (${action})`,
+      COLORS.cyan
+    );
+  });
+}
+
+/**
+ * Show the commands a repo config file asks to run, before they are confirmed
+ */
+function displayRepoFileCommands(commands) {
+  commands.forEach(({ key, value, source }) => {
+    log(`\n⚠️  ${source} sets ${key} to run on every branch:`, COLORS.yellow);
+    log(`   ${value}`, COLORS.reset);
+    log(
+      "   Check it before you continue: it comes with the repository.",
+      COLORS.dim
+    );
+  });
+}
+
+/**
+ * Summarize the --exec runs, with the end of each command's output
+ */
+function displayVerifications(verifications = [], maxLines = 20) {
+  if (verifications.length === 0) return;
+
+  log(`\n🧪 Verification (${verifications[0].command}):`, COLORS.cyan);
+  verifications.forEach(({ branch, ok, status, output }) => {
+    if (ok) {
+      log(`   ✅ ${branch}`, COLORS.green);
+    } else {
+      log(`   ❌ ${branch} (exit ${status})`, COLORS.red);
+    }
+
+    const lines = output ? output.split("\n") : [];
+    if (lines.length > maxLines) {
+      log(
+        `      ... ${lines.length - maxLines} earlier lines omitted`,
+        COLORS.dim
+      );
+    }
+    lines.slice(-maxLines).forEach((line) => log(`      ${line}`, COLORS.dim));
+  });
+}
+
+/**
+ * Show the predicted outcome of each step of a dry run (see predict.js)
+ */
+function displayPredictions(steps, predictions) {
+  log("\n🔮 Predicted outcome:", COLORS.cyan);
+  steps.forEach(({ branch, onto }, i) => {
+    const { outcome, commit, subject, files } = predictions[i];
+    if (outcome === "clean") {
+      log(`   ✅ ${branch}: clean`, COLORS.green);
+    } else if (outcome === "empty") {
+      log(
+        `   ⏭️  ${branch}: empty (nothing left to replay onto ${onto})`,
+        COLORS.yellow
+      );
+    } else if (outcome === "conflict") {
+      log(
+        `   💥 ${branch}: conflicts at ${commit.slice(0, 7)} ${subject}`,
+        COLORS.red
+      );
+      files.forEach((file) => log(`        ${file}`, COLORS.red));
+    } else if (outcome === "unknown") {
+      log(
+        `   ❔ ${branch}: cannot simulate merge commit ${commit.slice(0, 7)} ${subject}`,
+        COLORS.dim
+      );
+    } else {
+      log(`   ⏸️  ${branch}: depends on resolving ${onto} first`, COLORS.dim);
+    }
+  });
+}
+
+/**
+ * Display commits left out because their changes are already upstream
+ */
+function displayDroppedCommits(dropped, indent = "   ") {
+  dropped.forEach(({ hash, subject, reason }) => {
+    log(
+      `${indent}⏭️  Dropping ${hash.slice(0, 7)} ${subject} (${reason})`,
+      COLORS.yellow
+    );
   });
 }
 
 /**
  * Display backups
  */
-function displayBackups(backups) {
+function displayBackups(backups, runId) {
   if (backups.length > 0) {
     log("\n💾 Backups created:", COLORS.cyan);
     backups.forEach(({ branch, ref }) => {
       log(`   ${branch}: ${ref}`, COLORS.dim);
     });
     log("\n   To restore a branch:", COLORS.dim);
-    log(
-      "   git checkout <branch> && git reset --hard <backup-ref>",
-      COLORS.dim
-    );
+    log("   rebase-stack backups restore <branch>", COLORS.dim);
+    if (runId) {
+      log("   To restore every branch of this run:", COLORS.dim);
+      log(`   rebase-stack backups restore --run ${runId}`, COLORS.dim);
+    }
   }
 }
 
@@ -113,8 +333,8 @@ function displayRestoreInstructions(backups) {
   if (backups.length > 0) {
     log("\n💡 To restore from backup:", COLORS.cyan);
     backups.forEach(({ branch, ref }) => {
-      log(`   git checkout ${branch}`, COLORS.dim);
-      log(`   git reset --hard ${ref}`, COLORS.dim);
+      log(`   git checkout ${quoteArg(branch)}`, COLORS.dim);
+      log(`   git reset --hard ${quoteArg(ref)}`, COLORS.dim);
     });
   }
 }
@@ -122,7 +342,15 @@ function displayRestoreInstructions(backups) {
 module.exports = {
   promptConfirmation,
   showHelp,
+  formatBranchLabel,
+  quoteArg,
+  formatTree,
   displayPRChain,
+  displayDroppedCommits,
+  displayMergeCommits,
+  displayVerifications,
+  displayRepoFileCommands,
+  displayPredictions,
   displayBackups,
   displayRestoreInstructions,
 };
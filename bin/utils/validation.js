@@ -2,48 +2,159 @@
  * Branch name validation and security utilities
  */
 
+const os = require("os");
+const { exec } = require("./git");
+const { getSetting } = require("./config");
+const { log, COLORS } = require("./colors");
+
+const DEFAULT_PROTECTED_BRANCHES = [
+  "main",
+  "master",
+  "develop",
+  "development",
+  "staging",
+  "production",
+  "prod",
+];
+const PROTECTED_ENV = "REBASE_STACK_PROTECTED";
+
+// Names git has already accepted, so each is checked only once
+const validBranchNames = new Set();
+
 /**
- * Sanitize branch name to prevent command injection
+ * Check that a branch name is one git accepts (`git check-ref-format
+ * --branch`) and cannot be read as an option or a revision range. Git is
+ * never run through a shell, and names printed in commands to copy and
+ * paste are quoted (see quoteArg in ui.js). Returns the name, or throws.
  */
 function sanitizeBranchName(branch) {
-  // Allow alphanumeric, hyphens, underscores, forward slashes, dots
-  // This matches valid git branch names
-  const validPattern = /^[a-zA-Z0-9/_.-]+$/;
-
-  if (!validPattern.test(branch)) {
+  if (typeof branch !== "string" || branch.trim() === "") {
     throw new Error(
-      `Invalid branch name: "${branch}". Branch names can only contain letters, numbers, /, _, ., and -`
+      `Invalid branch name: "${branch}". Branch names cannot be empty`
     );
   }
 
-  // Additional checks for dangerous patterns
-  if (branch.includes("..") || branch.startsWith("-")) {
+  // Checked first: they could be read as options, ranges or reflog syntax
+  if (
+    branch.startsWith("-") ||
+    branch.includes("..") ||
+    branch.includes("@{")
+  ) {
     throw new Error(
-      `Potentially unsafe branch name: "${branch}". Branch names cannot start with - or contain ..`
+      `Potentially unsafe branch name: "${branch}". Branch names cannot start with - or contain .. or @{`
     );
   }
 
+  if (!validBranchNames.has(branch)) {
+    try {
+      exec("git", ["check-ref-format", "--branch", branch], { silent: true });
+    } catch {
+      throw new Error(
+        `Invalid branch name: "${branch}". It is not a valid git branch name (see git check-ref-format)`
+      );
+    }
+    validBranchNames.add(branch);
+  }
+
   return branch;
 }
 
+// Protected branch rules are read once per repository and configuration;
+// `host` holds names fetched from the hosting provider (see
+// loadHostProtectedBranches)
+let protectedRules = null;
+
+function getProtectedRules() {
+  const key = [
+    process.cwd(),
+    process.env[PROTECTED_ENV],
+    process.env.XDG_CONFIG_HOME,
+    os.homedir(),
+  ].join("\0");
+  if (!protectedRules || protectedRules.key !== key) {
+    protectedRules = {
+      key,
+      config: getSetting("protectedBranches"),
+      host: [],
+    };
+  }
+  return protectedRules;
+}
+
+/**
+ * List the protected branch patterns in the order they apply: the built-in
+ * defaults, then the configured `protectedBranches` (user config,
+ * package.json, .rebasestackrc.json, git config `rebaseStack.protected`, the
+ * REBASE_STACK_PROTECTED environment variable; see config.js), and any
+ * branches protected on the hosting provider. A pattern starting with "!"
+ * unprotects the branches it matches.
+ */
+function getProtectedPatterns() {
+  const { config, host } = getProtectedRules();
+  return [...DEFAULT_PROTECTED_BRANCHES, ...config, ...host];
+}
+
 /**
- * Check if a branch is protected (main, master, develop, etc.)
+ * Turn a glob into a regular expression: `*` matches within one path segment,
+ * `**` across segments and `?` one character. Matching ignores case.
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Check if a branch is protected (main, master, develop, etc., plus any
+ * configured patterns; see getProtectedPatterns). The last matching pattern
+ * wins, so "!staging" after the defaults unprotects staging.
  */
 function isProtectedBranch(branch) {
-  const protectedBranches = [
-    "main",
-    "master",
-    "develop",
-    "development",
-    "staging",
-    "production",
-    "prod",
-  ];
-
-  return protectedBranches.includes(branch.toLowerCase());
+  let result = false;
+  for (const pattern of getProtectedPatterns()) {
+    const negated = pattern.startsWith("!");
+    if (globToRegExp(negated ? pattern.slice(1) : pattern).test(branch)) {
+      result = !negated;
+    }
+  }
+  return result;
+}
+
+/**
+ * Add the branches protected on the hosting provider (GitHub branch
+ * protection, GitLab protected branches) to the protected set, if enabled
+ * with the `protectedFromHost` setting (e.g. in .rebasestackrc.json or git
+ * config rebaseStack.protectedFromHost). A failed lookup only warns.
+ */
+function loadHostProtectedBranches(provider, host) {
+  if (!getSetting("protectedFromHost") || !provider?.fetchProtectedBranches) {
+    return [];
+  }
+
+  try {
+    const branches = provider.fetchProtectedBranches(host);
+    getProtectedRules().host = branches;
+    return branches;
+  } catch (error) {
+    log(
+      `⚠️  Could not read protected branches from ${provider.label}: ${error.message}`,
+      COLORS.yellow
+    );
+    return [];
+  }
 }
 
 module.exports = {
+  DEFAULT_PROTECTED_BRANCHES,
   sanitizeBranchName,
+  getProtectedPatterns,
   isProtectedBranch,
+  loadHostProtectedBranches,
 };
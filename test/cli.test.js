@@ -104,12 +104,20 @@ describe("Argument Parsing", () => {
       /Unknown flag|Invalid/
     );
   });
+
+  test("--local does not require GitHub CLI", () => {
+    const result = runCLI(["--local", "--dry-run"]);
+    assert.doesNotMatch(
+      result.output + (result.error || ""),
+      /GitHub CLI/
+    );
+  });
 });
 
 describe("Security Features", () => {
   test("should reject branch names with invalid characters", () => {
     // Test with special characters that would be dangerous
-    const result = runCLI(["feat@branch", "--dry-run"]);
+    const result = runCLI(["feat~branch", "--dry-run"]);
     assert.strictEqual(result.success, false);
     assert.match(
       result.output + result.error,
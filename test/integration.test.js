@@ -1,6 +1,6 @@
 const { test, describe, beforeEach, afterEach } = require("node:test");
 const assert = require("node:assert");
-const { execSync } = require("node:child_process");
+const { execSync, spawnSync } = require("node:child_process");
 const fs = require("node:fs");
 const path = require("node:path");
 const os = require("node:os");
@@ -46,6 +46,42 @@ function addCommit(dir, filename, content, message) {
   git(dir, `commit -m "${message}"`);
 }
 
+const DEFAULT_STACK = [
+  ["feature-a", "a.txt", "a\n", "feat-a: add a"],
+  ["feature-b", "b.txt", "b\n", "feat-b: add b"],
+];
+
+/**
+ * Create a repo with a bare origin and a stack of branches on main, as
+ * { tmpDir, remoteDir }. Each branch is [name, file, content, message], one
+ * commit stacked on the one before. `onMain(dir)` runs on main before the
+ * branches; `moveMain` then adds a commit to main (or, as a function, moves
+ * it itself); `push` pushes main and every branch.
+ */
+function createStackRepo({ branches = DEFAULT_STACK, onMain = null, moveMain = true, push = true } = {}) {
+  const tmpDir = createTempDir();
+  const remoteDir = createTempDir();
+  git(remoteDir, "init --bare -b main");
+  initRepo(tmpDir);
+  git(tmpDir, `remote add origin ${remoteDir}`);
+  if (onMain) onMain(tmpDir);
+
+  for (const [name, file, content, message] of branches) {
+    git(tmpDir, `checkout -q -b ${name}`);
+    addCommit(tmpDir, file, content, message);
+  }
+  git(tmpDir, "checkout -q main");
+  if (typeof moveMain === "function") {
+    moveMain(tmpDir);
+  } else if (moveMain) {
+    addCommit(tmpDir, "main.txt", "main\n", "main: more work");
+  }
+  if (push) {
+    git(tmpDir, `push -q origin main ${branches.map(([name]) => name).join(" ")}`);
+  }
+  return { tmpDir, remoteDir };
+}
+
 function getCommitHash(dir, ref) {
   return git(dir, `rev-parse ${ref}`);
 }
@@ -58,6 +94,190 @@ function readFile(dir, filename) {
   return fs.readFileSync(path.join(dir, filename), "utf-8");
 }
 
+// Installs a fake `gh` executable on PATH that answers `gh pr list`,
+// `gh pr view` and the open-PRs GraphQL query from a fixture of PRs (`state`
+// defaults to OPEN), accepts `gh pr edit` (saving a --body-file into the
+// fixture), answers `gh pr create` with the
+// URL of a PR numbered after the fixture's, reports itself installed and
+// logged in, and records every invocation.
+// Set FAKE_GH_NO_GRAPHQL=1 to make the GraphQL query fail.
+// Returns { calls, restore }.
+const FAKE_GH_SCRIPT = `#!/usr/bin/env node
+const fs = require("fs");
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_GH_LOG, JSON.stringify(args) + "\\n");
+const prs = JSON.parse(fs.readFileSync(process.env.FAKE_GH_PRS, "utf-8"));
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+const isOpen = (pr) => (pr.state || "OPEN") === "OPEN";
+if (args[0] === "pr" && args[1] === "list") {
+  const base = flag("--base");
+  const head = flag("--head");
+  const open = (flag("--state") || "open") === "open";
+  const matches = prs.filter(
+    (pr) =>
+      (!base || pr.baseRefName === base) &&
+      (!head || pr.headRefName === head) &&
+      isOpen(pr) === open
+  );
+  process.stdout.write(JSON.stringify(matches));
+} else if (args[0] === "pr" && args[1] === "view") {
+  const pr = prs.find((candidate) => candidate.number === Number(args[2]));
+  if (!pr) process.exit(1);
+  process.stdout.write(JSON.stringify({
+    state: pr.state || "OPEN",
+    isDraft: Boolean(pr.isDraft),
+    statusCheckRollup: pr.statusCheckRollup || [],
+    body: pr.body || "",
+  }));
+} else if (args[0] === "pr" && args[1] === "edit") {
+  const bodyFile = flag("--body-file");
+  const pr = prs.find((candidate) => candidate.number === Number(args[2]));
+  if (bodyFile && pr) {
+    pr.body = fs.readFileSync(bodyFile, "utf-8");
+    fs.writeFileSync(process.env.FAKE_GH_PRS, JSON.stringify(prs));
+  }
+  process.exit(0);
+} else if (args[0] === "pr" && args[1] === "create") {
+  const number = Math.max(0, ...prs.map((pr) => pr.number)) + 1;
+  process.stdout.write("https://github.com/owner/repo/pull/" + number + "\\n");
+} else if (args[0] === "--version" || (args[0] === "auth" && args[1] === "status")) {
+  process.exit(0);
+} else if (args[0] === "api" && args[1] === "graphql") {
+  if (process.env.FAKE_GH_NO_GRAPHQL) process.exit(1);
+  // Mimics --jq '.data.repository.pullRequests.nodes[]': one node per line
+  for (const pr of prs.filter(isOpen)) {
+    process.stdout.write(JSON.stringify(pr) + "\\n");
+  }
+} else {
+  process.exit(1);
+}
+`;
+
+function installFakeGh(dir, prs) {
+  const binDir = path.join(dir, "fake-bin");
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.writeFileSync(path.join(binDir, "gh"), FAKE_GH_SCRIPT, { mode: 0o755 });
+
+  const prsFile = path.join(dir, "fake-gh-prs.json");
+  const logFile = path.join(dir, "fake-gh-calls.log");
+  fs.writeFileSync(prsFile, JSON.stringify(prs));
+  fs.writeFileSync(logFile, "");
+
+  const saved = {
+    PATH: process.env.PATH,
+    FAKE_GH_PRS: process.env.FAKE_GH_PRS,
+    FAKE_GH_LOG: process.env.FAKE_GH_LOG,
+    FAKE_GH_NO_GRAPHQL: process.env.FAKE_GH_NO_GRAPHQL,
+  };
+  process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+  process.env.FAKE_GH_PRS = prsFile;
+  process.env.FAKE_GH_LOG = logFile;
+
+  return {
+    calls: () =>
+      fs
+        .readFileSync(logFile, "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line)),
+    restore: () => {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    },
+  };
+}
+
+function fakePR(number, head, base, title = `PR ${number}`) {
+  return { number, headRefName: head, baseRefName: base, title };
+}
+
+// Installs a fake `glab` that answers `glab mr list` from a fixture of merge
+// requests (`state` defaults to "opened") and accepts `glab mr update`.
+// Returns { calls, restore } like installFakeGh.
+const FAKE_GLAB_SCRIPT = `#!/usr/bin/env node
+const fs = require("fs");
+const args = process.argv.slice(2);
+fs.appendFileSync(process.env.FAKE_GLAB_LOG, JSON.stringify(args) + "\\n");
+const mrs = JSON.parse(fs.readFileSync(process.env.FAKE_GLAB_MRS, "utf-8"));
+const flag = (name) => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+if (args[0] === "mr" && args[1] === "list") {
+  const target = flag("--target-branch");
+  const source = flag("--source-branch");
+  const state = args.includes("--merged")
+    ? "merged"
+    : args.includes("--closed")
+      ? "closed"
+      : "opened";
+  const matches = mrs.filter(
+    (mr) =>
+      (!target || mr.target_branch === target) &&
+      (!source || mr.source_branch === source) &&
+      (mr.state || "opened") === state
+  );
+  process.stdout.write(JSON.stringify(matches));
+} else if (args[0] === "mr" && args[1] === "update") {
+  process.exit(0);
+} else {
+  process.exit(1);
+}
+`;
+
+function installFakeGlab(dir, mrs) {
+  const binDir = path.join(dir, "fake-bin");
+  fs.mkdirSync(binDir, { recursive: true });
+  fs.writeFileSync(path.join(binDir, "glab"), FAKE_GLAB_SCRIPT, {
+    mode: 0o755,
+  });
+
+  const mrsFile = path.join(dir, "fake-glab-mrs.json");
+  const logFile = path.join(dir, "fake-glab-calls.log");
+  fs.writeFileSync(mrsFile, JSON.stringify(mrs));
+  fs.writeFileSync(logFile, "");
+
+  const saved = {
+    PATH: process.env.PATH,
+    FAKE_GLAB_MRS: process.env.FAKE_GLAB_MRS,
+    FAKE_GLAB_LOG: process.env.FAKE_GLAB_LOG,
+  };
+  process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+  process.env.FAKE_GLAB_MRS = mrsFile;
+  process.env.FAKE_GLAB_LOG = logFile;
+
+  return {
+    calls: () =>
+      fs
+        .readFileSync(logFile, "utf-8")
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line)),
+    restore: () => {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    },
+  };
+}
+
+function fakeMR(iid, source, target, state = "opened") {
+  return {
+    iid,
+    source_branch: source,
+    target_branch: target,
+    title: `MR ${iid}`,
+    state,
+    sha: `sha${iid}`,
+  };
+}
+
 // ─── Unit Tests for Pure Functions ───────────────────────────────────
 
 describe("Validation", () => {
@@ -73,13 +293,32 @@ describe("Validation", () => {
     assert.strictEqual(sanitizeBranchName("CAPS123"), "CAPS123");
   });
 
-  test("rejects names with shell metacharacters", () => {
-    assert.throws(() => sanitizeBranchName("branch;rm -rf /"), /Invalid branch name/);
-    assert.throws(() => sanitizeBranchName("branch$(cmd)"), /Invalid branch name/);
-    assert.throws(() => sanitizeBranchName("branch`cmd`"), /Invalid branch name/);
-    assert.throws(() => sanitizeBranchName("branch|pipe"), /Invalid branch name/);
-    assert.throws(() => sanitizeBranchName("branch&bg"), /Invalid branch name/);
-    assert.throws(() => sanitizeBranchName("branch name"), /Invalid branch name/);
+  test("accepts any name git accepts", () => {
+    assert.strictEqual(sanitizeBranchName("feature/ü-fix"), "feature/ü-fix");
+    assert.strictEqual(sanitizeBranchName("user+bot/x"), "user+bot/x");
+    assert.strictEqual(sanitizeBranchName("fix(ui)/x"), "fix(ui)/x");
+    assert.strictEqual(sanitizeBranchName("user@team/x"), "user@team/x");
+  });
+
+  test("rejects names git does not allow", () => {
+    assert.throws(() => sanitizeBranchName("x.lock"), /not a valid git branch name/);
+    assert.throws(() => sanitizeBranchName("a/.hidden"), /not a valid git branch name/);
+    assert.throws(() => sanitizeBranchName("a~1"), /not a valid git branch name/);
+    assert.throws(() => sanitizeBranchName("HEAD"), /not a valid git branch name/);
+    assert.throws(() => sanitizeBranchName("branch;rm -rf /"), /not a valid git branch name/);
+    assert.throws(() => sanitizeBranchName("branch name"), /not a valid git branch name/);
+  });
+
+  test("rejects reflog syntax", () => {
+    assert.throws(() => sanitizeBranchName("branch@{u}"), /Potentially unsafe/);
+  });
+
+  test("quotes names a shell would interpret in printed commands", () => {
+    const { quoteArg } = require("../bin/utils/ui");
+    assert.strictEqual(quoteArg("feature/a-1"), "feature/a-1");
+    assert.strictEqual(quoteArg("user@team/x"), "user@team/x");
+    assert.strictEqual(quoteArg("fix(ui)/x"), "'fix(ui)/x'");
+    assert.strictEqual(quoteArg("it's$(cmd)"), "'it'\\''s$(cmd)'");
   });
 
   test("rejects names starting with dash", () => {
@@ -148,6 +387,59 @@ describe("Argument Parsing", () => {
     assert.strictEqual(opts.skipConfirmation, false);
   });
 
+  test("parses run control flags", () => {
+    assert.strictEqual(parseArgs(["--continue"]).continue, true);
+    assert.strictEqual(parseArgs(["--abort"]).abort, true);
+    assert.strictEqual(parseArgs(["--atomic"]).atomic, true);
+    assert.strictEqual(parseArgs(["--in-memory"]).inMemory, true);
+    assert.strictEqual(parseArgs([]).atomic, false);
+  });
+
+  test("parses --strategy", () => {
+    assert.strictEqual(parseArgs(["--strategy", "rebase"]).strategy, "rebase");
+    assert.strictEqual(parseArgs([]).strategy, null);
+  });
+
+  test("parses --merges", () => {
+    assert.strictEqual(parseArgs(["--merges", "preserve"]).merges, "preserve");
+    assert.strictEqual(parseArgs([]).merges, null);
+  });
+
+  test("parses --exec", () => {
+    assert.strictEqual(parseArgs(["--exec", "npm test"]).exec, "npm test");
+    assert.strictEqual(parseArgs([]).exec, null);
+  });
+
+  test("parses --undo", () => {
+    assert.strictEqual(parseArgs(["--undo"]).undo, true);
+    assert.strictEqual(parseArgs([]).undo, false);
+  });
+
+  test("parses --jobs", () => {
+    assert.strictEqual(parseArgs(["--jobs", "4"]).jobs, 4);
+    assert.strictEqual(parseArgs([]).jobs, 1);
+  });
+
+  test("parses --remote", () => {
+    assert.strictEqual(parseArgs(["--remote", "upstream"]).remote, "upstream");
+    assert.strictEqual(parseArgs([]).remote, "origin");
+  });
+
+  test("parses --json", () => {
+    assert.strictEqual(parseArgs(["--json"]).json, true);
+    assert.strictEqual(parseArgs([]).json, false);
+  });
+
+  test("parses --stack-table", () => {
+    assert.strictEqual(parseArgs(["--stack-table"]).stackTable, true);
+    assert.strictEqual(parseArgs([]).stackTable, false);
+  });
+
+  test("parses --provider", () => {
+    assert.strictEqual(parseArgs(["--provider", "gitlab"]).provider, "gitlab");
+    assert.strictEqual(parseArgs([]).provider, null);
+  });
+
   test("--host without value is silently ignored", () => {
     const opts = parseArgs(["--host"]);
     assert.strictEqual(opts.host, null);
@@ -240,6 +532,19 @@ describe("Git Utilities (real repo)", () => {
     }
   });
 
+  test("addWorktree fails at once on an error that is not a worktree race", () => {
+    const { addWorktree } = require("../bin/utils/git");
+    const origCwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      const started = Date.now();
+      assert.throws(() => addWorktree("no-such-branch"), /invalid reference/);
+      assert.ok(Date.now() - started < 1000, "retried a failure that was not a race");
+    } finally {
+      process.chdir(origCwd);
+    }
+  });
+
   test("getBranchOwnCommits returns empty array when no unique commits", () => {
     const { getBranchOwnCommits } = require("../bin/utils/git");
     const origCwd = process.cwd();
@@ -624,6 +929,35 @@ describe("rebaseFromCommits (real repo)", () => {
     }
   });
 
+  test("rebases and backs up a branch whose name git allows but a shell would mangle", () => {
+    const branch = "user+bot/ü-fix";
+    addCommit(tmpDir, "base.txt", "base", "base commit on main");
+    git(tmpDir, `checkout -b '${branch}'`);
+    addCommit(tmpDir, "fix.txt", "fix", "fix: umlaut");
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "main-new.txt", "new", "main: new work");
+
+    const { sanitizeBranchName } = require("../bin/utils/validation");
+    const { createBackup } = require("../bin/utils/backup");
+    const { getBranchOwnCommits } = require("../bin/utils/git");
+    const { rebaseFromCommits } = require("../bin/core/rebase-stack");
+    const origCwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      sanitizeBranchName(branch);
+      const backupRef = createBackup(branch);
+      assert.strictEqual(getCommitHash(tmpDir, `'${backupRef}'`), getCommitHash(tmpDir, `'${branch}'`));
+
+      const commits = getBranchOwnCommits(branch, "main").reverse();
+      rebaseFromCommits(branch, "main", commits);
+
+      assert.match(getCommitMessages(tmpDir, `'${branch}'`), /main: new work/);
+      assert.match(getCommitMessages(tmpDir, `'${branch}'`), /fix: umlaut/);
+    } finally {
+      process.chdir(origCwd);
+    }
+  });
+
   test("skips empty commits gracefully", () => {
     addCommit(tmpDir, "shared.txt", "same content", "add shared on main");
 
@@ -842,6 +1176,2420 @@ describe("Chain Builder", () => {
   });
 });
 
+describe("buildPRChain (fake gh)", () => {
+  const {
+    buildPRChain,
+    getBranchesInChain,
+  } = require("../bin/core/chain-builder");
+  let tmpDir;
+  let fakeGh;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fakeGh?.restore();
+    removeTempDir(tmpDir);
+  });
+
+  test("collects every PR in a fan-out tree, parents before children", () => {
+    fakeGh = installFakeGh(tmpDir, [
+      fakePR(2, "feat-b", "feat-a"),
+      fakePR(3, "feat-c", "feat-a"),
+      fakePR(4, "feat-d", "feat-b"),
+      fakePR(5, "other", "main"),
+    ]);
+
+    const chain = buildPRChain("feat-a", null);
+
+    assert.deepStrictEqual(
+      chain.map((item) => [item.number, item.branch, item.target]),
+      [
+        [2, "feat-b", "feat-a"],
+        [4, "feat-d", "feat-b"],
+        [3, "feat-c", "feat-a"],
+      ]
+    );
+  });
+
+  test("stops following a branch that was already visited", () => {
+    fakeGh = installFakeGh(tmpDir, [
+      fakePR(1, "feat-y", "feat-x"),
+      fakePR(2, "feat-x", "feat-y"),
+    ]);
+
+    const chain = buildPRChain("feat-x", null);
+
+    assert.deepStrictEqual(getBranchesInChain(chain), ["feat-y"]);
+  });
+
+  test("returns an empty chain when nothing targets the start branch", () => {
+    fakeGh = installFakeGh(tmpDir, [fakePR(1, "feat-a", "main")]);
+    assert.deepStrictEqual(buildPRChain("feat-a", null), []);
+  });
+});
+
+describe("PR graph discovery (fake gh)", () => {
+  const {
+    buildPRChain,
+    discoverStack,
+    getBranchesInChain,
+  } = require("../bin/core/chain-builder");
+  const { buildPRGraph } = require("../bin/core/pr-graph");
+  let tmpDir;
+  let fakeGh;
+
+  const stackPRs = [
+    fakePR(1, "feat-a", "main"),
+    fakePR(2, "feat-b", "feat-a"),
+    fakePR(3, "feat-c", "feat-b"),
+    fakePR(4, "feat-d", "feat-c"),
+  ];
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+  });
+
+  afterEach(() => {
+    fakeGh?.restore();
+    removeTempDir(tmpDir);
+  });
+
+  test("buildPRChain resolves a deep chain with one GraphQL call", () => {
+    fakeGh = installFakeGh(tmpDir, stackPRs);
+
+    const chain = buildPRChain("feat-a", null);
+
+    assert.deepStrictEqual(getBranchesInChain(chain), [
+      "feat-b",
+      "feat-c",
+      "feat-d",
+    ]);
+    const calls = fakeGh.calls();
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].slice(0, 2), ["api", "graphql"]);
+  });
+
+  test("discoverStack traces up to the protected base with one call", () => {
+    fakeGh = installFakeGh(tmpDir, stackPRs);
+
+    const stack = discoverStack("feat-d", null);
+
+    assert.deepStrictEqual(stack, {
+      base: "main",
+      branches: ["feat-a", "feat-b", "feat-c", "feat-d"],
+      retargets: [],
+    });
+    assert.strictEqual(fakeGh.calls().length, 1);
+  });
+
+  test("discoverStack throws when a branch has no open PR", () => {
+    fakeGh = installFakeGh(tmpDir, [fakePR(2, "feat-b", "feat-a")]);
+
+    assert.throws(
+      () => discoverStack("feat-b", null),
+      (err) => {
+        assert.match(err.message, /No open PR found for branch "feat-a"/);
+        assert.strictEqual(err.isMissingPR, true);
+        return true;
+      }
+    );
+  });
+
+  test("falls back to per-branch gh pr list when GraphQL fails", () => {
+    fakeGh = installFakeGh(tmpDir, stackPRs);
+    process.env.FAKE_GH_NO_GRAPHQL = "1";
+
+    const chain = buildPRChain("feat-b", null);
+
+    assert.deepStrictEqual(getBranchesInChain(chain), ["feat-c", "feat-d"]);
+    const listCalls = fakeGh.calls().filter((args) => args[0] === "pr");
+    // One lookup per branch in the tree, plus feat-b's own PR (is it open?)
+    assert.strictEqual(listCalls.length, 4);
+  });
+
+  test("buildPRGraph leaves out PRs from forks", () => {
+    const graph = buildPRGraph([
+      { number: 1, head: "feat-a", base: "main", isCrossRepository: false },
+      { number: 2, head: "feat-b", base: "feat-a", isCrossRepository: true },
+    ]);
+
+    assert.deepStrictEqual([...graph.byHead.keys()], ["feat-a"]);
+    assert.strictEqual(graph.byBase.get("feat-a"), undefined);
+  });
+});
+
+describe("Landed parent PRs (fake gh, real repo)", () => {
+  const { buildPRChain, discoverStack } = require("../bin/core/chain-builder");
+  const { startRun, DOWNSTREAM_TOOL } = require("../bin/core/executor");
+  let tmpDir;
+  let remoteDir;
+  let origCwd;
+  let fakeGh;
+
+  // feat-a (#1) was squash-merged into main; feat-b (#2) still targets it
+  const landedPRs = [
+    { ...fakePR(1, "feat-a", "main"), state: "MERGED" },
+    fakePR(2, "feat-b", "feat-a"),
+    fakePR(3, "feat-c", "feat-b"),
+  ];
+
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({
+      branches: [
+        ["feat-a", "a.txt", "a\n", "feat-a: work"],
+        ["feat-b", "b.txt", "b\n", "feat-b: work"],
+      ],
+      moveMain: (dir) => {
+        git(dir, "merge --squash feat-a");
+        git(dir, 'commit -m "Feature A (#1)"');
+      },
+    }));
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+    fakeGh = installFakeGh(tmpDir, landedPRs);
+  });
+
+  afterEach(() => {
+    fakeGh.restore();
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  test("discoverStack skips a merged parent and retargets its child", () => {
+    const stack = discoverStack("feat-c", null);
+
+    assert.deepStrictEqual(stack, {
+      base: "main",
+      branches: ["feat-b", "feat-c"],
+      retargets: [
+        {
+          branch: "feat-b",
+          number: 2,
+          from: "feat-a",
+          to: "main",
+          exclude: "feat-a",
+          landedNumber: 1,
+        },
+      ],
+    });
+  });
+
+  test("buildPRChain from a merged branch retargets its children", () => {
+    const chain = buildPRChain("feat-a", null);
+
+    assert.deepStrictEqual(
+      chain.map((item) => [item.branch, item.target, Boolean(item.retarget)]),
+      [
+        ["feat-b", "main", true],
+        ["feat-c", "feat-b", false],
+      ]
+    );
+    assert.strictEqual(chain[0].exclude, "feat-a");
+    assert.strictEqual(chain[0].landedNumber, 1);
+  });
+
+  test("a parent closed without merging keeps its commits on the child", () => {
+    fakeGh.restore();
+    fakeGh = installFakeGh(tmpDir, [
+      { ...fakePR(1, "feat-a", "main"), state: "CLOSED" },
+      fakePR(2, "feat-b", "feat-a"),
+      fakePR(3, "feat-c", "feat-b"),
+    ]);
+
+    const chain = buildPRChain("feat-a", null);
+    assert.deepStrictEqual(
+      chain.map((item) => [item.branch, item.target, Boolean(item.retarget), item.exclude]),
+      [
+        ["feat-b", "main", true, null],
+        ["feat-c", "feat-b", false, undefined],
+      ]
+    );
+    assert.strictEqual(discoverStack("feat-c", null).retargets[0].exclude, null);
+  });
+
+  test("a closed parent below a merged one keeps both parents' commits", () => {
+    fakeGh.restore();
+    fakeGh = installFakeGh(tmpDir, [
+      { ...fakePR(1, "feat-a", "feat-z"), state: "MERGED" },
+      { ...fakePR(9, "feat-z", "main"), state: "CLOSED" },
+      fakePR(2, "feat-b", "feat-a"),
+    ]);
+    git(tmpDir, "branch feat-z main~1");
+
+    const stack = discoverStack("feat-b", null);
+
+    assert.deepStrictEqual(stack.retargets, [
+      { branch: "feat-b", number: 2, from: "feat-a", to: "main", exclude: null, landedNumber: null },
+    ]);
+  });
+
+  test("a retargeted branch leaves the merged commits out and updates its PR", async () => {
+    const result = await startRun(DOWNSTREAM_TOOL, [
+      {
+        branch: "feat-b",
+        onto: "main",
+        commits: null,
+        refreshOnto: true,
+        exclude: "feat-a",
+        retarget: { number: 2, host: null },
+      },
+    ]);
+
+    assert.strictEqual(result.status, "done");
+    assert.strictEqual(getCommitMessages(tmpDir, "main..feat-b"), "feat-b: work");
+    assert.ok(
+      fakeGh
+        .calls()
+        .some((args) => args.join(" ") === "pr edit 2 --base main")
+    );
+  });
+});
+
+describe("Hosting providers", () => {
+  const {
+    getProvider,
+    detectProvider,
+    resolveHost,
+  } = require("../bin/utils/providers");
+  const { detectGitLabHost } = require("../bin/utils/gitlab");
+
+  test("detects GitLab remotes and defaults to GitHub", () => {
+    assert.strictEqual(detectProvider("git@gitlab.com:group/repo.git"), "gitlab");
+    assert.strictEqual(
+      detectProvider("https://gitlab.corp.com/group/repo.git"),
+      "gitlab"
+    );
+    assert.strictEqual(detectProvider("git@github.com:org/repo.git"), "github");
+    assert.strictEqual(detectProvider("https://git.corp.com/org/repo"), "github");
+    assert.strictEqual(detectProvider(null), "github");
+  });
+
+  test("detects self-managed GitLab hosts", () => {
+    assert.strictEqual(detectGitLabHost("git@gitlab.com:group/repo.git"), null);
+    assert.strictEqual(
+      detectGitLabHost("https://gitlab.corp.com/group/repo.git"),
+      "gitlab.corp.com"
+    );
+  });
+
+  test("rejects unknown providers", () => {
+    assert.throws(() => getProvider("bitbucket"), /Unknown provider/);
+  });
+
+  test("--host wins over the provider's host variable", () => {
+    const gitlab = getProvider("gitlab");
+    const saved = process.env.GITLAB_HOST;
+    process.env.GITLAB_HOST = "gitlab.env.com";
+    try {
+      assert.strictEqual(resolveHost(gitlab, {}), "gitlab.env.com");
+      assert.strictEqual(
+        resolveHost(gitlab, { host: "gitlab.flag.com" }),
+        "gitlab.flag.com"
+      );
+    } finally {
+      if (saved === undefined) delete process.env.GITLAB_HOST;
+      else process.env.GITLAB_HOST = saved;
+    }
+  });
+});
+
+describe("GitLab provider (fake glab)", () => {
+  const { buildPRChain, discoverStack } = require("../bin/core/chain-builder");
+  const { createPRSource } = require("../bin/core/pr-graph");
+  const { getProvider } = require("../bin/utils/providers");
+  let tmpDir;
+  let fakeGlab;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    fakeGlab = installFakeGlab(tmpDir, [
+      fakeMR(1, "feat-a", "main", "merged"),
+      fakeMR(2, "feat-b", "feat-a"),
+      fakeMR(3, "feat-c", "feat-b"),
+      fakeMR(4, "feat-d", "feat-b"),
+    ]);
+  });
+
+  afterEach(() => {
+    fakeGlab.restore();
+    removeTempDir(tmpDir);
+  });
+
+  test("buildPRChain follows merge requests", () => {
+    const source = createPRSource(null, getProvider("gitlab"));
+    const chain = buildPRChain("feat-b", null, source);
+
+    assert.deepStrictEqual(
+      chain.map((item) => [item.number, item.branch, item.target]),
+      [
+        [3, "feat-c", "feat-b"],
+        [4, "feat-d", "feat-b"],
+      ]
+    );
+    assert.ok(
+      fakeGlab
+        .calls()
+        .some((args) => args.includes("--target-branch") && args.includes("feat-b"))
+    );
+  });
+
+  test("discoverStack retargets past a merged merge request", () => {
+    const source = createPRSource(null, getProvider("gitlab"));
+    const stack = discoverStack("feat-c", null, source);
+
+    assert.strictEqual(stack.base, "main");
+    assert.deepStrictEqual(stack.branches, ["feat-b", "feat-c"]);
+    assert.strictEqual(stack.retargets[0].number, 2);
+  });
+
+  test("updatePRBase changes the merge request's target branch", () => {
+    getProvider("gitlab").updatePRBase(2, "main", null);
+
+    const [args] = fakeGlab.calls();
+    assert.deepStrictEqual(args, [
+      "mr",
+      "update",
+      "2",
+      "--target-branch",
+      "main",
+    ]);
+  });
+});
+
+describe("Local discovery (real repo)", () => {
+  const {
+    buildPRChain,
+    discoverStack,
+    getBranchesInChain,
+  } = require("../bin/core/chain-builder");
+  const {
+    findLocalParents,
+    createLocalSource,
+  } = require("../bin/core/local-discovery");
+  let tmpDir;
+  let origCwd;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+
+    // main ← feat-a ← feat-b ← feat-d
+    //              ↖ feat-c
+    // plus "merged", already part of main, and main moving on afterwards
+    git(tmpDir, "checkout -b merged");
+    git(tmpDir, "checkout main");
+    git(tmpDir, "checkout -b feat-a");
+    addCommit(tmpDir, "a.txt", "a", "feat-a: work");
+    git(tmpDir, "checkout -b feat-b");
+    addCommit(tmpDir, "b.txt", "b", "feat-b: work");
+    git(tmpDir, "checkout -b feat-d");
+    addCommit(tmpDir, "d.txt", "d", "feat-d: work");
+    git(tmpDir, "checkout feat-a");
+    git(tmpDir, "checkout -b feat-c");
+    addCommit(tmpDir, "c.txt", "c", "feat-c: work");
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "main-new.txt", "new", "main: new work");
+
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  test("findLocalParents links each branch to its closest ancestor branch", () => {
+    const parents = Object.fromEntries(
+      findLocalParents().map(({ head, base }) => [head, base])
+    );
+    assert.deepStrictEqual(parents, {
+      "feat-a": "main",
+      "feat-b": "feat-a",
+      "feat-c": "feat-a",
+      "feat-d": "feat-b",
+    });
+  });
+
+  test("buildPRChain with a local source walks the whole tree", () => {
+    const chain = buildPRChain("feat-a", null, createLocalSource());
+
+    assert.deepStrictEqual(
+      chain.map((item) => [item.branch, item.target, item.number]),
+      [
+        ["feat-b", "feat-a", null],
+        ["feat-d", "feat-b", null],
+        ["feat-c", "feat-a", null],
+      ]
+    );
+  });
+
+  test("discoverStack with a local source traces up to main", () => {
+    const stack = discoverStack("feat-d", null, createLocalSource());
+
+    assert.deepStrictEqual(stack, {
+      base: "main",
+      branches: ["feat-a", "feat-b", "feat-d"],
+      retargets: [],
+    });
+  });
+
+  test("findLocalParents still finds the children of a parent that moved on", () => {
+    git(tmpDir, "checkout feat-a");
+    addCommit(tmpDir, "a2.txt", "a2", "feat-a: more work");
+    git(tmpDir, "checkout main");
+
+    const parents = Object.fromEntries(
+      findLocalParents().map(({ head, base }) => [head, base])
+    );
+    assert.deepStrictEqual(parents, {
+      "feat-a": "main",
+      "feat-b": "feat-a",
+      "feat-c": "feat-a",
+      "feat-d": "feat-b",
+    });
+    assert.deepStrictEqual(
+      getBranchesInChain(buildPRChain("feat-a", null, createLocalSource())),
+      ["feat-b", "feat-d", "feat-c"]
+    );
+  });
+
+  test("a branch created from a moved parent does not become its parent", () => {
+    git(tmpDir, "checkout feat-b");
+    addCommit(tmpDir, "b2.txt", "b2", "feat-b: more work");
+    git(tmpDir, "branch feat-e feat-d");
+    git(tmpDir, "checkout main");
+
+    const parents = Object.fromEntries(
+      findLocalParents().map(({ head, base }) => [head, base])
+    );
+    assert.strictEqual(parents["feat-b"], "feat-a");
+    assert.strictEqual(parents["feat-d"], "feat-b");
+  });
+
+  test("buildPRChain with a local source finds nothing above a leaf", () => {
+    const chain = buildPRChain("feat-d", null, createLocalSource());
+    assert.deepStrictEqual(getBranchesInChain(chain), []);
+  });
+});
+
+describe("Resumable runs (real repo)", () => {
+  const {
+    DOWNSTREAM_TOOL,
+    startRun,
+    continueRun,
+    abortRun,
+    undoRun,
+    hasRunInProgress,
+  } = require("../bin/core/executor");
+  let tmpDir;
+  let remoteDir;
+  let origCwd;
+
+  // main and feature-a both change conflict.txt; feature-b is stacked on
+  // feature-a. Everything is pushed to a bare origin.
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({
+      onMain: (dir) => addCommit(dir, "conflict.txt", "base\n", "add conflict.txt"),
+      branches: [
+        ["feature-a", "conflict.txt", "feature-a\n", "feat-a: change"],
+        ["feature-b", "b.txt", "b\n", "feat-b: add b"],
+      ],
+      moveMain: (dir) => addCommit(dir, "conflict.txt", "main\n", "main: change"),
+    }));
+
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function startStack(options) {
+    const steps = [
+      {
+        branch: "feature-a",
+        onto: "main",
+        commits: [getCommitHash(tmpDir, "feature-a")],
+        upstream: getCommitHash(tmpDir, "main"),
+        refreshOnto: false,
+      },
+      {
+        branch: "feature-b",
+        onto: "feature-a",
+        commits: [getCommitHash(tmpDir, "feature-b")],
+        upstream: getCommitHash(tmpDir, "feature-a"),
+        refreshOnto: false,
+      },
+    ];
+    return startRun("rebase-stack", steps, options);
+  }
+
+  test("pauses on a conflict and finishes the stack with continueRun", async () => {
+    const result = await startStack();
+    assert.strictEqual(result.status, "paused");
+    assert.strictEqual(result.successCount, 0);
+    assert.ok(hasRunInProgress());
+
+    fs.writeFileSync(path.join(tmpDir, "conflict.txt"), "resolved\n");
+    git(tmpDir, "add conflict.txt");
+
+    const resumed = await continueRun();
+    assert.strictEqual(resumed.status, "done");
+    assert.strictEqual(resumed.successCount, 2);
+    assert.ok(!hasRunInProgress());
+
+    assert.match(getCommitMessages(tmpDir, "feature-b"), /main: change/);
+    assert.strictEqual(
+      git(tmpDir, "show feature-b:conflict.txt"),
+      "resolved"
+    );
+    assert.strictEqual(
+      getCommitHash(tmpDir, "origin/feature-b"),
+      getCommitHash(tmpDir, "feature-b")
+    );
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+  });
+
+  test("an in-memory run falls back to the checkout on a conflict", async () => {
+    const result = await startStack({ inMemory: true });
+    assert.strictEqual(result.status, "paused");
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "feature-a");
+
+    fs.writeFileSync(path.join(tmpDir, "conflict.txt"), "resolved\n");
+    git(tmpDir, "add conflict.txt");
+
+    assert.strictEqual((await continueRun()).status, "done");
+    assert.strictEqual(git(tmpDir, "show feature-b:conflict.txt"), "resolved");
+    assert.strictEqual(git(tmpDir, "show feature-b:b.txt"), "b");
+  });
+
+  test("the rebase strategy pauses in git rebase and finishes with continueRun", async () => {
+    const result = await startStack({ strategy: "rebase" });
+    assert.strictEqual(result.status, "paused");
+    assert.ok(fs.existsSync(path.join(tmpDir, ".git", "rebase-merge")));
+
+    // Still unresolved: stays paused
+    assert.strictEqual((await continueRun()).status, "paused");
+
+    fs.writeFileSync(path.join(tmpDir, "conflict.txt"), "resolved\n");
+    git(tmpDir, "add conflict.txt");
+
+    assert.strictEqual((await continueRun()).status, "done");
+    assert.ok(!fs.existsSync(path.join(tmpDir, ".git", "rebase-merge")));
+    assert.strictEqual(git(tmpDir, "show feature-b:conflict.txt"), "resolved");
+    assert.strictEqual(git(tmpDir, "show feature-b:b.txt"), "b");
+    assert.strictEqual(
+      getCommitHash(tmpDir, "feature-b~1"),
+      getCommitHash(tmpDir, "feature-a")
+    );
+    assert.strictEqual(
+      getCommitHash(tmpDir, "origin/feature-b"),
+      getCommitHash(tmpDir, "feature-b")
+    );
+  });
+
+  test("abortRun stops an interrupted git rebase", async () => {
+    const featureA = getCommitHash(tmpDir, "feature-a");
+    await startStack({ strategy: "rebase" });
+
+    abortRun();
+
+    assert.ok(!fs.existsSync(path.join(tmpDir, ".git", "rebase-merge")));
+    assert.strictEqual(getCommitHash(tmpDir, "feature-a"), featureA);
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+    assert.strictEqual(git(tmpDir, "status --porcelain"), "");
+  });
+
+  test("both strategies produce the same stack and backups", async () => {
+    // Drop main's conflicting commit so the stack rebases cleanly
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    const tips = ["feature-a", "feature-b"].map((b) => getCommitHash(tmpDir, b));
+
+    const describeStack = () =>
+      ["feature-a", "feature-b"].map((branch) => ({
+        tree: git(tmpDir, `rev-parse ${branch}^{tree}`),
+        messages: getCommitMessages(tmpDir, `main..${branch}`),
+      }));
+
+    assert.strictEqual((await startStack()).status, "done");
+    const cherryPicked = describeStack();
+    git(tmpDir, `branch -f feature-a ${tips[0]}`);
+    git(tmpDir, `branch -f feature-b ${tips[1]}`);
+    assert.strictEqual((await startStack({ strategy: "rebase" })).status, "done");
+
+    assert.deepStrictEqual(describeStack(), cherryPicked);
+    const backups = git(tmpDir, "for-each-ref --format='%(refname)' refs/backup/");
+    assert.strictEqual(backups.split("\n").length, 4);
+  });
+
+  test("the rebase strategy starts downstream branches from their old parent tip", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    git(tmpDir, "push -qf origin main");
+
+    const result = await startRun(
+      DOWNSTREAM_TOOL,
+      [
+        { branch: "feature-a", onto: "main", commits: null, refreshOnto: true },
+        { branch: "feature-b", onto: "feature-a", commits: null, refreshOnto: true },
+      ],
+      { strategy: "rebase" }
+    );
+
+    assert.strictEqual(result.status, "done");
+    assert.strictEqual(
+      getCommitMessages(tmpDir, "main..feature-b"),
+      "feat-b: add b\nfeat-a: change"
+    );
+  });
+
+  test("resolveStrategy prefers the flag, then git config", () => {
+    const { resolveStrategy } = require("../bin/core/rebase-onto");
+    assert.strictEqual(resolveStrategy(null), "cherry-pick");
+    git(tmpDir, "config rebaseStack.strategy rebase");
+    assert.strictEqual(resolveStrategy(null), "rebase");
+    assert.strictEqual(resolveStrategy("cherry-pick"), "cherry-pick");
+    assert.throws(() => resolveStrategy("merge"), /Unknown strategy "merge"/);
+  });
+
+  test("--exec stops before pushing a branch that fails it", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    const remoteB = git(remoteDir, "rev-parse feature-b");
+
+    const result = await startStack({ exec: "test ! -f b.txt" });
+
+    assert.strictEqual(result.status, "failed");
+    assert.strictEqual(result.successCount, 1);
+    assert.strictEqual(
+      git(remoteDir, "rev-parse feature-a"),
+      getCommitHash(tmpDir, "feature-a")
+    );
+    assert.strictEqual(git(remoteDir, "rev-parse feature-b"), remoteB);
+
+    // A fix-up commit is verified on --continue without rebasing again
+    git(tmpDir, "checkout -q feature-b");
+    git(tmpDir, "rm -q b.txt");
+    git(tmpDir, 'commit -q -m "fix: drop b.txt"');
+    const fixed = getCommitHash(tmpDir, "feature-b");
+
+    assert.strictEqual((await continueRun()).status, "done");
+    assert.strictEqual(git(remoteDir, "rev-parse feature-b"), fixed);
+  });
+
+  test("--exec runs in a temp worktree for in-memory runs", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+
+    const result = await startStack({ inMemory: true, exec: "test -f main.txt" });
+
+    assert.strictEqual(result.status, "done");
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+    assert.strictEqual(git(tmpDir, "worktree list").split("\n").length, 1);
+  });
+
+  test("--exec passes a command that prints more than 1 MB, keeping its last lines", () => {
+    const { runVerification } = require("../bin/core/verify");
+    const command = `node -e "for (let i = 0; i < 40000; i++) console.log('line ' + i + ' ' + 'x'.repeat(50))"`;
+
+    const result = runVerification(command, "main");
+
+    assert.strictEqual(result.ok, true);
+    assert.strictEqual(result.status, 0);
+    const lines = result.output.split("\n");
+    assert.strictEqual(lines.length, 200);
+    assert.match(lines[lines.length - 1], /^line 39999 x+$/);
+  });
+
+  function downstreamSteps() {
+    return ["feature-a", "feature-c"].map((branch) => ({
+      branch,
+      onto: "main",
+      commits: null,
+      refreshOnto: false,
+    })).concat({ branch: "feature-b", onto: "feature-a", commits: null, refreshOnto: false });
+  }
+
+  test("--jobs rebases sibling branches side by side in worktrees", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    git(tmpDir, "checkout -q -b feature-c");
+    addCommit(tmpDir, "c.txt", "c\n", "feat-c: add c");
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    git(tmpDir, "push -qf origin main feature-c");
+    git(tmpDir, "checkout -q feature-b");
+
+    const result = await startRun(DOWNSTREAM_TOOL, downstreamSteps(), { jobs: 2 });
+
+    assert.strictEqual(result.status, "done");
+    assert.strictEqual(result.successCount, 3);
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "feature-b");
+    assert.strictEqual(git(tmpDir, "worktree list").split("\n").length, 1);
+    assert.strictEqual(
+      getCommitMessages(tmpDir, "main..feature-b"),
+      "feat-b: add b\nfeat-a: change"
+    );
+    assert.strictEqual(getCommitMessages(tmpDir, "main..feature-c"), "feat-c: add c");
+    for (const branch of ["feature-a", "feature-b", "feature-c"]) {
+      assert.strictEqual(git(remoteDir, `rev-parse ${branch}`), getCommitHash(tmpDir, branch));
+    }
+  });
+
+  test("--jobs pauses a conflicting branch in its worktree and finishes the rest", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    git(tmpDir, "checkout -q -b feature-c");
+    addCommit(tmpDir, "c.txt", "feature-c\n", "feat-c: add c");
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "c.txt", "main\n", "main: add c");
+
+    const result = await startRun(DOWNSTREAM_TOOL, downstreamSteps(), { jobs: 2 });
+
+    assert.strictEqual(result.status, "paused");
+    assert.match(getCommitMessages(tmpDir, "feature-a"), /main: add c/);
+    const worktree = git(tmpDir, "worktree list --porcelain")
+      .split("\n")
+      .filter((line) => line.startsWith("worktree "))[1]
+      .slice("worktree ".length);
+
+    fs.writeFileSync(path.join(worktree, "c.txt"), "resolved\n");
+    git(worktree, "add c.txt");
+
+    const resumed = await continueRun();
+    assert.strictEqual(resumed.status, "done");
+    assert.strictEqual(resumed.successCount, 3);
+    assert.strictEqual(git(tmpDir, "show feature-c:c.txt"), "resolved");
+    assert.match(getCommitMessages(tmpDir, "feature-b"), /main: add c/);
+    assert.strictEqual(git(tmpDir, "worktree list").split("\n").length, 1);
+  });
+
+  test("undoRun restores and force-pushes back every branch of the last run", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    const tips = ["feature-a", "feature-b"].map((b) => getCommitHash(tmpDir, b));
+    assert.strictEqual((await startStack()).status, "done");
+    assert.notStrictEqual(git(remoteDir, "rev-parse feature-b"), tips[1]);
+    git(tmpDir, "checkout -q feature-a");
+
+    const { entry, failedPushes } = undoRun();
+
+    assert.deepStrictEqual(failedPushes, []);
+    assert.deepStrictEqual(
+      entry.branches.map(({ branch, pushed }) => [branch, pushed]),
+      [["feature-a", true], ["feature-b", true]]
+    );
+    assert.strictEqual(getCommitHash(tmpDir, "feature-a"), tips[0]);
+    assert.strictEqual(getCommitHash(tmpDir, "feature-b"), tips[1]);
+    assert.strictEqual(git(remoteDir, "rev-parse feature-b"), tips[1]);
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+    assert.throws(() => undoRun(), /No rebase run to undo/);
+  });
+
+  test("a run and its undo use the remote the run was started with", async () => {
+    const { setRemote } = require("../bin/utils/git");
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    git(tmpDir, "remote rename origin upstream");
+    const tip = getCommitHash(tmpDir, "feature-b");
+    try {
+      assert.strictEqual((await startStack({ remote: "upstream" })).status, "done");
+      assert.strictEqual(git(remoteDir, "rev-parse feature-b"), getCommitHash(tmpDir, "feature-b"));
+
+      setRemote("origin");
+      assert.deepStrictEqual(undoRun().failedPushes, []);
+      assert.strictEqual(git(remoteDir, "rev-parse feature-b"), tip);
+    } finally {
+      setRemote();
+    }
+  });
+
+  test("undoRun refuses when a branch moved since the run", async () => {
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    assert.strictEqual((await startStack()).status, "done");
+    git(tmpDir, "checkout -q feature-b");
+    addCommit(tmpDir, "b2.txt", "b2\n", "feat-b: more");
+    const tip = getCommitHash(tmpDir, "feature-b");
+
+    assert.throws(() => undoRun(), /changed since the run[^\n]*feature-b/);
+    assert.strictEqual(getCommitHash(tmpDir, "feature-b"), tip);
+  });
+
+  test("continueRun stops again while conflicts are unresolved", async () => {
+    await startStack();
+
+    const resumed = await continueRun();
+    assert.strictEqual(resumed.status, "paused");
+    assert.ok(hasRunInProgress());
+  });
+
+  test("abortRun restores every branch from its backup", async () => {
+    const featureA = getCommitHash(tmpDir, "feature-a");
+    await startStack();
+
+    abortRun();
+
+    assert.strictEqual(getCommitHash(tmpDir, "feature-a"), featureA);
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+    assert.strictEqual(git(tmpDir, "status --porcelain"), "");
+    assert.ok(!hasRunInProgress());
+  });
+
+  test("atomic mode rolls every branch back on a conflict", async () => {
+    const featureA = getCommitHash(tmpDir, "feature-a");
+    const remoteA = getCommitHash(tmpDir, "origin/feature-a");
+
+    const result = await startRun(
+      "rebase-stack",
+      [
+        {
+          branch: "feature-a",
+          onto: "main",
+          commits: [featureA],
+          refreshOnto: false,
+        },
+      ],
+      { atomic: true }
+    );
+
+    assert.strictEqual(result.status, "failed");
+    assert.strictEqual(result.successCount, 0);
+    assert.strictEqual(getCommitHash(tmpDir, "feature-a"), featureA);
+    assert.strictEqual(git(remoteDir, "rev-parse feature-a"), remoteA);
+    assert.strictEqual(git(tmpDir, "status --porcelain"), "");
+    assert.ok(!hasRunInProgress());
+  });
+
+  test("atomic mode pushes every branch once all are rebased", async () => {
+    // Drop main's conflicting commit so the stack rebases cleanly
+    git(tmpDir, "reset -q --hard HEAD~1");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+
+    const result = await startRun(
+      "rebase-stack",
+      [
+        {
+          branch: "feature-a",
+          onto: "main",
+          commits: [getCommitHash(tmpDir, "feature-a")],
+          refreshOnto: false,
+        },
+        {
+          branch: "feature-b",
+          onto: "feature-a",
+          commits: [getCommitHash(tmpDir, "feature-b")],
+          refreshOnto: false,
+        },
+      ],
+      { atomic: true }
+    );
+
+    assert.strictEqual(result.status, "done");
+    assert.strictEqual(result.successCount, 2);
+    for (const branch of ["feature-a", "feature-b"]) {
+      assert.strictEqual(
+        git(remoteDir, `rev-parse ${branch}`),
+        getCommitHash(tmpDir, branch)
+      );
+    }
+    assert.match(getCommitMessages(tmpDir, "feature-b"), /main: other work/);
+  });
+
+  test("continueRun and abortRun throw when no run is in progress", async () => {
+    await assert.rejects(() => continueRun(), /No rebase run in progress/);
+    assert.throws(() => abortRun(), /No rebase run in progress/);
+  });
+});
+
+describe("In-memory rebase (real repo)", () => {
+  const { replayCommits, rebaseInMemory } = require("../bin/core/in-memory");
+  let tmpDir;
+  let origCwd;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    addCommit(tmpDir, "shared.txt", "base\n", "add shared.txt");
+    git(tmpDir, "checkout -b feature");
+    addCommit(tmpDir, "feat1.txt", "feat1\n", "feat: first");
+    addCommit(tmpDir, "feat2.txt", "feat2\n", "feat: second");
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "main-new.txt", "new\n", "main: new work");
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  function ownCommits() {
+    return git(tmpDir, "rev-list --reverse main..feature").split("\n");
+  }
+
+  test("rebaseInMemory replays commits without touching the checkout", () => {
+    const head = getCommitHash(tmpDir, "HEAD");
+
+    rebaseInMemory("feature", "main", ownCommits());
+
+    assert.strictEqual(getCommitHash(tmpDir, "HEAD"), head);
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "main");
+    assert.ok(!fs.existsSync(path.join(tmpDir, "feat1.txt")));
+
+    assert.strictEqual(
+      getCommitMessages(tmpDir, "main..feature"),
+      "feat: second\nfeat: first"
+    );
+    assert.strictEqual(
+      getCommitHash(tmpDir, "feature~2"),
+      getCommitHash(tmpDir, "main")
+    );
+    assert.strictEqual(git(tmpDir, "show feature:feat2.txt"), "feat2");
+    assert.strictEqual(git(tmpDir, "show feature:main-new.txt"), "new");
+  });
+
+  test("keeps the original author and message", () => {
+    git(tmpDir, "checkout -q feature");
+    fs.writeFileSync(path.join(tmpDir, "feat3.txt"), "feat3\n");
+    git(tmpDir, "add feat3.txt");
+    git(
+      tmpDir,
+      'commit -q --author="Someone Else <else@test.com>" -m "feat: third" -m "Body line."'
+    );
+    git(tmpDir, "checkout -q main");
+
+    rebaseInMemory("feature", "main", ownCommits());
+
+    assert.strictEqual(
+      git(tmpDir, 'log -1 --format="%an <%ae>%n%B" feature'),
+      "Someone Else <else@test.com>\nfeat: third\n\nBody line."
+    );
+  });
+
+  test("skips commits that are already applied", () => {
+    addCommit(tmpDir, "feat1.txt", "feat1\n", "main: same as feat1");
+
+    const { tip, remaining } = replayCommits("main", ownCommits());
+
+    assert.deepStrictEqual(remaining, []);
+    assert.strictEqual(getCommitMessages(tmpDir, `main..${tip}`), "feat: second");
+  });
+
+  test("stops at a conflicting commit and falls back to cherry-pick", () => {
+    git(tmpDir, "checkout -q feature");
+    addCommit(tmpDir, "shared.txt", "feature\n", "feat: change shared");
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "shared.txt", "main\n", "main: change shared");
+
+    const commits = ownCommits();
+    const { remaining } = replayCommits("main", commits);
+    assert.deepStrictEqual(remaining, commits.slice(2));
+
+    assert.throws(
+      () => rebaseInMemory("feature", "main", commits),
+      (error) => error.isConflict === true
+    );
+    // The fallback resumed from the replayed commits
+    assert.strictEqual(git(tmpDir, "branch --show-current"), "feature");
+    assert.match(getCommitMessages(tmpDir, "main..HEAD"), /feat: second/);
+    git(tmpDir, "cherry-pick --abort");
+  });
+});
+
+describe("Conflict prediction (real repo)", () => {
+  const { predictSteps } = require("../bin/core/predict");
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  let tmpDir;
+  let origCwd;
+
+  // feature-a and feature-b are stacked on main; main has since changed a.txt,
+  // which feature-a's second commit also changes
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    addCommit(tmpDir, "a.txt", "base\n", "add a.txt");
+    git(tmpDir, "checkout -b feature-a");
+    addCommit(tmpDir, "a1.txt", "a1\n", "feat-a: add a1");
+    addCommit(tmpDir, "a.txt", "feature\n", "feat-a: change a");
+    git(tmpDir, "checkout -b feature-b");
+    addCommit(tmpDir, "b.txt", "b\n", "feat-b: add b");
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "a.txt", "main\n", "main: change a");
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  function ownCommits(from, to) {
+    return git(tmpDir, `rev-list --reverse ${from}..${to}`).split("\n").filter(Boolean);
+  }
+
+  function refs() {
+    return git(tmpDir, "for-each-ref \"--format=%(refname) %(objectname)\"");
+  }
+
+  test("names the conflicting commit and files, and what waits on it", () => {
+    const before = refs();
+
+    const predictions = predictSteps([
+      { branch: "feature-a", onto: "main", commits: ownCommits("main", "feature-a") },
+      { branch: "feature-b", onto: "feature-a", commits: ownCommits("feature-a", "feature-b") },
+    ]);
+
+    assert.deepStrictEqual(predictions[0], {
+      outcome: "conflict",
+      commit: git(tmpDir, "rev-parse feature-a"),
+      subject: "feat-a: change a",
+      files: ["a.txt"],
+    });
+    assert.strictEqual(predictions[1].outcome, "blocked");
+    assert.strictEqual(refs(), before);
+    assert.strictEqual(git(tmpDir, "status --porcelain"), "");
+  });
+
+  test("predicts clean and empty branches, building on the simulated parents", () => {
+    // Drop the conflicting change, and put feature-b's commit on main already
+    git(tmpDir, "checkout -q feature-a");
+    git(tmpDir, "reset -q --hard HEAD~1");
+    git(tmpDir, "checkout -q -B feature-b");
+    addCommit(tmpDir, "b.txt", "b\n", "feat-b: add b");
+    git(tmpDir, "checkout -q main");
+    git(tmpDir, "cherry-pick feature-b");
+
+    const predictions = predictSteps([
+      { branch: "feature-a", onto: "main", commits: ownCommits("main", "feature-a") },
+      { branch: "feature-b", onto: "feature-a", commits: ownCommits("feature-a", "feature-b") },
+    ]);
+
+    assert.deepStrictEqual(
+      predictions.map(({ outcome }) => outcome),
+      ["clean", "empty"]
+    );
+  });
+
+  test("a dry run shows and reports the prediction", () => {
+    const result = spawnSync("node", [bin, "main", "feature-a", "feature-b", "--dry-run", "--json"], {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /feature-a: conflicts at \w{7} feat-a: change a/);
+    assert.match(result.stderr, /^\S*\s+a\.txt\S*$/m);
+    const report = JSON.parse(result.stdout);
+    assert.deepStrictEqual(
+      report.branches.map(({ prediction }) => [prediction.outcome, prediction.files]),
+      [["conflict", ["a.txt"]], ["blocked", []]]
+    );
+  });
+});
+
+describe("Upstream commits (real repo)", () => {
+  const { dropUpstreamCommits } = require("../bin/core/upstream-commits");
+  let tmpDir;
+  let origCwd;
+
+  // feature-a has two commits, feature-b one more on top of it
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    git(tmpDir, "checkout -b feature-a");
+    addCommit(tmpDir, "a1.txt", "a1\n", "feat-a: first");
+    addCommit(tmpDir, "a2.txt", "a2\n", "feat-a: second");
+    git(tmpDir, "checkout -b feature-b");
+    addCommit(tmpDir, "b.txt", "b\n", "feat-b: work");
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  function ownCommits(branch, target) {
+    return git(tmpDir, `rev-list --reverse ${target}..${branch}`).split("\n");
+  }
+
+  test("drops commits cherry-picked onto the target by patch-id", () => {
+    git(tmpDir, "cherry-pick feature-a~1");
+    const commits = ownCommits("feature-b", "main");
+
+    const result = dropUpstreamCommits("main", "feature-b", commits);
+
+    assert.deepStrictEqual(result.commits, commits.slice(1));
+    assert.deepStrictEqual(result.dropped, [
+      { hash: commits[0], subject: "feat-a: first", reason: "already on main" },
+    ]);
+  });
+
+  test("drops a parent PR squash-merged into the target", () => {
+    git(tmpDir, "merge --squash feature-a");
+    git(tmpDir, 'commit -m "Feature A (#12)"');
+    const commits = ownCommits("feature-b", "main");
+
+    const result = dropUpstreamCommits("main", "feature-b", commits);
+
+    assert.deepStrictEqual(result.commits, commits.slice(2));
+    assert.deepStrictEqual(
+      result.dropped.map((d) => d.reason),
+      ["squash-merged in #12", "squash-merged in #12"]
+    );
+  });
+
+  test("drops a landed parent's commits when its squash also holds other changes", () => {
+    git(tmpDir, "merge --squash feature-a");
+    fs.writeFileSync(path.join(tmpDir, "review.txt"), "reviewer fix-up\n");
+    git(tmpDir, "add review.txt");
+    git(tmpDir, 'commit -q -m "Feature A (#12)" -m "* feat-a: first\n* feat-a: second\n* review fix-up"');
+    const commits = ownCommits("feature-b", "main");
+
+    assert.deepStrictEqual(dropUpstreamCommits("main", "feature-b", commits).dropped, []);
+    const result = dropUpstreamCommits("main", "feature-b", commits, 12);
+
+    assert.deepStrictEqual(result.commits, commits.slice(2));
+    assert.deepStrictEqual(
+      result.dropped.map((d) => [d.subject, d.reason]),
+      [
+        ["feat-a: first", "squash-merged in #12"],
+        ["feat-a: second", "squash-merged in #12"],
+      ]
+    );
+  });
+
+  test("keeps a commit whose subject the squash lists but whose changes are not upstream", () => {
+    git(tmpDir, "checkout -q -b feature-c feature-a");
+    addCommit(tmpDir, "c.txt", "c\n", "feat-a: second");
+    git(tmpDir, "checkout -q main");
+    git(tmpDir, "merge --squash feature-a");
+    git(tmpDir, 'commit -q -m "Feature A (#10)" -m "* feat-a: first\n* feat-a: second"');
+    const commits = ownCommits("feature-c", "main");
+
+    // With the parent's commits already left out, and with them still there
+    const own = commits.slice(2);
+    assert.deepStrictEqual(dropUpstreamCommits("main", "feature-c", own, 10), { commits: own, dropped: [] });
+    assert.deepStrictEqual(dropUpstreamCommits("main", "feature-c", commits, 10).commits, own);
+  });
+
+  test("patch-ids are read from patches larger than exec's output buffer", () => {
+    const { getSquashMergePatchIds, getDiffPatchId } = require("../bin/utils/git");
+    const big = "x".repeat(99) + "\n";
+    fs.writeFileSync(path.join(tmpDir, "big.txt"), big.repeat(20000));
+    git(tmpDir, "add big.txt");
+    git(tmpDir, 'commit -q -m "Big change (#1)"');
+
+    const squashes = getSquashMergePatchIds("HEAD~1..HEAD");
+
+    assert.strictEqual(squashes.size, 1);
+    assert.deepStrictEqual([...squashes.values()], [{ commit: git(tmpDir, "rev-parse HEAD"), number: 1 }]);
+    assert.match(getDiffPatchId("HEAD~1", "HEAD"), /^[0-9a-f]{40}$/);
+  });
+
+  test("keeps every commit when nothing is upstream", () => {
+    const commits = ownCommits("feature-b", "main");
+    const result = dropUpstreamCommits("main", "feature-b", commits);
+    assert.deepStrictEqual(result, { commits, dropped: [] });
+  });
+
+  test("rebase-stack shows dropped commits in the plan", () => {
+    git(tmpDir, "merge --squash feature-a");
+    git(tmpDir, 'commit -m "Feature A (#12)"');
+
+    const bin = path.join(__dirname, "../bin/rebase-stack.js");
+    const dryRun = execSync(`node ${bin} main feature-b --dry-run`, {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+    assert.match(dryRun, /1 own commit\)/);
+    assert.match(dryRun, /Dropping \w+ feat-a: first \(squash-merged in #12\)/);
+    assert.match(dryRun, /Dropping \w+ feat-a: second/);
+  });
+});
+
+describe("Merge commits (real repo)", () => {
+  const { applyMergeMode } = require("../bin/core/merge-commits");
+  const { startRun, continueRun } = require("../bin/core/executor");
+  const { getBranchOwnCommits } = require("../bin/utils/git");
+  let tmpDir;
+  let remoteDir;
+  let origCwd;
+
+  // feature has its own commit, merges helper (branched from main), then
+  // adds another commit; main moves on meanwhile
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({ branches: [], moveMain: false, push: false }));
+    addCommit(tmpDir, "shared.txt", "base\n", "add shared.txt");
+
+    git(tmpDir, "checkout -b helper");
+    addCommit(tmpDir, "helper.txt", "helper\n", "helper: work");
+    git(tmpDir, "checkout -b feature main");
+    addCommit(tmpDir, "f1.txt", "f1\n", "feat: first");
+    git(tmpDir, 'merge --no-ff -m "Merge helper into feature" helper');
+    addCommit(tmpDir, "f2.txt", "f2\n", "feat: second");
+
+    git(tmpDir, "checkout main");
+    addCommit(tmpDir, "main.txt", "main\n", "main: other work");
+    git(tmpDir, "push -q origin main feature");
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function captureCommits(mode) {
+    const own = getBranchOwnCommits("feature", "main~1").reverse();
+    return applyMergeMode("feature", "main~1", own, mode);
+  }
+
+  function rebaseFeature(mode, options = {}) {
+    const { commits } = captureCommits(mode);
+    return startRun(
+      "rebase-stack",
+      [
+        {
+          branch: "feature",
+          onto: "main",
+          commits,
+          upstream: getCommitHash(tmpDir, "main~1"),
+          refreshOnto: false,
+        },
+      ],
+      { merges: mode, ...options }
+    );
+  }
+
+  test("applyMergeMode finds merges and drops them when linearizing", () => {
+    const { commits, merges } = captureCommits("linearize");
+
+    assert.deepStrictEqual(
+      merges.map((merge) => merge.subject),
+      ["Merge helper into feature"]
+    );
+    assert.strictEqual(commits.length, 3);
+    assert.ok(!commits.includes(merges[0].hash));
+  });
+
+  test("applyMergeMode keeps the first-parent line when preserving", () => {
+    const { commits } = captureCommits("preserve");
+
+    assert.deepStrictEqual(
+      commits.map((hash) => git(tmpDir, `log -1 --format=%s ${hash}`)),
+      ["feat: first", "Merge helper into feature", "feat: second"]
+    );
+  });
+
+  test("linearize replays the merged commits without the merge", async () => {
+    assert.strictEqual((await rebaseFeature("linearize")).status, "done");
+
+    assert.strictEqual(git(tmpDir, "rev-list --merges main..feature"), "");
+    assert.strictEqual(git(tmpDir, "rev-list --count main..feature"), "3");
+    assert.strictEqual(git(tmpDir, "show feature:helper.txt"), "helper");
+  });
+
+  test("preserve recreates the merge on the new parent", async () => {
+    assert.strictEqual((await rebaseFeature("preserve")).status, "done");
+
+    assert.strictEqual(
+      getCommitMessages(tmpDir, "--first-parent main..feature"),
+      "feat: second\nMerge helper into feature\nfeat: first"
+    );
+    assert.strictEqual(
+      getCommitHash(tmpDir, "feature~1^2"),
+      getCommitHash(tmpDir, "helper")
+    );
+    assert.strictEqual(git(tmpDir, "show feature:main.txt"), "main");
+  });
+
+  test("preserve with the rebase strategy uses --rebase-merges", async () => {
+    const result = await rebaseFeature("preserve", { strategy: "rebase" });
+    assert.strictEqual(result.status, "done");
+
+    assert.strictEqual(
+      git(tmpDir, "log -1 --format=%s --merges main..feature"),
+      "Merge helper into feature"
+    );
+    assert.strictEqual(git(tmpDir, "show feature:helper.txt"), "helper");
+  });
+
+  test("a conflicting merge pauses and keeps its message on continue", async () => {
+    git(tmpDir, "checkout -q helper");
+    addCommit(tmpDir, "shared.txt", "helper\n", "helper: change shared");
+    git(tmpDir, "checkout -q feature");
+    git(tmpDir, "reset -q --hard HEAD~2");
+    git(tmpDir, 'merge --no-ff -m "Merge helper into feature" helper');
+    addCommit(tmpDir, "f2.txt", "f2\n", "feat: second");
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "shared.txt", "main\n", "main: change shared");
+
+    const result = await rebaseFeature("preserve");
+    assert.strictEqual(result.status, "paused");
+    assert.ok(git(tmpDir, "rev-parse -q --verify MERGE_HEAD"));
+
+    fs.writeFileSync(path.join(tmpDir, "shared.txt"), "resolved\n");
+    git(tmpDir, "add shared.txt");
+
+    assert.strictEqual((await continueRun()).status, "done");
+    assert.strictEqual(
+      git(tmpDir, "log -1 --format=%s --merges main..feature"),
+      "Merge helper into feature"
+    );
+    assert.strictEqual(git(tmpDir, "show feature:shared.txt"), "resolved");
+    assert.strictEqual(git(tmpDir, "show feature:f2.txt"), "f2");
+  });
+});
+
+describe("Stack metadata (real repo)", () => {
+  const {
+    getStackParent,
+    setStackParent,
+    unsetStackParent,
+    listStackParents,
+    recordStack,
+  } = require("../bin/utils/stack-metadata");
+  const { createMetadataSource } = require("../bin/core/metadata-discovery");
+  const { createGraphSource, buildPRGraph } = require("../bin/core/pr-graph");
+  const {
+    buildPRChain,
+    discoverStack,
+    getBranchesInChain,
+  } = require("../bin/core/chain-builder");
+  let tmpDir;
+  let origCwd;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  test("records, lists and removes parents in git config", () => {
+    recordStack("main", ["feat-a", "feat.b"]);
+    setStackParent("Feat-C", "feat.b");
+
+    assert.strictEqual(getStackParent("feat.b"), "feat-a");
+    assert.strictEqual(
+      git(tmpDir, "config --get branch.feat-a.stackParent"),
+      "main"
+    );
+    assert.deepStrictEqual(listStackParents(), [
+      { branch: "feat-a", parent: "main" },
+      { branch: "feat.b", parent: "feat-a" },
+      { branch: "Feat-C", parent: "feat.b" },
+    ]);
+
+    assert.strictEqual(unsetStackParent("feat-a"), true);
+    assert.strictEqual(unsetStackParent("feat-a"), false);
+    assert.strictEqual(getStackParent("feat-a"), null);
+  });
+
+  test("discovery uses metadata without any fallback source", () => {
+    recordStack("main", ["feat-a", "feat-b", "feat-c"]);
+    const source = createMetadataSource(() => null);
+
+    assert.deepStrictEqual(discoverStack("feat-c", null, source), {
+      base: "main",
+      branches: ["feat-a", "feat-b", "feat-c"],
+      retargets: [],
+    });
+    assert.deepStrictEqual(
+      getBranchesInChain(buildPRChain("feat-a", null, source)),
+      ["feat-b", "feat-c"]
+    );
+  });
+
+  test("discovery stops at a base protected by a configured glob", () => {
+    git(tmpDir, "config rebaseStack.protected release/*");
+    recordStack("release/2.0", ["feat-a", "feat-b"]);
+
+    assert.deepStrictEqual(
+      discoverStack("feat-b", null, createMetadataSource(() => null)),
+      { base: "release/2.0", branches: ["feat-a", "feat-b"], retargets: [] }
+    );
+  });
+
+  test("metadata overrides PR bases and PRs fill in the rest", () => {
+    // PR #2 targets feat-a, but feat-b was recorded on top of feat-x
+    setStackParent("feat-b", "feat-x");
+    setStackParent("wip", "feat-a");
+    const prs = createGraphSource(
+      buildPRGraph([
+        { number: 2, head: "feat-b", base: "feat-a", title: "B" },
+        { number: 3, head: "feat-c", base: "feat-a", title: "C" },
+        { number: 4, head: "wip", base: "main", title: "WIP" },
+      ])
+    );
+    const source = createMetadataSource(() => prs);
+
+    const chain = buildPRChain("feat-a", null, source);
+    assert.deepStrictEqual(
+      chain.map((item) => [item.number, item.branch, item.target]),
+      [
+        [4, "wip", "feat-a"],
+        [3, "feat-c", "feat-a"],
+      ]
+    );
+    assert.deepStrictEqual(source.findPRForBranch("feat-b"), {
+      number: 2,
+      base: "feat-x",
+      title: "B",
+    });
+  });
+
+  test("rebase-stack parents declare records a stack for auto-discovery", () => {
+    git(tmpDir, "checkout -b feat-a");
+    addCommit(tmpDir, "a.txt", "a", "feat-a: work");
+    git(tmpDir, "checkout -b feat-b");
+    addCommit(tmpDir, "b.txt", "b", "feat-b: work");
+
+    const bin = path.join(__dirname, "../bin/rebase-stack.js");
+    execSync(`node ${bin} parents declare main feat-a feat-b`, {
+      cwd: tmpDir,
+      stdio: "pipe",
+    });
+    assert.strictEqual(getStackParent("feat-b"), "feat-a");
+
+    const listing = execSync(`node ${bin} parents`, {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+    assert.match(listing, /main/);
+    assert.match(listing, / {2}└── feat-a/);
+    assert.match(listing, / {6}└── feat-b/);
+
+    const dryRun = execSync(`node ${bin} --dry-run`, {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+    assert.match(dryRun, /1\. feat-a[\s\S]*2\. feat-b/);
+    assert.match(dryRun, /Dry run/);
+  });
+});
+
+describe("Protected branches (real repo)", () => {
+  const {
+    getProtectedPatterns,
+    isProtectedBranch,
+    loadHostProtectedBranches,
+  } = require("../bin/utils/validation");
+  let tmpDir;
+  let origCwd;
+  let origEnv;
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    origCwd = process.cwd();
+    origEnv = process.env.REBASE_STACK_PROTECTED;
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    if (origEnv === undefined) {
+      delete process.env.REBASE_STACK_PROTECTED;
+    } else {
+      process.env.REBASE_STACK_PROTECTED = origEnv;
+    }
+    removeTempDir(tmpDir);
+  });
+
+  test("the environment variable adds glob patterns", () => {
+    process.env.REBASE_STACK_PROTECTED = "release/*, trunk hotfix/**";
+    assert.strictEqual(isProtectedBranch("release/1.0"), true);
+    assert.strictEqual(isProtectedBranch("Release/2.0"), true);
+    assert.strictEqual(isProtectedBranch("release/1.0/fix"), false);
+    assert.strictEqual(isProtectedBranch("hotfix/1.0/fix"), true);
+    assert.strictEqual(isProtectedBranch("trunk"), true);
+    assert.strictEqual(isProtectedBranch("trunk-work"), false);
+    assert.strictEqual(isProtectedBranch("main"), true);
+  });
+
+  test("the config file and git config apply in order, and ! unprotects", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, ".rebasestackrc.json"),
+      JSON.stringify({ protectedBranches: ["hotfix/*", "staging-*"] })
+    );
+    git(tmpDir, "config --add rebaseStack.protected !staging");
+    git(tmpDir, "config --add rebaseStack.protected !staging-eu");
+
+    assert.deepStrictEqual(getProtectedPatterns().slice(-4), [
+      "hotfix/*",
+      "staging-*",
+      "!staging",
+      "!staging-eu",
+    ]);
+    assert.strictEqual(isProtectedBranch("hotfix/login"), true);
+    assert.strictEqual(isProtectedBranch("staging"), false);
+    assert.strictEqual(isProtectedBranch("staging-us"), true);
+    assert.strictEqual(isProtectedBranch("staging-eu"), false);
+  });
+
+  test("branches protected on the host are added when enabled", () => {
+    const provider = {
+      label: "GitHub",
+      fetchProtectedBranches: () => ["trunk"],
+    };
+    assert.deepStrictEqual(loadHostProtectedBranches(provider, null), []);
+    assert.strictEqual(isProtectedBranch("trunk"), false);
+
+    git(tmpDir, "config rebaseStack.protectedFromHost true");
+    assert.deepStrictEqual(loadHostProtectedBranches(provider, null), ["trunk"]);
+    assert.strictEqual(isProtectedBranch("trunk"), true);
+  });
+
+  test("a failed host lookup only warns", () => {
+    git(tmpDir, "config rebaseStack.protectedFromHost true");
+    const provider = {
+      label: "GitHub",
+      fetchProtectedBranches: () => {
+        throw new Error("HTTP 403");
+      },
+    };
+    assert.deepStrictEqual(loadHostProtectedBranches(provider, null), []);
+  });
+});
+
+describe("Config layering (real repo)", () => {
+  const { resolveSettings, getSetting } = require("../bin/utils/config");
+  const { parseArgs } = require("../bin/cli/args-parser");
+  const { isProtectedBranch } = require("../bin/utils/validation");
+  const ENV = ["XDG_CONFIG_HOME", "REBASE_STACK_HOST", "REBASE_STACK_YES", "REBASE_STACK_JOBS", "REBASE_STACK_EXEC"];
+  let tmpDir;
+  let configHome;
+  let origCwd;
+  let origEnv;
+
+  function source(key) {
+    return resolveSettings().find((setting) => setting.key === key).source;
+  }
+
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    configHome = createTempDir();
+    initRepo(tmpDir);
+    origCwd = process.cwd();
+    origEnv = ENV.map((name) => process.env[name]);
+    ENV.forEach((name) => delete process.env[name]);
+    process.env.XDG_CONFIG_HOME = configHome;
+    process.chdir(tmpDir);
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    ENV.forEach((name, i) => {
+      if (origEnv[i] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = origEnv[i];
+      }
+    });
+    removeTempDir(tmpDir);
+    removeTempDir(configHome);
+  });
+
+  test("user, package.json, rc file, environment and flags override in order", () => {
+    fs.mkdirSync(path.join(configHome, "rebase-stack"));
+    fs.writeFileSync(
+      path.join(configHome, "rebase-stack", "config.json"),
+      JSON.stringify({ host: "user.example.com", yes: true, jobs: 2, atomic: true })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, "package.json"),
+      JSON.stringify({ name: "x", rebaseStack: { host: "pkg.example.com", jobs: 3 } })
+    );
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ jobs: 4 }));
+    process.env.REBASE_STACK_YES = "false";
+
+    assert.strictEqual(source("atomic"), path.join(configHome, "rebase-stack", "config.json"));
+    assert.strictEqual(source("host"), "package.json (rebaseStack)");
+    assert.strictEqual(source("jobs"), ".rebasestackrc.json");
+    assert.strictEqual(source("yes"), "environment");
+    assert.strictEqual(source("remote"), "default");
+
+    const opts = parseArgs(["--jobs", "5"]);
+    assert.strictEqual(opts.atomic, true);
+    assert.strictEqual(opts.host, "pkg.example.com");
+    assert.strictEqual(opts.skipConfirmation, false);
+    assert.strictEqual(opts.jobs, 5);
+    assert.strictEqual(parseArgs(["-y"]).skipConfirmation, true);
+  });
+
+  test("--no-<flag> turns off a boolean setting from config", () => {
+    fs.mkdirSync(path.join(configHome, "rebase-stack"));
+    fs.writeFileSync(
+      path.join(configHome, "rebase-stack", "config.json"),
+      JSON.stringify({ yes: true, local: true, atomic: true, inMemory: true, stackTable: true })
+    );
+
+    const opts = parseArgs(["--no-yes", "--no-local", "--no-atomic", "--no-in-memory", "--no-stack-table"]);
+    assert.deepStrictEqual(
+      [opts.skipConfirmation, opts.local, opts.atomic, opts.inMemory, opts.stackTable],
+      [false, false, false, false, false]
+    );
+    assert.strictEqual(parseArgs([]).inMemory, true);
+
+    const output = execSync(
+      `node ${path.join(__dirname, "../bin/rebase-stack.js")} config --no-in-memory`,
+      { cwd: tmpDir, encoding: "utf-8", stdio: "pipe" }
+    );
+    assert.match(output, /inMemory\s+false\s+\S*command line/);
+  });
+
+  test("the repo's own config cannot set yes, and its exec must be confirmed", () => {
+    const { findRepoFileCommands } = require("../bin/utils/config");
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ yes: true, exec: "make test" }));
+
+    assert.strictEqual(getSetting("yes"), false);
+    assert.deepStrictEqual(findRepoFileCommands(parseArgs([])), [
+      { key: "exec", value: "make test", source: ".rebasestackrc.json" },
+    ]);
+    assert.deepStrictEqual(findRepoFileCommands(parseArgs(["--exec", "npm test"])), []);
+
+    process.env.REBASE_STACK_YES = "1";
+    process.env.REBASE_STACK_EXEC = "make check";
+    assert.strictEqual(getSetting("yes"), true);
+    assert.deepStrictEqual(findRepoFileCommands(parseArgs([])), []);
+  });
+
+  test("a command from the repo's config is shown and confirmed even with --yes", () => {
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ exec: "touch ran.txt" }));
+    git(tmpDir, "add .rebasestackrc.json");
+    git(tmpDir, "commit -q -m 'add config'");
+    git(tmpDir, "checkout -q -b feature-a");
+    addCommit(tmpDir, "a.txt", "a\n", "feat-a: add a");
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "main.txt", "main\n", "main: more work");
+
+    const result = spawnSync("node", [path.join(__dirname, "../bin/rebase-stack.js"), "main", "feature-a", "--yes"], {
+      cwd: tmpDir,
+      encoding: "utf-8",
+      input: "n\n",
+    });
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /\.rebasestackrc\.json sets exec to run on every branch:/);
+    assert.match(result.stdout, /touch ran\.txt/);
+    assert.match(result.stdout, /Aborted by user/);
+    assert.strictEqual(fs.existsSync(path.join(tmpDir, "ran.txt")), false);
+  });
+
+  test("git config settings sit between the repo config and the environment", () => {
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ strategy: "rebase" }));
+    git(tmpDir, "config rebaseStack.strategy cherry-pick");
+    assert.strictEqual(getSetting("strategy"), "cherry-pick");
+    assert.strictEqual(source("strategy"), "git config");
+  });
+
+  test("protected branches add up across layers", () => {
+    fs.mkdirSync(path.join(configHome, "rebase-stack"));
+    fs.writeFileSync(
+      path.join(configHome, "rebase-stack", "config.json"),
+      JSON.stringify({ protectedBranches: ["release/*"] })
+    );
+    fs.writeFileSync(
+      path.join(tmpDir, ".rebasestackrc.json"),
+      JSON.stringify({ protectedBranches: "!release/old" })
+    );
+    assert.deepStrictEqual(getSetting("protectedBranches"), ["release/*", "!release/old"]);
+    assert.match(source("protectedBranches"), /config\.json, \.rebasestackrc\.json$/);
+    assert.strictEqual(isProtectedBranch("release/1.0"), true);
+    assert.strictEqual(isProtectedBranch("release/old"), false);
+  });
+
+  test("unknown settings and values of the wrong type are ignored", () => {
+    fs.writeFileSync(
+      path.join(tmpDir, ".rebasestackrc.json"),
+      JSON.stringify({ colour: "red", jobs: "many", yes: "sure" })
+    );
+    process.env.REBASE_STACK_JOBS = "0";
+    const opts = parseArgs([]);
+    assert.strictEqual(opts.jobs, 1);
+    assert.strictEqual(opts.skipConfirmation, false);
+  });
+
+  test("the config command prints each setting with its source", () => {
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ remote: "upstream" }));
+    process.env.REBASE_STACK_HOST = "env.example.com";
+    const output = execSync(
+      `node ${path.join(__dirname, "../bin/rebase-stack.js")} config --yes`,
+      { cwd: tmpDir, encoding: "utf-8", stdio: "pipe" }
+    );
+    assert.match(output, /remote\s+upstream\s+\S*\.rebasestackrc\.json/);
+    assert.match(output, /host\s+env\.example\.com\s+\S*environment/);
+    assert.match(output, /yes\s+true\s+\S*command line/);
+  });
+});
+
+describe("JSON output (real repo)", () => {
+  const bins = {
+    stack: path.join(__dirname, "../bin/rebase-stack.js"),
+    downstream: path.join(__dirname, "../bin/rebase-downstream-branches.js"),
+  };
+  let tmpDir;
+  let remoteDir;
+
+  // feature-a and feature-b are stacked on main, which has moved on
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({
+      onMain: (dir) => addCommit(dir, "shared.txt", "base\n", "add shared.txt"),
+    }));
+  });
+
+  afterEach(() => {
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function run(bin, args) {
+    const result = spawnSync("node", [bins[bin], ...args, "--json"], {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+    return { ...result, report: JSON.parse(result.stdout) };
+  }
+
+  test("reports each branch's commits, outcome and backup, with logs on stderr", () => {
+    const { status, report, stderr } = run("stack", ["main", "feature-a", "feature-b", "--yes"]);
+
+    assert.strictEqual(status, 0);
+    assert.match(stderr, /Rebased 2\/2 branches/);
+    assert.strictEqual(report.tool, "rebase-stack");
+    assert.strictEqual(report.status, "done");
+    assert.strictEqual(report.base, "main");
+    assert.deepStrictEqual(
+      report.branches.map(({ branch, target, outcome, pushed }) => [branch, target, outcome, pushed]),
+      [["feature-a", "main", "rebased", true], ["feature-b", "feature-a", "rebased", true]]
+    );
+    assert.strictEqual(report.branches[0].commits.length, 1);
+    assert.deepStrictEqual(
+      report.backups.map(({ ref }) => ref),
+      [`refs/backup/feature-a-${report.runId}`, `refs/backup/feature-b-${report.runId}`]
+    );
+  });
+
+  test("a conflict exits with 2 and reports the conflicted and skipped branches", () => {
+    git(tmpDir, "checkout -q main");
+    addCommit(tmpDir, "a.txt", "main\n", "main: add a");
+
+    const { status, report } = run("stack", ["main", "feature-a", "feature-b", "--yes"]);
+
+    assert.strictEqual(status, 2);
+    assert.strictEqual(report.status, "paused");
+    assert.deepStrictEqual(
+      report.branches.map(({ outcome }) => outcome),
+      ["conflicted", "skipped"]
+    );
+    assert.match(report.error, /conflict/i);
+  });
+
+  test("a dry run reports the planned chain", () => {
+    const { status, report } = run("downstream", ["feature-a", "--local", "--dry-run"]);
+
+    assert.strictEqual(status, 0);
+    assert.strictEqual(report.tool, "rebase-downstream-branches");
+    assert.strictEqual(report.status, "dry-run");
+    assert.strictEqual(report.base, "feature-a");
+    assert.deepStrictEqual(
+      report.branches.map(({ branch, target, outcome }) => [branch, target, outcome]),
+      [["feature-b", "feature-a", "planned"]]
+    );
+    assert.strictEqual(report.branches[0].commits.length, 1);
+  });
+
+  test("an error exits with 1 and is reported", () => {
+    const { status, report } = run("stack", ["main", "feature-a", "missing"]);
+
+    assert.strictEqual(status, 1);
+    assert.strictEqual(report.status, "error");
+    assert.match(report.error, /not found locally: missing/);
+  });
+});
+
+describe("Stack status (fake gh, real repo)", () => {
+  const { summarizeChecks } = require("../bin/utils/github");
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  let tmpDir;
+  let remoteDir;
+  let fakeGh;
+
+  // main → feature-a (#1) → feature-b (#2, draft) → feature-c (#3). main has
+  // moved on since feature-a branched, and feature-b has an unpushed commit.
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({
+      branches: [...DEFAULT_STACK, ["feature-c", "c.txt", "c\n", "feat-c: add c"]],
+    }));
+    git(tmpDir, "checkout -q feature-b");
+    addCommit(tmpDir, "b2.txt", "b2\n", "feat-b: unpushed");
+
+    fakeGh = installFakeGh(tmpDir, [
+      {
+        ...fakePR(1, "feature-a", "main"),
+        statusCheckRollup: [{ __typename: "CheckRun", status: "COMPLETED", conclusion: "SUCCESS" }],
+      },
+      {
+        ...fakePR(2, "feature-b", "feature-a"),
+        isDraft: true,
+        statusCheckRollup: [
+          { __typename: "CheckRun", status: "COMPLETED", conclusion: "FAILURE" },
+          { __typename: "StatusContext", state: "PENDING" },
+        ],
+      },
+      fakePR(3, "feature-c", "feature-b"),
+    ]);
+    // The fake gh and its fixtures live in the repo; keep them out of git
+    fs.writeFileSync(path.join(tmpDir, ".git", "info", "exclude"), "fake-*\n");
+  });
+
+  afterEach(() => {
+    fakeGh.restore();
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function run(args) {
+    return spawnSync("node", [bin, "status", ...args], { cwd: tmpDir, encoding: "utf-8" });
+  }
+
+  test("summarizeChecks counts check runs and commit statuses", () => {
+    assert.deepStrictEqual(summarizeChecks([]), { status: "none", passed: 0, failed: 0, pending: 0 });
+    assert.deepStrictEqual(
+      summarizeChecks([
+        { __typename: "CheckRun", status: "COMPLETED", conclusion: "SKIPPED" },
+        { __typename: "CheckRun", status: "IN_PROGRESS", conclusion: "" },
+      ]),
+      { status: "pending", passed: 1, failed: 0, pending: 1 }
+    );
+    assert.strictEqual(summarizeChecks([{ __typename: "StatusContext", state: "ERROR" }]).status, "failing");
+  });
+
+  test("shows the whole stack around a branch as a tree", () => {
+    const result = run([]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /└── #1 feature-a {2}open · ↑1 ↓1 needs rebase · in sync with origin · ✅ checks passing/);
+    assert.match(result.stdout, /└── #2 feature-b {2}open, draft · ↑2 ↓0 · 1 unpushed · ❌ 1 check failing/);
+    assert.match(result.stdout, /└── #3 feature-c {2}open · ↑1 ↓1 needs rebase · in sync with origin · no checks/);
+    assert.match(result.stdout, /2 branches are behind their parents: feature-a, feature-c/);
+  });
+
+  test("--json reports every branch", () => {
+    const result = run(["feature-a", "--json"]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.base, "main");
+    assert.deepStrictEqual(
+      report.branches.map(({ branch, parent, number, draft, ahead, behind, needsRebase }) => [
+        branch, parent, number, draft, ahead, behind, needsRebase,
+      ]),
+      [
+        ["feature-a", "main", 1, false, 1, 1, true],
+        ["feature-b", "feature-a", 2, true, 2, 0, false],
+        ["feature-c", "feature-b", 3, false, 1, 1, true],
+      ]
+    );
+    assert.strictEqual(report.branches[1].remote.state, "ahead");
+    assert.deepStrictEqual(report.branches[1].checks, { status: "failing", passed: 0, failed: 1, pending: 1 });
+  });
+
+  test("--local shows git details without PRs", () => {
+    const result = run(["feature-b", "--local", "--no-fetch"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /feature-b {2}no PR · ↑2 ↓0 · 1 unpushed/);
+    assert.ok(!fakeGh.calls().some((args) => args[0] === "pr"));
+  });
+});
+
+describe("Submit (fake gh, real repo)", () => {
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  let tmpDir;
+  let remoteDir;
+  let fakeGh;
+
+  // main → feature-a → feature-b → feature-c, with only main pushed.
+  // feature-b already has a PR (#7), opened against main by mistake.
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo({
+      branches: [...DEFAULT_STACK, ["feature-c", "c.txt", "c\n", "feat-c: add c"]],
+      moveMain: false,
+      push: false,
+    }));
+    git(tmpDir, "push -q origin main");
+
+    fakeGh = installFakeGh(tmpDir, [fakePR(7, "feature-b", "main")]);
+    fs.writeFileSync(path.join(tmpDir, ".git", "info", "exclude"), "fake-*\n");
+  });
+
+  afterEach(() => {
+    fakeGh.restore();
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function run(args) {
+    return spawnSync("node", [bin, "submit", ...args], { cwd: tmpDir, encoding: "utf-8" });
+  }
+
+  function prWrites() {
+    return fakeGh.calls().filter((args) => args[0] === "pr" && (args[1] === "create" || args[1] === "edit"));
+  }
+
+  test("pushes each branch, then opens or retargets its PR, parent first", () => {
+    const result = run(["main", "feature-a", "feature-b", "feature-c", "--yes", "--draft"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    for (const branch of ["feature-a", "feature-b", "feature-c"]) {
+      assert.strictEqual(git(remoteDir, `rev-parse ${branch}`), git(tmpDir, `rev-parse ${branch}`));
+    }
+    assert.deepStrictEqual(prWrites(), [
+      ["pr", "create", "--head", "feature-a", "--base", "main", "--fill", "--draft"],
+      ["pr", "edit", "7", "--base", "feature-a"],
+      ["pr", "create", "--head", "feature-c", "--base", "feature-b", "--fill", "--draft"],
+    ]);
+    assert.match(result.stdout, /Moved #7 from main to feature-a/);
+    assert.strictEqual(git(tmpDir, "config branch.feature-c.stackParent"), "feature-b");
+  });
+
+  test("finds the stack from local history and reports it as JSON", () => {
+    git(tmpDir, "push -q origin feature-a");
+
+    const result = run(["feature-b", "--yes", "--json"]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.status, "done");
+    assert.strictEqual(report.base, "main");
+    assert.deepStrictEqual(
+      report.branches.map(({ branch, parent, number, push, outcome }) => [branch, parent, number, push, outcome]),
+      [
+        ["feature-a", "main", 8, "up-to-date", "created"],
+        ["feature-b", "feature-a", 7, "new", "retargeted"],
+      ]
+    );
+  });
+
+  test("--dry-run previews without pushing or touching PRs", () => {
+    const result = run(["main", "feature-a", "feature-b", "--dry-run"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /push new branch/);
+    assert.match(result.stdout, /open a PR into main/);
+    assert.match(result.stdout, /move #7 from main to feature-a/);
+    assert.strictEqual(git(remoteDir, "branch --list feature-*"), "");
+    assert.deepStrictEqual(prWrites(), []);
+  });
+
+  test("--no-yes asks for confirmation even when yes is configured", () => {
+    const result = spawnSync("node", [bin, "submit", "main", "feature-a", "--no-yes"], {
+      cwd: tmpDir,
+      encoding: "utf-8",
+      input: "n\n",
+      env: { ...process.env, REBASE_STACK_YES: "1" },
+    });
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /Aborted by user/);
+    assert.deepStrictEqual(prWrites(), []);
+  });
+
+  test("refuses when the remote has commits a branch lacks", () => {
+    git(tmpDir, "push -q origin feature-b:feature-a");
+
+    const result = run(["main", "feature-a", "feature-b", "--yes"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /The remote has commits these branches lack: feature-a/);
+    assert.deepStrictEqual(prWrites(), []);
+  });
+});
+
+describe("Stack tables in PR descriptions", () => {
+  const { renderStackTable, replaceStackSection } = require("../bin/core/stack-table");
+  const prs = [
+    { number: 1, title: "Add a | b", parent: "main" },
+    { number: 2, title: "Add c", parent: "feature-a" },
+  ];
+
+  test("renderStackTable lists the stack and marks the current PR", () => {
+    const section = renderStackTable(prs, 2);
+
+    assert.match(section, /^<!-- rebase-stack:stack-table -->\n/);
+    assert.match(section, /\n<!-- \/rebase-stack:stack-table -->$/);
+    assert.match(section, /^\| {2}\| #1 \| Add a \\\| b \| `main` \|$/m);
+    assert.match(section, /^\| 👉 \| #2 \| Add c \| `feature-a` \|$/m);
+  });
+
+  test("replaceStackSection appends once, then replaces in place", () => {
+    const first = replaceStackSection("Intro\n", renderStackTable(prs, 1));
+    assert.ok(first.startsWith("Intro\n\n<!-- rebase-stack:stack-table -->"));
+    assert.strictEqual(replaceStackSection("", "SECTION"), "SECTION");
+
+    const edited = `${first}\n\nNotes added later`;
+    const second = replaceStackSection(edited, renderStackTable(prs.slice(1), 2));
+    assert.strictEqual(second.match(/rebase-stack:stack-table -->/g).length, 2);
+    assert.ok(second.startsWith("Intro\n\n<!-- rebase-stack:stack-table -->"));
+    assert.ok(second.endsWith("-->\n\nNotes added later"));
+    assert.doesNotMatch(second, /#1/);
+  });
+});
+
+describe("Stack tables (fake gh, real repo)", () => {
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  let tmpDir;
+  let remoteDir;
+  let fakeGh;
+
+  // main → feature-a (#1) → feature-b (#2), pushed, with main moved on
+  beforeEach(() => {
+    ({ tmpDir, remoteDir } = createStackRepo());
+
+    fakeGh = installFakeGh(tmpDir, [
+      { ...fakePR(1, "feature-a", "main", "Add a"), body: "Why feature-a exists.\n" },
+      fakePR(2, "feature-b", "feature-a", "Add b"),
+    ]);
+    fs.writeFileSync(path.join(tmpDir, ".git", "info", "exclude"), "fake-*\n");
+  });
+
+  afterEach(() => {
+    fakeGh.restore();
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+  });
+
+  function readBodies() {
+    const prs = JSON.parse(fs.readFileSync(path.join(tmpDir, "fake-gh-prs.json"), "utf-8"));
+    return prs.map((pr) => pr.body || "");
+  }
+
+  function run(args) {
+    return spawnSync("node", [bin, ...args], { cwd: tmpDir, encoding: "utf-8" });
+  }
+
+  test("--stack-table writes the table into every PR and keeps the rest", () => {
+    const result = run(["main", "feature-a", "feature-b", "--yes", "--stack-table"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    const [a, b] = readBodies();
+    assert.ok(a.startsWith("Why feature-a exists.\n\n<!-- rebase-stack:stack-table -->"));
+    assert.match(a, /^\| 👉 \| #1 \| Add a \| `main` \|$/m);
+    assert.match(a, /^\| {2}\| #2 \| Add b \| `feature-a` \|$/m);
+    assert.match(b, /^\| 👉 \| #2 \| Add b \| `feature-a` \|$/m);
+    const edits = fakeGh.calls().filter((args) => args.includes("--body-file"));
+    assert.deepStrictEqual(edits.map((args) => args[2]), ["1", "2"]);
+
+    // A second run leaves the unchanged descriptions alone
+    assert.strictEqual(run(["main", "feature-a", "feature-b", "--yes", "--stack-table"]).status, 0);
+    assert.deepStrictEqual(readBodies(), [a, b]);
+    assert.strictEqual(fakeGh.calls().filter((args) => args.includes("--body-file")).length, 2);
+  });
+
+  test("rebase-downstream-branches puts the start branch's PR in the table", () => {
+    const downstream = path.join(__dirname, "../bin/rebase-downstream-branches.js");
+    const result = spawnSync("node", [downstream, "feature-a", "--yes", "--stack-table"], {
+      cwd: tmpDir,
+      encoding: "utf-8",
+    });
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    const [a, b] = readBodies();
+    assert.match(a, /^\| 👉 \| #1 \| Add a \| `main` \|$/m);
+    assert.match(a, /^\| {2}\| #2 \| Add b \| `feature-a` \|$/m);
+    assert.match(b, /^\| {2}\| #1 \| Add a \| `main` \|$/m);
+    assert.match(b, /^\| 👉 \| #2 \| Add b \| `feature-a` \|$/m);
+  });
+
+  test("PR descriptions are left alone without --stack-table", () => {
+    const result = run(["main", "feature-a", "feature-b", "--yes"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.deepStrictEqual(readBodies(), ["Why feature-a exists.\n", ""]);
+  });
+
+  test("the stackTable setting turns it on from config", () => {
+    fs.writeFileSync(path.join(tmpDir, ".rebasestackrc.json"), JSON.stringify({ stackTable: true }));
+    git(tmpDir, "add .rebasestackrc.json");
+    git(tmpDir, "commit -q -m 'enable stack tables'");
+
+    const result = run(["main", "feature-a", "feature-b", "--yes"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.match(readBodies()[1], /rebase-stack:stack-table/);
+
+    assert.strictEqual(run(["main", "feature-a", "feature-b", "--yes", "--no-stack-table"]).status, 0);
+    assert.strictEqual(fakeGh.calls().filter((args) => args.includes("--body-file")).length, 2);
+  });
+});
+
+describe("Plan files (real repo)", () => {
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  let tmpDir;
+  let remoteDir;
+  let planDir;
+  let planFile;
+
+  // feature-a and feature-b are stacked on main, which has moved on. The plan
+  // is kept outside the repo so it does not dirty the working tree.
+  beforeEach(() => {
+    planDir = createTempDir();
+    planFile = path.join(planDir, "plan.json");
+    ({ tmpDir, remoteDir } = createStackRepo({
+      onMain: (dir) => addCommit(dir, "shared.txt", "base\n", "add shared.txt"),
+    }));
+  });
+
+  afterEach(() => {
+    removeTempDir(tmpDir);
+    removeTempDir(remoteDir);
+    removeTempDir(planDir);
+  });
+
+  function run(args) {
+    return spawnSync("node", [bin, ...args], { cwd: tmpDir, encoding: "utf-8" });
+  }
+
+  function writeTestPlan() {
+    const result = run(["main", "feature-a", "feature-b", "--plan-out", planFile]);
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    return JSON.parse(fs.readFileSync(planFile, "utf-8"));
+  }
+
+  test("--plan-out pins the stack without changing it, and --apply runs it", () => {
+    const before = git(tmpDir, "rev-parse feature-b");
+    const plan = writeTestPlan();
+
+    assert.strictEqual(git(tmpDir, "rev-parse feature-b"), before);
+    assert.strictEqual(plan.base.branch, "main");
+    assert.strictEqual(plan.base.sha, git(tmpDir, "rev-parse main"));
+    assert.deepStrictEqual(
+      plan.steps.map(({ branch, onto, sha, remote }) => [branch, onto, sha, remote]),
+      [
+        ["feature-a", "main", git(tmpDir, "rev-parse feature-a"), git(tmpDir, "rev-parse feature-a")],
+        ["feature-b", "feature-a", before, before],
+      ]
+    );
+    assert.deepStrictEqual(plan.steps[1].commits, [before]);
+
+    const result = run(["--apply", planFile, "--yes"]);
+
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+    assert.strictEqual(git(tmpDir, "merge-base main feature-b"), git(tmpDir, "rev-parse main"));
+    assert.strictEqual(git(remoteDir, "rev-parse feature-b"), git(tmpDir, "rev-parse feature-b"));
+    assert.strictEqual(git(tmpDir, "log --format=%s main..feature-b"), "feat-b: add b\nfeat-a: add a");
+  });
+
+  test("--apply refuses once a branch has moved locally", () => {
+    writeTestPlan();
+    git(tmpDir, "checkout -q feature-a");
+    addCommit(tmpDir, "a2.txt", "a2\n", "feat-a: more");
+    git(tmpDir, "checkout -q main");
+    const before = git(tmpDir, "rev-parse feature-b");
+
+    const result = run(["--apply", planFile, "--yes"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /moved since the plan was written/);
+    assert.match(result.stdout, /feature-a is at \w{7}, the plan expects \w{7}/);
+    assert.strictEqual(git(tmpDir, "rev-parse feature-b"), before);
+  });
+
+  test("--apply refuses once a branch has moved on the remote", () => {
+    writeTestPlan();
+    git(tmpDir, "push -q --force origin main:feature-b");
+
+    const result = run(["--apply", planFile, "--yes"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /origin\/feature-b is at \w{7}, the plan expects \w{7}/);
+    assert.strictEqual(git(remoteDir, "rev-parse feature-b"), git(tmpDir, "rev-parse main"));
+  });
+
+  test("pinned pushes are refused once the remote branch has moved", () => {
+    const { pushBranchWithLease, pushBranchesAtomic } = require("../bin/utils/git");
+    const planned = git(tmpDir, "rev-parse feature-a");
+    git(tmpDir, "push -q --force origin main:feature-a");
+    git(tmpDir, "checkout -q feature-a");
+    addCommit(tmpDir, "a2.txt", "a2\n", "feat-a: more");
+    const origCwd = process.cwd();
+    process.chdir(tmpDir);
+    try {
+      assert.throws(() => pushBranchWithLease("feature-a", planned));
+      assert.throws(() => pushBranchWithLease("feature-a", null));
+      assert.throws(() => pushBranchesAtomic(["feature-a", "feature-b"], { "feature-a": planned }));
+    } finally {
+      process.chdir(origCwd);
+    }
+    assert.strictEqual(git(remoteDir, "rev-parse feature-a"), git(tmpDir, "rev-parse main"));
+  });
+
+  test("--apply rejects a file that is not a plan", () => {
+    fs.writeFileSync(planFile, "{}\n");
+
+    const result = run(["--apply", planFile, "--yes"]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stdout, /not a version 1 rebase-stack plan/);
+  });
+});
+
+describe("Backups (real repo)", () => {
+  const {
+    createBackup,
+    parseBackupRef,
+    listBackups,
+    groupBackupsByRun,
+  } = require("../bin/utils/backup");
+  const bin = path.join(__dirname, "../bin/rebase-stack.js");
+  const OLD_RUN = "2026-01-02T03-04-05-006Z";
+  const NEW_RUN = "2026-02-03T04-05-06-007Z";
+  let tmpDir;
+  let origCwd;
+
+  // Two runs backed up feat-a and feat/b; both branches moved on since
+  beforeEach(() => {
+    tmpDir = createTempDir();
+    initRepo(tmpDir);
+    git(tmpDir, "checkout -q -b feat-a");
+    addCommit(tmpDir, "a.txt", "a1\n", "feat-a: one");
+    git(tmpDir, "checkout -q -b feat/b");
+    addCommit(tmpDir, "b.txt", "b1\n", "feat-b: one");
+
+    origCwd = process.cwd();
+    process.chdir(tmpDir);
+    createBackup("feat-a", OLD_RUN);
+    createBackup("feat-a", NEW_RUN);
+    createBackup("feat/b", NEW_RUN);
+
+    addCommit(tmpDir, "b.txt", "b2\n", "feat-b: two");
+    git(tmpDir, "checkout -q feat-a");
+    addCommit(tmpDir, "a.txt", "a2\n", "feat-a: two");
+    git(tmpDir, "checkout -q main");
+  });
+
+  afterEach(() => {
+    process.chdir(origCwd);
+    removeTempDir(tmpDir);
+  });
+
+  function runBackups(args) {
+    return execSync(`node ${bin} backups ${args}`, {
+      cwd: tmpDir,
+      encoding: "utf-8",
+      stdio: "pipe",
+    });
+  }
+
+  test("parseBackupRef splits the branch from the run id", () => {
+    assert.deepStrictEqual(parseBackupRef(`refs/backup/feat/b-${NEW_RUN}`), {
+      ref: `refs/backup/feat/b-${NEW_RUN}`,
+      branch: "feat/b",
+      runId: NEW_RUN,
+    });
+    assert.strictEqual(parseBackupRef("refs/backup/no-timestamp"), null);
+    assert.strictEqual(parseBackupRef(`refs/heads/feat-a-${NEW_RUN}`), null);
+  });
+
+  test("listBackups groups backups by run, newest first", () => {
+    const runs = groupBackupsByRun(listBackups());
+    assert.deepStrictEqual(
+      runs.map((run) => [run.runId, run.backups.map((b) => b.branch)]),
+      [
+        [NEW_RUN, ["feat-a", "feat/b"]],
+        [OLD_RUN, ["feat-a"]],
+      ]
+    );
+    assert.strictEqual(runs[0].date.toISOString(), "2026-02-03T04:05:06.007Z");
+    assert.strictEqual(runs[0].backups[1].subject, "feat-b: one");
+
+    const listing = runBackups("feat-a");
+    assert.match(listing, /2 backups from 2 runs/);
+    assert.doesNotMatch(listing, /feat\/b/);
+  });
+
+  test("show prints the commits and diff between a backup and its branch", () => {
+    const output = runBackups(`show feat-a --run ${OLD_RUN}`);
+    assert.match(output, /> [0-9a-f]+ feat-a: two/);
+    assert.match(output, /-a1\n\+a2/);
+  });
+
+  test("restore --run resets every branch of a run", () => {
+    const output = runBackups("restore --run 2026-02");
+    assert.match(output, /Restored feat-a/);
+    assert.match(output, /Restored feat\/b/);
+    assert.strictEqual(getCommitMessages(tmpDir, "feat-a"), "feat-a: one\ninitial commit");
+    assert.strictEqual(
+      getCommitMessages(tmpDir, "main..feat/b"),
+      "feat-b: one\nfeat-a: one"
+    );
+  });
+
+  test("restore refuses to reset a checked-out branch with local changes", () => {
+    git(tmpDir, "checkout -q feat-a");
+    fs.writeFileSync(path.join(tmpDir, "a.txt"), "dirty\n");
+    assert.throws(
+      () => runBackups("restore feat-a"),
+      (error) => /uncommitted changes/.test(error.stdout)
+    );
+    assert.match(getCommitMessages(tmpDir, "feat-a"), /feat-a: two/);
+  });
+
+  test("prune --keep deletes all but the newest runs", () => {
+    assert.match(runBackups("prune --keep 1 --dry-run"), /Would delete 1 backup/);
+    assert.strictEqual(listBackups().length, 3);
+
+    runBackups("prune --keep 1");
+    assert.deepStrictEqual(
+      listBackups().map((backup) => backup.runId),
+      [NEW_RUN, NEW_RUN]
+    );
+
+    runBackups("prune --older-than 0");
+    assert.strictEqual(listBackups().length, 0);
+  });
+});
+
+describe("formatTree", () => {
+  const { formatTree } = require("../bin/utils/ui");
+
+  test("renders siblings and nested children with tree glyphs", () => {
+    const chain = [
+      { branch: "feat-b", target: "feat-a" },
+      { branch: "feat-d", target: "feat-b" },
+      { branch: "feat-c", target: "feat-a" },
+    ];
+    const lines = formatTree(chain, (item, i) => `${i + 1}. ${item.branch}`);
+    assert.deepStrictEqual(lines, [
+      "├── 1. feat-b",
+      "│   └── 2. feat-d",
+      "└── 3. feat-c",
+    ]);
+  });
+});
+
 describe("Colors", () => {
   const { COLORS, log } = require("../bin/utils/colors");
 
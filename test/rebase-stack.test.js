@@ -73,6 +73,18 @@ describe("rebase-stack CLI Tests", () => {
   });
 });
 
+describe("rebase-stack Local Discovery", () => {
+  test("--local does not require GitHub CLI", () => {
+    const result = runCLI(["some-feature-branch", "--local", "--dry-run"]);
+    assert.strictEqual(result.success, false);
+    assert.doesNotMatch(result.output + result.error, /GitHub CLI/);
+    assert.match(
+      result.output + result.error,
+      /Could not work out the parent of "some-feature-branch"/
+    );
+  });
+});
+
 describe("rebase-stack Explicit Mode", () => {
   test("should accept --dry-run flag", () => {
     const result = runCLI(["main", "feature-a", "--dry-run"]);
@@ -108,7 +120,7 @@ describe("rebase-stack Explicit Mode", () => {
 
 describe("rebase-stack Security Features", () => {
   test("should reject branch names with invalid characters", () => {
-    const result = runCLI(["main", "feat@branch", "--dry-run"]);
+    const result = runCLI(["main", "feat~branch", "--dry-run"]);
     assert.strictEqual(result.success, false);
     assert.match(
       result.output + result.error,